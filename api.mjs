@@ -0,0 +1,36 @@
+// Read-only HTTP API over bond_trades for consumers who should not hold
+// database credentials. Routes are in lib/api.mjs; rows come from the
+// store STORAGE_BACKEND configures, the one the scraper loads into.
+import http from "http";
+import dotenv from "dotenv";
+import { createApiHandler, parseApiKeys } from "./lib/api.mjs";
+import { storageBackend, storeFromEnv } from "./lib/storage/index.mjs";
+
+dotenv.config();
+
+const DEFAULT_PORT = 3000;
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+if (!apiKeys.size) {
+  console.error("❌ API_KEYS must list at least one key");
+  process.exit(1);
+}
+
+const store = await storeFromEnv();
+if (!store) {
+  console.error(`❌ Storage backend ${storageBackend()} is not configured`);
+  process.exit(1);
+}
+
+const port = Number(process.env.PORT) || DEFAULT_PORT;
+const server = http.createServer(createApiHandler({ store, apiKeys }));
+server.listen(port, () => {
+  console.log(`✓ Bond trades API listening on port ${port}`);
+});
+
+// Finish the requests in flight, then let go of the database
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    server.close(() => store.close().finally(() => process.exit(0)));
+  });
+}
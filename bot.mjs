@@ -0,0 +1,80 @@
+// Long-running Telegram bot answering questions about the bond data.
+// Commands live in lib/bot.mjs. /rerun reloads a date by running the
+// backfill for it, and is limited to the user ids in TELEGRAM_ADMIN_IDS.
+import { spawn } from "child_process";
+import { dirname } from "path";
+import { fileURLToPath } from "url";
+import { createClient } from "@supabase/supabase-js";
+import dotenv from "dotenv";
+import TelegramBot from "node-telegram-bot-api";
+import { registerCommands, parseAdminIds } from "./lib/bot.mjs";
+
+dotenv.config();
+
+const RERUN_TIMEOUT_MS = 15 * 60 * 1000;
+const RERUN_OUTPUT_LINES = 15;
+const ROOT = dirname(fileURLToPath(import.meta.url));
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY,
+);
+
+const bot = new TelegramBot(process.env.TELEGRAM_API_TOKEN, { polling: true });
+
+// Reload one date for both exchanges through migrate-bse.mjs, returning
+// the tail of its output
+function runRerun(date) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      process.execPath,
+      [
+        "migrate-bse.mjs",
+        "--from",
+        date,
+        "--to",
+        date,
+        "--exchange",
+        "ALL",
+        "--restart",
+        "--checkpoint",
+        ".migrate-checkpoint-rerun.json",
+      ],
+      { cwd: ROOT, env: process.env },
+    );
+
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+
+    const timer = setTimeout(() => child.kill(), RERUN_TIMEOUT_MS);
+    // The child could not be started (or killed); "close" may never come,
+    // and if it does the promise has already settled
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      resolve({
+        ok: false,
+        output: `Could not run migrate-bse.mjs: ${err.message}`,
+      });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({
+        ok: code === 0,
+        output: output.trim().split("\n").slice(-RERUN_OUTPUT_LINES).join("\n"),
+      });
+    });
+  });
+}
+
+registerCommands(bot, {
+  supabase,
+  adminIds: parseAdminIds(process.env.TELEGRAM_ADMIN_IDS),
+  runRerun,
+});
+
+bot.on("polling_error", (err) => {
+  console.error("Telegram polling error:", err.message);
+});
+
+console.log("Bond bot is listening for commands");
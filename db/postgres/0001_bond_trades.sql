@@ -0,0 +1,56 @@
+-- Tables the scraper writes when STORAGE_BACKEND=postgres: bond_trades
+-- with the same columns as the Supabase schema (supabase/migrations), its
+-- quarantine, and archive_files in place of the Supabase storage bucket.
+create table if not exists bond_trades (
+  id bigint generated by default as identity primary key,
+  trade_date date not null,
+  exchange text not null check (exchange in ('NSE', 'BSE')),
+  security_code text,
+  series text,
+  isin text,
+  issuer_name text,
+  coupon_rate numeric,
+  maturity_date date,
+  ltp numeric,
+  turnover_rs_lacs numeric,
+  no_of_trades bigint,
+  traded_volume bigint,
+  bond_type text,
+  face_value numeric,
+  credit_rating text,
+  ytm numeric,
+  current_yield numeric,
+  macaulay_duration numeric,
+  modified_duration numeric,
+  convexity numeric,
+  raw_data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bond_trades_trade_date_exchange_idx
+  on bond_trades (trade_date, exchange);
+
+create index if not exists bond_trades_isin_idx on bond_trades (isin);
+
+create table if not exists bond_trades_rejected (
+  id bigint generated by default as identity primary key,
+  trade_date date not null,
+  exchange text not null,
+  security_code text,
+  reasons jsonb not null,
+  mapped_row jsonb not null,
+  raw_data jsonb,
+  rejected_at timestamptz not null default now()
+);
+
+create index if not exists bond_trades_rejected_trade_date_exchange_idx
+  on bond_trades_rejected (trade_date, exchange);
+
+-- Raw payloads, retention exports and error reports, keyed by the path
+-- they would have in the data-dump bucket
+create table if not exists archive_files (
+  path text primary key,
+  body bytea not null,
+  content_type text,
+  updated_at timestamptz not null default now()
+);
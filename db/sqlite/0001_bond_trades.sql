@@ -0,0 +1,57 @@
+-- Tables the scraper writes when STORAGE_BACKEND=sqlite: bond_trades
+-- with the same columns as the Supabase schema (supabase/migrations), its
+-- quarantine, and archive_files in place of the Supabase storage bucket.
+-- Dates are YYYY-MM-DD text and JSON columns hold JSON text.
+create table if not exists bond_trades (
+  id integer primary key autoincrement,
+  trade_date text not null,
+  exchange text not null check (exchange in ('NSE', 'BSE')),
+  security_code text,
+  series text,
+  isin text,
+  issuer_name text,
+  coupon_rate real,
+  maturity_date text,
+  ltp real,
+  turnover_rs_lacs real,
+  no_of_trades integer,
+  traded_volume integer,
+  bond_type text,
+  face_value real,
+  credit_rating text,
+  ytm real,
+  current_yield real,
+  macaulay_duration real,
+  modified_duration real,
+  convexity real,
+  raw_data text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists bond_trades_trade_date_exchange_idx
+  on bond_trades (trade_date, exchange);
+
+create index if not exists bond_trades_isin_idx on bond_trades (isin);
+
+create table if not exists bond_trades_rejected (
+  id integer primary key autoincrement,
+  trade_date text not null,
+  exchange text not null,
+  security_code text,
+  reasons text not null,
+  mapped_row text not null,
+  raw_data text,
+  rejected_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index if not exists bond_trades_rejected_trade_date_exchange_idx
+  on bond_trades_rejected (trade_date, exchange);
+
+-- Raw payloads, retention exports and error reports, keyed by the path
+-- they would have in the data-dump bucket
+create table if not exists archive_files (
+  path text primary key,
+  body blob not null,
+  content_type text,
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,98 @@
+import { makeRequest, hostOptions, USER_AGENT } from "../http.mjs";
+import { formatDateBSEApi } from "../dates.mjs";
+import { parseTabularText } from "../csv.mjs";
+import { applyMapping } from "../mapping.mjs";
+import { BSE_DOWNLOAD } from "../mappings/bse.mjs";
+
+// Download API host; BSE_API_URL overrides it
+const DEFAULT_API = "https://api.bseindia.com";
+
+// Download the BSE corporate bond trades file for a single date.
+// Returns the trimmed body, which is empty when BSE has nothing for the date.
+async function download(date) {
+  const apiDate = formatDateBSEApi(date);
+  const response = await makeRequest({
+    ...hostOptions(process.env.BSE_API_URL || DEFAULT_API),
+    path: `/BseIndiaAPI/api/rbcorpbonds1_download/w?frmDate=${apiDate}&toDate=${apiDate}&flag=1`,
+    method: "GET",
+    headers: {
+      accept: "*/*",
+      "accept-language": "en-IN,en-GB;q=0.9,en-US;q=0.8,en;q=0.7",
+      dnt: "1",
+      priority: "u=0, i",
+      referer: "https://www.bseindia.com/",
+      "user-agent": USER_AGENT,
+    },
+  });
+
+  if (response.statusCode !== 200) {
+    throw new Error(`BSE API returned status code: ${response.statusCode}`);
+  }
+
+  return response.body.trim();
+}
+
+// Fetch BSE bond data for the daily run. Missing data is an error here.
+async function fetchDaily(date) {
+  console.log("Fetching BSE bond data...");
+
+  try {
+    const body = await download(date);
+    if (!body) {
+      throw new Error("BSE API returned an empty response");
+    }
+
+    if (body.startsWith("<")) {
+      throw new Error("BSE download API returned HTML instead of tabular data");
+    }
+
+    const payload = { source: "bse-download", body };
+    const records = parse(payload);
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error("No bond data found in BSE download response");
+    }
+
+    console.log(`✓ BSE download API returned ${records.length} records`);
+    return { payload, records };
+  } catch (error) {
+    console.error("Error fetching BSE data:", error.message);
+    throw error;
+  }
+}
+
+// Fetch BSE bond data for a past date. Returns null when BSE has nothing
+// for the date (holiday, weekend).
+async function fetchHistoric(date) {
+  const body = await download(date);
+  if (!body || body.startsWith("<")) {
+    return null;
+  }
+
+  const payload = { source: "bse-download", body };
+  const records = parse(payload);
+  return records.length ? { payload, records } : null;
+}
+
+// Parse a downloaded BSE file (CSV or TSV)
+function parse(payload) {
+  return parseTabularText(payload.body);
+}
+
+// Map a raw BSE row to a bond_trades row
+function normalize(r, tradeDate, spec = BSE_DOWNLOAD) {
+  return {
+    trade_date: tradeDate,
+    exchange: "BSE",
+    ...applyMapping(spec, r),
+    raw_data: r,
+  };
+}
+
+export const bseAdapter = {
+  exchange: "BSE",
+  fetch: fetchDaily,
+  fetchHistoric,
+  parse,
+  mappings: [BSE_DOWNLOAD],
+  normalize,
+};
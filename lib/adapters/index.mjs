@@ -0,0 +1,44 @@
+// Exchange adapters. Every adapter has the same shape so the daily job
+// and the backfill run the same code for a given exchange:
+//
+//   exchange                   "NSE" | "BSE"
+//   fetch(date)                { payload, records } for the daily run;
+//                              throws if there is no data
+//   fetchHistoric(date)        { payload, records } for a past date, or
+//                              null if the exchange has nothing for it
+//   parse(payload)             raw rows from a payload, for replays
+//   mappings                   header mapping specs, see lib/mapping.mjs
+//   normalize(row, tradeDate, spec)  one raw row → one bond_trades row
+//
+// A payload is the downloaded file as-is: { source, body }, where source
+// names the endpoint it came from ("nse-live", "bse-download", ...).
+import { resolveMapping } from "../mapping.mjs";
+import { nseAdapter } from "./nse.mjs";
+import { bseAdapter } from "./bse.mjs";
+
+export const adapters = {
+  NSE: nseAdapter,
+  BSE: bseAdapter,
+};
+
+export function getAdapter(exchange) {
+  const adapter = adapters[String(exchange).toUpperCase()];
+  if (!adapter) {
+    throw new Error(`Unknown exchange: ${exchange}`);
+  }
+  return adapter;
+}
+
+// Pick the mapping spec for a batch of raw rows, then normalize them.
+// Throws if required headers are missing; other drift is returned so the
+// caller can alert on it.
+export function normalizeRecords(adapter, records, tradeDate) {
+  const headers = Object.keys(records[0] || {});
+  const { spec, drift } = resolveMapping(adapter.mappings, headers);
+
+  return {
+    spec,
+    drift,
+    rows: records.map((r) => adapter.normalize(r, tradeDate, spec)),
+  };
+}
@@ -0,0 +1,102 @@
+import { nseSession, nseWebsite } from "../nse-session.mjs";
+import { hostOptions } from "../http.mjs";
+import { formatDateNSEArchive } from "../dates.mjs";
+import { parseTabularText } from "../csv.mjs";
+import { applyMapping } from "../mapping.mjs";
+import { NSE_LIVE, NSE_BHAVCOPY } from "../mappings/nse.mjs";
+
+// Series codes NSE uses for corporate bonds on the capital market segment.
+// Everything else in the full bhavcopy (EQ, BE, GS, GB, ...) is skipped.
+const NSE_BOND_SERIES = /^[NYZ][0-9A-Z]$/;
+
+// Website pages the endpoints are used from, visited to warm up the session
+const LIVE_BONDS_PAGE = "/market-data/bonds-traded-in-capital-market";
+const ARCHIVES_PAGE = "/all-reports";
+
+// Bhavcopy host; NSE_ARCHIVES_URL overrides it, as NSE_URL does the website
+const DEFAULT_ARCHIVES = "https://nsearchives.nseindia.com";
+
+// Fetch NSE bond data for the current session. The live endpoint has no
+// date parameter, so this is only meaningful for the daily run.
+async function fetchLive() {
+  console.log("Fetching NSE bond data...");
+
+  try {
+    const response = await nseSession.request(
+      {
+        ...hostOptions(nseWebsite()),
+        path: "/api/liveBonds-traded-on-cm?type=bonds&csv=true&selectValFormat=crores",
+      },
+      { landingPage: LIVE_BONDS_PAGE },
+    );
+
+    if (response.statusCode !== 200) {
+      throw new Error(`NSE API returned status code: ${response.statusCode}`);
+    }
+
+    console.log("✓ NSE data fetched successfully");
+    const payload = { source: "nse-live", body: response.body };
+    return { payload, records: parse(payload) };
+  } catch (error) {
+    console.error("Error fetching NSE data:", error.message);
+    throw error;
+  }
+}
+
+// Fetch NSE bond trades for a past date from the full CM bhavcopy in the
+// NSE archives. Returns null when NSE has no file or no bond rows for the
+// date (holiday, weekend).
+async function fetchHistoric(date) {
+  const response = await nseSession.request(
+    {
+      ...hostOptions(process.env.NSE_ARCHIVES_URL || DEFAULT_ARCHIVES),
+      path: `/products/content/sec_bhavdata_full_${formatDateNSEArchive(date)}.csv`,
+    },
+    { landingPage: ARCHIVES_PAGE },
+  );
+
+  if (response.statusCode === 404) {
+    return null;
+  }
+
+  if (response.statusCode !== 200) {
+    throw new Error(`NSE archive returned status code: ${response.statusCode}`);
+  }
+
+  const body = response.body.trim();
+  if (!body || body.startsWith("<")) {
+    return null;
+  }
+
+  const payload = { source: "nse-bhavcopy", body };
+  const records = parse(payload);
+  return records.length ? { payload, records } : null;
+}
+
+// Parse a downloaded NSE file. The bhavcopy covers every CM security, so
+// only bond series are kept from it.
+function parse(payload) {
+  const records = parseTabularText(payload.body);
+  if (payload.source !== "nse-bhavcopy") return records;
+
+  return records.filter((r) => NSE_BOND_SERIES.test(r["SERIES"] || ""));
+}
+
+// Map a raw NSE row (live or bhavcopy layout) to a bond_trades row
+function normalize(r, tradeDate, spec = NSE_LIVE) {
+  return {
+    trade_date: tradeDate,
+    exchange: "NSE",
+    ...applyMapping(spec, r),
+    raw_data: r,
+  };
+}
+
+export const nseAdapter = {
+  exchange: "NSE",
+  fetch: () => fetchLive(),
+  fetchHistoric,
+  parse,
+  mappings: [NSE_LIVE, NSE_BHAVCOPY],
+  normalize,
+};
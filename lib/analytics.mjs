@@ -0,0 +1,218 @@
+// Bond analytics from a clean price: yield to maturity, current yield,
+// Macaulay and modified duration, and convexity.
+//
+// Prices are per 100 of face value. Yields are returned in percent,
+// durations in years and convexity in years². Conventions:
+//
+//   frequency  coupons per year: 1 (most Indian corporate bonds),
+//              2 (G-secs, SDLs), 4 or 12
+//   dayCount   "ACT/ACT"  actual days over actual days in the coupon period
+//                         (SEBI convention for listed corporate bonds)
+//              "ACT/365"  actual days over 365
+//              "30/360"   30/360 (G-secs)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  const [y, m, d] = String(value).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+function actualDays(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+function days30360(from, to) {
+  const d1 = Math.min(from.getUTCDate(), 30);
+  const d2 = to.getUTCDate() === 31 && d1 === 30 ? 30 : to.getUTCDate();
+  return (
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 360 +
+    (to.getUTCMonth() - from.getUTCMonth()) * 30 +
+    (d2 - d1)
+  );
+}
+
+// Fraction of the coupon period [previous, next] that has elapsed by date
+function elapsedFraction(previous, next, date, frequency, dayCount) {
+  switch (dayCount) {
+    case "30/360":
+      return days30360(previous, date) / (360 / frequency);
+    case "ACT/365":
+      return (actualDays(previous, date) * frequency) / 365;
+    case "ACT/ACT":
+      return actualDays(previous, date) / actualDays(previous, next);
+    default:
+      throw new Error(`Unknown day count convention: ${dayCount}`);
+  }
+}
+
+// Remaining coupon dates after settlement, and the coupon date on or
+// before it, stepping back from maturity so month ends stay aligned
+export function couponSchedule(settlement, maturity, frequency) {
+  const step = 12 / frequency;
+  const upcoming = [];
+  let k = 0;
+  let date = maturity;
+
+  while (date > settlement) {
+    upcoming.unshift(date);
+    k++;
+    date = addMonths(maturity, -step * k);
+  }
+
+  return { previous: date, upcoming };
+}
+
+function cashFlows(couponRate, schedule, frequency) {
+  const coupon = couponRate / frequency;
+  return schedule.upcoming.map((_, i) =>
+    i === schedule.upcoming.length - 1 ? coupon + 100 : coupon,
+  );
+}
+
+// Dirty price per 100 face for an annual yield y (decimal). `offset` is the
+// fraction of a period until the next coupon.
+function priceFromYield(y, flows, offset, frequency) {
+  const base = 1 + y / frequency;
+  return flows.reduce((pv, cf, i) => pv + cf / base ** (offset + i), 0);
+}
+
+// Bisection: price falls monotonically as yield rises
+function solveYield(dirtyPrice, flows, offset, frequency) {
+  let lo = -0.5;
+  let hi = 2;
+  if (
+    priceFromYield(lo, flows, offset, frequency) < dirtyPrice ||
+    priceFromYield(hi, flows, offset, frequency) > dirtyPrice
+  ) {
+    return null;
+  }
+
+  for (let i = 0; i < 200 && hi - lo > 1e-12; i++) {
+    const mid = (lo + hi) / 2;
+    if (priceFromYield(mid, flows, offset, frequency) > dirtyPrice) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Full analytics for one bond at one clean price. Returns null when the
+// inputs cannot produce a yield (matured bond, non-positive price, or a
+// price no yield between -50% and 200% explains).
+export function bondAnalytics({
+  cleanPrice,
+  couponRate,
+  maturity,
+  settlement,
+  frequency = 1,
+  dayCount = "ACT/ACT",
+}) {
+  const maturityDate = toDate(maturity);
+  const settlementDate = toDate(settlement);
+  if (!(cleanPrice > 0) || !(settlementDate < maturityDate)) return null;
+
+  const schedule = couponSchedule(settlementDate, maturityDate, frequency);
+  const next = schedule.upcoming[0];
+  const elapsed = elapsedFraction(
+    schedule.previous,
+    next,
+    settlementDate,
+    frequency,
+    dayCount,
+  );
+  const offset = 1 - elapsed;
+  const accruedInterest = (couponRate / frequency) * elapsed;
+  const dirtyPrice = cleanPrice + accruedInterest;
+
+  const flows = cashFlows(couponRate, schedule, frequency);
+  const y = solveYield(dirtyPrice, flows, offset, frequency);
+  if (y === null) return null;
+
+  const base = 1 + y / frequency;
+  let weighted = 0;
+  let convexitySum = 0;
+  flows.forEach((cf, i) => {
+    const periods = offset + i;
+    const pv = cf / base ** periods;
+    weighted += periods * pv;
+    convexitySum += pv * periods * (periods + 1);
+  });
+
+  const macaulayDuration = weighted / dirtyPrice / frequency;
+
+  return {
+    ytm: y * 100,
+    currentYield: (couponRate / cleanPrice) * 100,
+    accruedInterest,
+    dirtyPrice,
+    macaulayDuration,
+    modifiedDuration: macaulayDuration / base,
+    convexity: convexitySum / (dirtyPrice * base ** 2 * frequency ** 2),
+  };
+}
+
+// Coupon frequency and day count for a traded row. G-secs and SDLs pay
+// half-yearly on 30/360; listed corporate bonds default to annual ACT/ACT.
+export function conventionFor(row) {
+  const isGovernment =
+    ["GS", "SG", "TB"].includes(row.series) ||
+    /g-?sec|government|sdl/i.test(row.bond_type || "");
+  return isGovernment
+    ? { frequency: 2, dayCount: "30/360" }
+    : { frequency: 1, dayCount: "ACT/ACT" };
+}
+
+const round = (value, places) =>
+  value === null ? null : Number(value.toFixed(places));
+
+// bond_trades analytics columns for a row. Coupon, maturity and face value
+// come from the row, else from its securities master entry. Rows missing
+// an input, or whose price does not look like a percentage of face once
+// scaled, get nulls.
+export function tradeAnalytics(row, security = null) {
+  const empty = {
+    ytm: null,
+    current_yield: null,
+    macaulay_duration: null,
+    modified_duration: null,
+    convexity: null,
+  };
+
+  const couponRate = row.coupon_rate ?? security?.coupon_rate ?? null;
+  const maturity = row.maturity_date ?? security?.maturity_date ?? null;
+  const faceValue = row.face_value ?? security?.face_value ?? null;
+  if (couponRate === null || !maturity || !(faceValue > 0) || !(row.ltp > 0)) {
+    return empty;
+  }
+
+  const cleanPrice = (row.ltp / faceValue) * 100;
+  if (cleanPrice < 10 || cleanPrice > 300) return empty;
+
+  const result = bondAnalytics({
+    cleanPrice,
+    couponRate,
+    maturity,
+    settlement: row.trade_date,
+    ...conventionFor(row),
+  });
+  if (!result) return empty;
+
+  return {
+    ytm: round(result.ytm, 4),
+    current_yield: round(result.currentYield, 4),
+    macaulay_duration: round(result.macaulayDuration, 4),
+    modified_duration: round(result.modifiedDuration, 4),
+    convexity: round(result.convexity, 4),
+  };
+}
@@ -0,0 +1,352 @@
+// Read-only HTTP API over bond_trades (api.mjs), so consumers get an API
+// key instead of database credentials. Rows come from the store
+// (lib/storage), the same table the scraper loads whatever the backend.
+//
+//   GET /trades?date=&exchange=&security=   trades, by date and exchange
+//   GET /securities/:id/history?from=&to=   one bond's trades by date; id
+//                                           is an ISIN or security code
+//   GET /summary/:date                      per-exchange totals for a day
+//
+// Lists are paged with limit (default 100, at most 1000) and offset; the
+// total is sent as X-Total-Count and the neighbouring pages in a Link
+// header. Responses are JSON unless Accept prefers text/csv, or
+// ?format=csv asks for it. Every request needs one of the API_KEYS, as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>".
+import { createHash, timingSafeEqual } from "crypto";
+import { stringify } from "csv-stringify/sync";
+import { parseDateDB } from "./dates.mjs";
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+const SECURITY_PATTERN = /^[A-Z0-9&._-]{1,40}$/;
+const EXCHANGES = ["NSE", "BSE"];
+const DEFAULT_LIMIT = 100;
+// The most rows PostgREST returns per request
+const MAX_LIMIT = 1000;
+
+// Columns served for a trade; raw_data stays in the database
+export const TRADE_FIELDS = [
+  "id",
+  "trade_date",
+  "exchange",
+  "security_code",
+  "series",
+  "isin",
+  "issuer_name",
+  "coupon_rate",
+  "maturity_date",
+  "ltp",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "bond_type",
+  "face_value",
+  "credit_rating",
+  "ytm",
+  "current_yield",
+  "macaulay_duration",
+  "modified_duration",
+  "convexity",
+];
+
+export const SUMMARY_FIELDS = [
+  "exchange",
+  "records",
+  "securities",
+  "no_of_trades",
+  "traded_volume",
+  "turnover_rs_lacs",
+];
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+function requestError(statusCode, message, headers = {}) {
+  return Object.assign(new Error(message), { statusCode, headers });
+}
+
+// API keys from a comma-separated API_KEYS value
+export function parseApiKeys(value) {
+  return new Set(
+    String(value || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+  );
+}
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+// Compares digests, so the time taken says nothing about how close a
+// wrong key was
+function authorize(headers, keyDigests) {
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || "");
+  const key = bearer?.[1] || headers["x-api-key"];
+  const given = key && digest(key.trim());
+  if (!given || !keyDigests.some((known) => timingSafeEqual(known, given))) {
+    throw requestError(401, "A valid API key is required", {
+      "WWW-Authenticate": 'Bearer realm="bond-trades"',
+    });
+  }
+}
+
+// ?format= wins; otherwise the served type the Accept header ranks
+// highest, JSON when it has no preference
+export function negotiateFormat(accept, format) {
+  if (format) {
+    const name = format.toLowerCase();
+    if (!CONTENT_TYPES[name]) {
+      throw requestError(
+        400,
+        `format must be one of ${Object.keys(CONTENT_TYPES).join(", ")}, got "${format}"`,
+      );
+    }
+    return name;
+  }
+  if (!accept) return "json";
+
+  const ranges = accept
+    .split(",")
+    .map((part, index) => {
+      const [type, ...params] = part.split(";").map((p) => p.trim());
+      const q = params.find((p) => p.startsWith("q="));
+      return { type: type.toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter((range) => range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const { type } of ranges) {
+    if (["application/json", "application/*", "*/*"].includes(type)) {
+      return "json";
+    }
+    if (["text/csv", "text/*"].includes(type)) return "csv";
+  }
+  throw requestError(406, "Only application/json and text/csv are served");
+}
+
+function parseDate(value, name) {
+  if (!parseDateDB(value)) {
+    throw requestError(
+      400,
+      `${name} must be a date as YYYY-MM-DD, got "${value}"`,
+    );
+  }
+  return value;
+}
+
+function optionalDate(params, name) {
+  const value = params.get(name);
+  return value ? parseDate(value, name) : undefined;
+}
+
+function wholeNumber(params, name, fallback) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return fallback;
+  if (!/^\d+$/.test(raw)) {
+    throw requestError(400, `${name} must be a whole number, got "${raw}"`);
+  }
+  return Number(raw);
+}
+
+function parsePage(params) {
+  const limit = wholeNumber(params, "limit", DEFAULT_LIMIT);
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw requestError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  return { limit, offset: wholeNumber(params, "offset", 0) };
+}
+
+// An ISIN or an exchange security code, as the /bond bot command takes
+function securityFilter(value) {
+  const term = value.trim().toUpperCase();
+  if (!SECURITY_PATTERN.test(term)) {
+    throw requestError(400, `"${value}" is not an ISIN or security code`);
+  }
+  return ISIN_PATTERN.test(term) ? { isin: term } : { securityCode: term };
+}
+
+const pickTrade = (row) =>
+  Object.fromEntries(TRADE_FIELDS.map((field) => [field, row[field] ?? null]));
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Per-exchange totals for a day's rows, then all exchanges together
+export function summarizeTrades(rows) {
+  const groups = [
+    ...EXCHANGES.map((exchange) => [
+      exchange,
+      rows.filter((row) => row.exchange === exchange),
+    ]),
+    ["ALL", rows],
+  ];
+  return groups
+    .filter(([, group]) => group.length)
+    .map(([exchange, group]) => {
+      const sum = (field) =>
+        round(group.reduce((total, row) => total + Number(row[field] || 0), 0));
+      return {
+        exchange,
+        records: group.length,
+        // A bond traded on both exchanges counts once, by its ISIN
+        securities: new Set(
+          group.map(
+            (row) => row.isin || `${row.exchange} ${row.security_code}`,
+          ),
+        ).size,
+        no_of_trades: sum("no_of_trades"),
+        traded_volume: sum("traded_volume"),
+        turnover_rs_lacs: sum("turnover_rs_lacs"),
+      };
+    });
+}
+
+async function listTrades(store, params) {
+  const exchange = params.get("exchange")?.toUpperCase();
+  if (exchange && !EXCHANGES.includes(exchange)) {
+    throw requestError(
+      400,
+      `exchange must be one of ${EXCHANGES.join(", ")}, got "${params.get("exchange")}"`,
+    );
+  }
+  const security = params.get("security");
+  const filter = {
+    date: optionalDate(params, "date"),
+    exchange: exchange || undefined,
+    ...(security ? securityFilter(security) : {}),
+  };
+
+  const page = parsePage(params);
+  const { rows, total } = await store.findTrades(filter, page);
+  return { body: { data: rows.map(pickTrade) }, page: { ...page, total } };
+}
+
+async function securityHistory(store, params, id) {
+  const filter = {
+    ...securityFilter(id),
+    from: optionalDate(params, "from"),
+    to: optionalDate(params, "to"),
+  };
+
+  const page = parsePage(params);
+  const { rows, total } = await store.findTrades(filter, page);
+  if (!total) throw requestError(404, `No trades stored for ${id}`);
+  return {
+    body: { security: id.trim().toUpperCase(), data: rows.map(pickTrade) },
+    page: { ...page, total },
+  };
+}
+
+async function daySummary(store, params, date) {
+  parseDate(date, "date");
+
+  const rows = [];
+  for (let offset = 0; ; offset += MAX_LIMIT) {
+    const page = await store.findTrades({ date }, { limit: MAX_LIMIT, offset });
+    rows.push(...page.rows);
+    if (rows.length >= page.total || !page.rows.length) break;
+  }
+  if (!rows.length) throw requestError(404, `No trades stored for ${date}`);
+  return {
+    body: { date, data: summarizeTrades(rows) },
+    fields: SUMMARY_FIELDS,
+  };
+}
+
+const ROUTES = [
+  [/^\/trades\/?$/, listTrades],
+  [/^\/securities\/([^/]+)\/history\/?$/, securityHistory],
+  [/^\/summary\/([^/]+)\/?$/, daySummary],
+];
+
+function decodePathPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw requestError(400, `Malformed path segment "${part}"`);
+  }
+}
+
+// Links to the previous and next pages of a list
+function pageLinks(url, { limit, offset, total }) {
+  const link = (rel, to) => {
+    const target = new URL(url);
+    target.searchParams.set("limit", limit);
+    target.searchParams.set("offset", to);
+    return `<${target.pathname}${target.search}>; rel="${rel}"`;
+  };
+  const links = [];
+  if (offset > 0) links.push(link("prev", Math.max(0, offset - limit)));
+  if (offset + limit < total) links.push(link("next", offset + limit));
+  return links.join(", ");
+}
+
+function send(res, statusCode, headers, body) {
+  res.writeHead(statusCode, {
+    "Content-Length": Buffer.byteLength(body),
+    ...headers,
+  });
+  res.end(body);
+}
+
+function sendError(res, statusCode, message, headers = {}) {
+  send(
+    res,
+    statusCode,
+    { "Content-Type": CONTENT_TYPES.json, ...headers },
+    JSON.stringify({ error: message }),
+  );
+}
+
+// A request listener for http.createServer. apiKeys is a Set or array of
+// the keys allowed in.
+export function createApiHandler({ store, apiKeys }) {
+  const keyDigests = [...apiKeys].map(digest);
+
+  return async function handleRequest(req, res) {
+    try {
+      authorize(req.headers, keyDigests);
+      if (req.method !== "GET") {
+        throw requestError(405, `${req.method} is not supported`, {
+          Allow: "GET",
+        });
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+      if (!route) throw requestError(404, `No route for ${url.pathname}`);
+      const [pattern, handler] = route;
+      const args = pattern.exec(url.pathname).slice(1).map(decodePathPart);
+
+      const format = negotiateFormat(
+        req.headers.accept,
+        url.searchParams.get("format"),
+      );
+      const {
+        body,
+        page,
+        fields = TRADE_FIELDS,
+      } = await handler(store, url.searchParams, ...args);
+
+      const headers = { "Content-Type": CONTENT_TYPES[format], Vary: "Accept" };
+      if (page) {
+        headers["X-Total-Count"] = String(page.total);
+        const links = pageLinks(url, page);
+        if (links) headers.Link = links;
+      }
+      send(
+        res,
+        200,
+        headers,
+        format === "csv"
+          ? stringify(body.data, { header: true, columns: fields })
+          : JSON.stringify(page ? { ...body, pagination: page } : body),
+      );
+    } catch (err) {
+      if (err.statusCode) {
+        return sendError(res, err.statusCode, err.message, err.headers);
+      }
+      console.error(`API ${req.method} ${req.url} failed:`, err.message);
+      sendError(res, 500, "Internal error");
+    }
+  };
+}
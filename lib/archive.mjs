@@ -0,0 +1,77 @@
+// Raw payload archive in the store's files (the data-dump bucket on
+// Supabase, see lib/storage). Every file downloaded from an exchange is
+// kept as-is under
+//
+//   bond-scraper-raw/<EXCHANGE>/<YYYY>/<YYYY-MM-DD>/<source>-<sha256 prefix>.<ext>
+//
+// next to a latest.json manifest pointing at the most recent payload for
+// that day, so a day can be re-parsed and re-loaded without contacting
+// the exchange.
+import { createHash } from "crypto";
+
+const PREFIX = "bond-scraper-raw";
+
+function dayFolder(exchange, tradeDate) {
+  return `${PREFIX}/${exchange}/${tradeDate.slice(0, 4)}/${tradeDate}`;
+}
+
+function fileType(body) {
+  const firstLine = body.split(/\r?\n/, 1)[0] || "";
+  return firstLine.includes("\t")
+    ? { extension: "tsv", contentType: "text/tab-separated-values" }
+    : { extension: "csv", contentType: "text/csv" };
+}
+
+export function sha256(body) {
+  return createHash("sha256").update(body).digest("hex");
+}
+
+// Store a payload and point the day's manifest at it. Identical content
+// lands on the same path, so re-archiving the same download is a no-op.
+export async function archivePayload(store, exchange, tradeDate, payload) {
+  const hash = sha256(payload.body);
+  const { extension, contentType } = fileType(payload.body);
+  const folder = dayFolder(exchange, tradeDate);
+  const path = `${folder}/${payload.source}-${hash.slice(0, 16)}.${extension}`;
+
+  await store.writeFile(path, payload.body, `${contentType}; charset=utf-8`);
+
+  const manifest = {
+    exchange,
+    trade_date: tradeDate,
+    source: payload.source,
+    path,
+    sha256: hash,
+    bytes: Buffer.byteLength(payload.body),
+    archived_at: new Date().toISOString(),
+  };
+  await store.writeFile(
+    `${folder}/latest.json`,
+    JSON.stringify(manifest, null, 2),
+    "application/json",
+  );
+
+  return manifest;
+}
+
+// Load the latest archived payload for a day, checking it against the
+// hash in the manifest. Returns null when nothing was archived.
+export async function loadArchivedPayload(store, exchange, tradeDate) {
+  const folder = dayFolder(exchange, tradeDate);
+
+  const manifestFile = await store.readFile(`${folder}/latest.json`);
+  if (!manifestFile) return null;
+  const manifest = JSON.parse(manifestFile.toString("utf8"));
+
+  const file = await store.readFile(manifest.path);
+  if (!file) throw new Error(`Archived payload ${manifest.path} is missing`);
+  const body = file.toString("utf8");
+
+  if (sha256(body) !== manifest.sha256) {
+    throw new Error(
+      `Archived payload ${manifest.path} does not match its hash`,
+    );
+  }
+
+  return { manifest, payload: { source: manifest.source, body } };
+}
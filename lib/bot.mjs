@@ -0,0 +1,257 @@
+// Commands for the interactive Telegram bot (bot.mjs). Handlers only need
+// onText/sendMessage from the Telegram client, so tests can pass a fake.
+//
+//   /bond <ISIN or symbol>   latest trades and recent history for a bond
+//   /top [turnover]          the latest day's most-traded bonds
+//   /status                  outcome of the last daily run
+//   /rerun <YYYY-MM-DD>      reload a date from the exchanges (admins only)
+import { loadLatestRun } from "./runs.mjs";
+import { parseDateDB } from "./dates.mjs";
+import { escapeHtml } from "./telegram.mjs";
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+const HISTORY_ROWS = 10;
+const TOP_ROWS = 10;
+
+const HELP = [
+  "<b>Bond bot commands</b>",
+  "",
+  "/bond &lt;ISIN or symbol&gt; – latest price, turnover and history",
+  "/top turnover – the latest day's most-traded bonds",
+  "/status – result of the last daily run",
+  "/rerun &lt;YYYY-MM-DD&gt; – reload a date (admins only)",
+].join("\n");
+
+function formatNumber(value, digits = 2) {
+  return value === null || value === undefined
+    ? "–"
+    : Number(value).toLocaleString("en-IN", {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+}
+
+// Admin user ids from a comma-separated TELEGRAM_ADMIN_IDS value
+export function parseAdminIds(value) {
+  return new Set(
+    String(value || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean),
+  );
+}
+
+// "/bond@SomeBot INE123" and "/bond INE123" both match
+function command(name) {
+  return new RegExp(`^/${name}(?:@\\w+)?(?:\\s+(.+))?$`, "i");
+}
+
+export async function bondReply(supabase, query) {
+  const term = query.trim().toUpperCase();
+  const column = ISIN_PATTERN.test(term) ? "isin" : "security_code";
+
+  const { data, error } = await supabase
+    .from("bond_trades")
+    .select(
+      "trade_date, exchange, security_code, isin, issuer_name, ltp, turnover_rs_lacs, no_of_trades, ytm",
+    )
+    .eq(column, term)
+    .order("trade_date", { ascending: false })
+    .limit(HISTORY_ROWS * 2);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+
+  if (!data.length) {
+    return `No trades found for <b>${escapeHtml(term)}</b>.`;
+  }
+
+  const latestDate = data[0].trade_date;
+  const latest = data.filter((row) => row.trade_date === latestDate);
+  const name = data.find((row) => row.issuer_name)?.issuer_name || term;
+  const isin = data.find((row) => row.isin)?.isin;
+
+  const lines = [
+    `<b>${escapeHtml(name)}</b>${isin ? ` (${escapeHtml(isin)})` : ""}`,
+    "",
+    `<b>Latest (${latestDate}):</b>`,
+    ...latest.map(
+      (row) =>
+        `• ${row.exchange} ${escapeHtml(row.security_code)}: ₹${formatNumber(row.ltp)}, ` +
+        `turnover ₹${formatNumber(row.turnover_rs_lacs)} L, ` +
+        `${row.no_of_trades ?? "–"} trades` +
+        (row.ytm !== null && row.ytm !== undefined
+          ? `, YTM ${formatNumber(row.ytm)}%`
+          : ""),
+    ),
+  ];
+
+  const history = data.filter((row) => row.trade_date !== latestDate);
+  if (history.length) {
+    lines.push("", "<b>History:</b>");
+    for (const row of history.slice(0, HISTORY_ROWS)) {
+      lines.push(
+        `${row.trade_date} ${row.exchange}: ₹${formatNumber(row.ltp)}, ₹${formatNumber(row.turnover_rs_lacs)} L`,
+      );
+    }
+  }
+
+  return lines.join("\n");
+}
+
+export async function topReply(supabase, metric = "turnover") {
+  if (metric.toLowerCase() !== "turnover") {
+    return `Unknown ranking "${escapeHtml(metric)}". Try /top turnover.`;
+  }
+
+  const { data: latest, error: latestError } = await supabase
+    .from("bond_daily")
+    .select("trade_date")
+    .order("trade_date", { ascending: false })
+    .limit(1);
+  if (latestError) throw new Error(`DB read failed: ${latestError.message}`);
+  if (!latest.length) return "No trading data yet.";
+
+  const tradeDate = latest[0].trade_date;
+  const { data, error } = await supabase
+    .from("bond_daily")
+    .select("bond_key, issuer_name, total_turnover_rs_lacs, last_price")
+    .eq("trade_date", tradeDate)
+    .order("total_turnover_rs_lacs", { ascending: false, nullsFirst: false })
+    .limit(TOP_ROWS);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+
+  return [
+    `<b>Top ${data.length} bonds by turnover, ${tradeDate}</b>`,
+    "",
+    ...data.map(
+      (row, i) =>
+        `${i + 1}. ${escapeHtml(row.issuer_name || row.bond_key)}: ` +
+        `₹${formatNumber(row.total_turnover_rs_lacs)} L @ ₹${formatNumber(row.last_price)}`,
+    ),
+  ].join("\n");
+}
+
+const RUN_STATUS = {
+  success: "✅ Succeeded",
+  degraded: "⚠️ Degraded",
+  failed: "❌ Failed",
+};
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
+
+function exchangeLine(name, result) {
+  if (!result) return `– ${name}: not recorded`;
+  if (result.status === "success") {
+    return `✅ ${name}: ${result.count} records${result.rejected ? `, ${result.rejected} rejected` : ""}`;
+  }
+  if (result.status === "closed") {
+    return `🏖️ ${name}: market closed (${result.closed})`;
+  }
+  return `❌ ${name}: ${escapeHtml(result.error || "failed")}`;
+}
+
+export async function statusReply(supabase) {
+  const run = await loadLatestRun(supabase);
+  if (!run) return "No run has been recorded yet.";
+
+  if (run.status === "running") {
+    return (
+      `<b>Run for ${run.target_date}</b>\n` +
+      `⏳ Started ${formatTime(run.started_at)} and has not finished`
+    );
+  }
+
+  const lines = [
+    `<b>Last run for ${run.target_date}</b>`,
+    `${RUN_STATUS[run.status]}, finished ${formatTime(run.finished_at)}`,
+    "",
+    exchangeLine("NSE", run.exchanges?.NSE),
+    exchangeLine("BSE", run.exchanges?.BSE),
+  ];
+  for (const anomaly of run.anomalies || []) {
+    lines.push(`🩺 ${escapeHtml(anomaly.message)}`);
+  }
+  if (run.consolidation?.error) {
+    lines.push("⚠️ Consolidation failed");
+  } else if (run.consolidation) {
+    lines.push(`🔀 ${run.consolidation.bonds} bonds consolidated`);
+  }
+  if (run.gaps?.error) {
+    lines.push("⚠️ Gap check failed");
+  } else if (run.gaps) {
+    lines.push(
+      `🩹 ${run.gaps.filled.length} gaps filled, ${run.gaps.unrecovered.length} not recovered`,
+    );
+  }
+  // Exchange errors are on their lines already
+  for (const error of run.errors || []) {
+    if (!run.exchanges?.[error.scope]) {
+      lines.push(`⚠️ ${escapeHtml(error.scope)}: ${escapeHtml(error.message)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Wire the commands to a Telegram client. runRerun(date) reloads a date
+// and resolves with { ok, output }; only one rerun runs at a time.
+export function registerCommands(bot, { supabase, adminIds, runRerun }) {
+  let rerunning = null;
+
+  const reply = (msg, text) =>
+    bot.sendMessage(msg.chat.id, text, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    });
+
+  // Report failures to the chat instead of crashing the polling loop
+  const handle = (pattern, handler) =>
+    bot.onText(pattern, async (msg, match) => {
+      try {
+        await handler(msg, match);
+      } catch (err) {
+        console.error(`Command ${msg.text} failed:`, err.message);
+        await reply(msg, `⚠️ ${escapeHtml(err.message)}`).catch(() => {});
+      }
+    });
+
+  handle(command("(?:start|help)"), (msg) => reply(msg, HELP));
+
+  handle(command("bond"), async (msg, match) => {
+    if (!match[1]) return reply(msg, "Usage: /bond &lt;ISIN or symbol&gt;");
+    await reply(msg, await bondReply(supabase, match[1]));
+  });
+
+  handle(command("top"), async (msg, match) => {
+    await reply(msg, await topReply(supabase, match[1] || "turnover"));
+  });
+
+  handle(command("status"), async (msg) => {
+    await reply(msg, await statusReply(supabase));
+  });
+
+  handle(command("rerun"), async (msg, match) => {
+    if (!adminIds.has(String(msg.from?.id))) {
+      return reply(msg, "⛔ Only admins can rerun the scraper.");
+    }
+    const date = (match[1] || "").trim();
+    if (!parseDateDB(date)) {
+      return reply(msg, "Usage: /rerun &lt;YYYY-MM-DD&gt;");
+    }
+    if (rerunning) {
+      return reply(msg, `⏳ A rerun for ${rerunning} is already running.`);
+    }
+
+    rerunning = date;
+    try {
+      await reply(msg, `🔄 Rerunning ${date}...`);
+      const { ok, output } = await runRerun(date);
+      await reply(
+        msg,
+        `${ok ? "✅" : "❌"} Rerun for ${date} ${ok ? "finished" : "failed"}` +
+          (output ? `\n\n<pre>${escapeHtml(output)}</pre>` : ""),
+      );
+    } finally {
+      rerunning = null;
+    }
+  });
+}
@@ -0,0 +1,73 @@
+// Exchange trading calendar. Weekends are always closed; weekday holidays
+// come from lib/holidays.json, which lists each exchange's trading
+// holidays for the years in its "years" array. refresh-holidays.mjs
+// updates it from an exchange's holiday circular.
+import { readFileSync } from "fs";
+import { formatDateDB } from "./dates.mjs";
+
+export const HOLIDAYS_FILE = new URL("./holidays.json", import.meta.url);
+
+let calendar = JSON.parse(readFileSync(HOLIDAYS_FILE, "utf8"));
+
+// Years with no holiday list are treated as weekends-only, once warned
+const warned = new Set();
+
+// Swap in a different holiday list, e.g. after a refresh
+export function setCalendar(data) {
+  calendar = data;
+  warned.clear();
+}
+
+export function getCalendar() {
+  return calendar;
+}
+
+function toDateDB(date) {
+  return typeof date === "string" ? date : formatDateDB(date);
+}
+
+function isWeekend(dateDB) {
+  const day = new Date(`${dateDB}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+// Holiday name for an exchange on a date, or null
+export function holidayName(exchange, date) {
+  const dateDB = toDateDB(date);
+  const entry = calendar[exchange];
+  const year = Number(dateDB.slice(0, 4));
+
+  if (!entry?.years.includes(year)) {
+    const key = `${exchange} ${year}`;
+    if (!warned.has(key)) {
+      warned.add(key);
+      console.warn(
+        `⚠️ No ${exchange} holiday list for ${year}; only weekends count as closed`,
+      );
+    }
+    return null;
+  }
+  return entry.holidays[dateDB] || null;
+}
+
+// Why an exchange is closed on a date ("weekend" or the holiday name),
+// or null when it trades
+export function closedReason(exchange, date) {
+  const dateDB = toDateDB(date);
+  if (isWeekend(dateDB)) return "weekend";
+  return holidayName(exchange, dateDB);
+}
+
+export function isTradingDay(exchange, date) {
+  return closedReason(exchange, date) === null;
+}
+
+// The latest date on or before `date` when any of the exchanges trade
+export function lastTradingDay(date, exchanges = Object.keys(calendar)) {
+  const d = new Date(`${toDateDB(date)}T00:00:00Z`);
+  for (let i = 0; i < 30; i++) {
+    if (exchanges.some((exchange) => isTradingDay(exchange, d))) return d;
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  throw new Error(`No trading day in the 30 days up to ${toDateDB(date)}`);
+}
@@ -0,0 +1,167 @@
+// Cross-exchange daily view: one bond_daily row per bond per trade date,
+// combining that day's NSE and BSE trades. Bonds are matched on ISIN;
+// rows without one stay single-exchange under their own exchange code.
+import { loadTrades } from "./store.mjs";
+
+const EXCHANGES = ["NSE", "BSE"];
+
+// Rows per upsert, and stale bond keys per delete
+const CHUNK_SIZE = 200;
+const PAGE_SIZE = 1000;
+
+function bondKey(row) {
+  if (row.isin) return row.isin;
+  return [row.exchange, row.security_code, row.series]
+    .filter(Boolean)
+    .join(":");
+}
+
+function sumOrNull(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  return present.length ? present.reduce((a, b) => a + b, 0) : null;
+}
+
+// Totals for one exchange's rows of one bond
+function exchangeTotals(rows) {
+  return {
+    ltp: rows[rows.length - 1].ltp,
+    turnover: sumOrNull(rows.map((r) => r.turnover_rs_lacs)),
+    trades: sumOrNull(rows.map((r) => r.no_of_trades)),
+    volume: sumOrNull(rows.map((r) => r.traded_volume)),
+  };
+}
+
+function consolidateBond(key, rows, tradeDate, thresholdPct) {
+  const byExchange = {};
+  for (const exchange of EXCHANGES) {
+    const own = rows.filter((r) => r.exchange === exchange);
+    byExchange[exchange] = own.length ? exchangeTotals(own) : null;
+  }
+
+  const legs = EXCHANGES.map((e) => byExchange[e]).filter(Boolean);
+  const turnover = sumOrNull(legs.map((l) => l.turnover));
+  const volume = sumOrNull(legs.map((l) => l.volume));
+
+  // Only rows with both turnover and volume count towards the VWAP, so a
+  // row missing its volume cannot inflate it. Turnover is in lakhs,
+  // prices in rupees per bond.
+  const priced = rows.filter(
+    (r) =>
+      r.turnover_rs_lacs !== null &&
+      r.turnover_rs_lacs !== undefined &&
+      r.traded_volume > 0,
+  );
+  const pricedVolume = sumOrNull(priced.map((r) => r.traded_volume));
+  const vwap = priced.length
+    ? (sumOrNull(priced.map((r) => r.turnover_rs_lacs)) * 100000) / pricedVolume
+    : null;
+
+  // Last price from whichever exchange did more business
+  const primary = legs.reduce((best, leg) =>
+    (leg.turnover || 0) > (best.turnover || 0) ? leg : best,
+  );
+
+  const nse = byExchange.NSE;
+  const bse = byExchange.BSE;
+  let divergencePct = null;
+  if (nse?.ltp > 0 && bse?.ltp > 0) {
+    divergencePct =
+      (Math.abs(nse.ltp - bse.ltp) / Math.min(nse.ltp, bse.ltp)) * 100;
+  }
+
+  const first = rows.find((r) => r.issuer_name) || rows[0];
+
+  return {
+    trade_date: tradeDate,
+    bond_key: key,
+    isin: rows[0].isin || null,
+    issuer_name: first.issuer_name || null,
+    exchanges: legs.length,
+    total_turnover_rs_lacs: turnover,
+    total_trades: sumOrNull(legs.map((l) => l.trades)),
+    total_volume: volume,
+    vwap,
+    last_price: primary.ltp,
+    nse_ltp: nse?.ltp ?? null,
+    nse_turnover_rs_lacs: nse?.turnover ?? null,
+    nse_trades: nse?.trades ?? null,
+    nse_volume: nse?.volume ?? null,
+    bse_ltp: bse?.ltp ?? null,
+    bse_turnover_rs_lacs: bse?.turnover ?? null,
+    bse_trades: bse?.trades ?? null,
+    bse_volume: bse?.volume ?? null,
+    price_divergence_pct: divergencePct,
+    price_mismatch: divergencePct !== null && divergencePct > thresholdPct,
+  };
+}
+
+// Threshold, in percent, above which NSE and BSE prices count as disagreeing
+export function getDivergenceThreshold() {
+  const value = parseFloat(process.env.PRICE_DIVERGENCE_THRESHOLD_PCT);
+  return Number.isFinite(value) && value >= 0 ? value : 1;
+}
+
+// Pure part of the consolidation, exposed for reuse
+export function buildDailyRows(trades, tradeDate, thresholdPct) {
+  const groups = new Map();
+  for (const row of trades) {
+    const key = bondKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  return [...groups].map(([key, rows]) =>
+    consolidateBond(key, rows, tradeDate, thresholdPct),
+  );
+}
+
+// Rebuild bond_daily for a date from what is in bond_trades now. Rows are
+// upserted in chunks and only then are bonds no longer traded that day
+// deleted, so a failed write leaves the day's rows in place.
+export async function consolidateDay(
+  supabase,
+  tradeDate,
+  thresholdPct = getDivergenceThreshold(),
+) {
+  const trades = await loadTrades(supabase, tradeDate);
+  const rows = buildDailyRows(trades, tradeDate, thresholdPct);
+
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const { error } = await supabase
+      .from("bond_daily")
+      .upsert(rows.slice(i, i + CHUNK_SIZE), {
+        onConflict: "trade_date,bond_key",
+      });
+    if (error) throw new Error(`bond_daily upsert failed: ${error.message}`);
+  }
+
+  const keys = new Set(rows.map((r) => r.bond_key));
+  const stale = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("bond_daily")
+      .select("bond_key")
+      .eq("trade_date", tradeDate)
+      .order("bond_key")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`bond_daily read failed: ${error.message}`);
+    stale.push(...data.map((r) => r.bond_key).filter((k) => !keys.has(k)));
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  for (let i = 0; i < stale.length; i += CHUNK_SIZE) {
+    const { error } = await supabase
+      .from("bond_daily")
+      .delete()
+      .eq("trade_date", tradeDate)
+      .in("bond_key", stale.slice(i, i + CHUNK_SIZE));
+    if (error) throw new Error(`bond_daily delete failed: ${error.message}`);
+  }
+
+  return {
+    bonds: rows.length,
+    crossListed: rows.filter((r) => r.exchanges > 1).length,
+    mismatches: rows.filter((r) => r.price_mismatch).length,
+    thresholdPct,
+  };
+}
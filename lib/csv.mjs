@@ -0,0 +1,55 @@
+import { parse as parseCSVLib } from "csv-parse/sync";
+
+export function normalizeHeader(h) {
+  return h.replace(/\n/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Parse CSV or TSV text (delimiter taken from the header line) into
+// objects keyed by normalized header.
+export function parseTabularText(rawText) {
+  let text = rawText;
+  if (text.charCodeAt(0) === 0xfeff) {
+    text = text.slice(1);
+  }
+
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const delimiter = firstLine.includes("\t") ? "\t" : ",";
+
+  return parseCSVLib(text, {
+    columns: (headers) => headers.map(normalizeHeader),
+    delimiter,
+    skip_empty_lines: true,
+    relax_quotes: true,
+    relax_column_count: true,
+    trim: true,
+    bom: true,
+  });
+}
+
+export function getRecordValue(record, keys) {
+  for (const key of keys) {
+    const value = record[key];
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      return value;
+    }
+  }
+  return null;
+}
+
+export function parseOptionalNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+
+  const parsed = parseFloat(String(value).replace(/,/g, ""));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function parseOptionalInteger(value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+
+  const parsed = parseInt(String(value).replace(/,/g, ""), 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
@@ -0,0 +1,56 @@
+function parts(date) {
+  return {
+    day: String(date.getUTCDate()).padStart(2, "0"),
+    month: String(date.getUTCMonth() + 1).padStart(2, "0"),
+    year: date.getUTCFullYear(),
+  };
+}
+
+// Format date as DD/MM/YYYY for BSE
+export function formatDateBSE(date) {
+  const { day, month, year } = parts(date);
+  return `${day}/${month}/${year}`;
+}
+
+// Format date as YYYYMMDD for the BSE download API
+export function formatDateBSEApi(date) {
+  const { day, month, year } = parts(date);
+  return `${year}${month}${day}`;
+}
+
+// Format date as DDMMYYYY for NSE archive file names
+export function formatDateNSEArchive(date) {
+  const { day, month, year } = parts(date);
+  return `${day}${month}${year}`;
+}
+
+// Format date as YYYY-MM-DD for database
+export function formatDateDB(date) {
+  const { day, month, year } = parts(date);
+  return `${year}-${month}-${day}`;
+}
+
+// Parse YYYY-MM-DD into a UTC midnight Date, or null if malformed or not
+// a real day (2026-02-31 would otherwise roll into March)
+export function parseDateDB(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const [, yyyy, mm, dd] = match;
+  const date = new Date(Date.UTC(Number(yyyy), Number(mm) - 1, Number(dd)));
+  return formatDateDB(date) === value ? date : null;
+}
+
+// Every Monday-Friday between two dates, inclusive
+export function listWeekdays(startDate, endDate) {
+  const dates = [];
+  for (
+    let d = new Date(startDate);
+    d <= endDate;
+    d.setUTCDate(d.getUTCDate() + 1)
+  ) {
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) {
+      dates.push(new Date(d));
+    }
+  }
+  return dates;
+}
@@ -0,0 +1,236 @@
+// Market digest for the daily summary: top bonds by turnover, the biggest
+// price moves against each bond's previous trade, exchange turnover
+// against its 20-day average, and turnover by credit rating. The full
+// day's table goes out as a CSV attachment.
+import { stringify } from "csv-stringify/sync";
+import { loadTrades, loadTradesBetween } from "./store.mjs";
+import { formatDateDB, parseDateDB } from "./dates.mjs";
+
+const TOP_BONDS = 10;
+const TOP_MOVES = 5;
+const AVERAGE_DAYS = 20;
+// How far back to look for a bond's previous trade
+const PREVIOUS_TRADE_LOOKBACK_DAYS = 30;
+const EXCHANGES = ["NSE", "BSE"];
+
+// Long-term rating scale, best first; anything else is "Unrated/other"
+const RATING_BUCKETS = ["AAA", "AA", "A", "BBB", "Below BBB"];
+const UNRATED = "Unrated/other";
+
+function tradeKey(row) {
+  return [row.exchange, row.security_code, row.series]
+    .filter(Boolean)
+    .join(":");
+}
+
+function daysBefore(tradeDate, days) {
+  const date = parseDateDB(tradeDate);
+  date.setUTCDate(date.getUTCDate() - days);
+  return formatDateDB(date);
+}
+
+// "CRISIL AA+/Stable", "[ICRA]AA-", "IND A" → AA, AA, A. Short-term
+// ratings (A1+) and withdrawn or missing ratings are unrated.
+export function ratingBucket(rating) {
+  const match = /(?:^|[^A-Z])(AAA|AA|A|BBB|BB|B|C|D)(?=[+-]|[^A-Z0-9]|$)/.exec(
+    String(rating || "").toUpperCase(),
+  );
+  if (!match) return UNRATED;
+  return RATING_BUCKETS.includes(match[1]) ? match[1] : "Below BBB";
+}
+
+// Each exchange row's price change against the same security's latest
+// earlier trade
+function priceMoves(todayRows, earlierRows) {
+  const previous = new Map();
+  for (const row of earlierRows) {
+    if (row.ltp > 0) previous.set(tradeKey(row), row);
+  }
+
+  return todayRows
+    .filter((row) => row.ltp > 0 && previous.has(tradeKey(row)))
+    .map((row) => {
+      const before = previous.get(tradeKey(row));
+      return {
+        key: tradeKey(row),
+        exchange: row.exchange,
+        security_code: row.security_code,
+        issuer_name: row.issuer_name,
+        ltp: row.ltp,
+        previous_ltp: before.ltp,
+        previous_date: before.trade_date,
+        change_pct: ((row.ltp - before.ltp) / before.ltp) * 100,
+      };
+    });
+}
+
+async function exchangeTurnover(supabase, tradeDate) {
+  const { data, error } = await supabase
+    .from("bond_trade_days")
+    .select("trade_date, exchange, turnover_rs_lacs")
+    .lte("trade_date", tradeDate)
+    .gte("trade_date", daysBefore(tradeDate, AVERAGE_DAYS * 2))
+    .order("trade_date", { ascending: false });
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+
+  return EXCHANGES.map((exchange) => {
+    const days = data.filter((d) => d.exchange === exchange);
+    const today = days.find((d) => d.trade_date === tradeDate);
+    const history = days
+      .filter((d) => d.trade_date < tradeDate)
+      .slice(0, AVERAGE_DAYS);
+    const average = history.length
+      ? history.reduce((sum, d) => sum + Number(d.turnover_rs_lacs || 0), 0) /
+        history.length
+      : null;
+    const turnover = today ? Number(today.turnover_rs_lacs || 0) : null;
+
+    return {
+      exchange,
+      turnover,
+      average,
+      days: history.length,
+      change_pct:
+        turnover !== null && average > 0
+          ? ((turnover - average) / average) * 100
+          : null,
+    };
+  });
+}
+
+function ratingBreakdown(rows) {
+  const buckets = new Map(
+    [...RATING_BUCKETS, UNRATED].map((b) => [b, { bonds: 0, turnover: 0 }]),
+  );
+  for (const row of rows) {
+    const bucket = buckets.get(ratingBucket(row.credit_rating));
+    bucket.bonds++;
+    bucket.turnover += row.turnover_rs_lacs || 0;
+  }
+  return [...buckets]
+    .filter(([, b]) => b.bonds)
+    .map(([rating, b]) => ({ rating, ...b }));
+}
+
+// Everything the digest shows for a trade date, plus the rows for the
+// CSV attachment
+export async function buildDigest(supabase, tradeDate) {
+  const { data: top, error } = await supabase
+    .from("bond_daily")
+    .select("bond_key, issuer_name, total_turnover_rs_lacs, last_price")
+    .eq("trade_date", tradeDate)
+    .order("total_turnover_rs_lacs", { ascending: false, nullsFirst: false })
+    .limit(TOP_BONDS);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+
+  const today = await loadTrades(supabase, tradeDate);
+  const earlier = await loadTradesBetween(
+    supabase,
+    daysBefore(tradeDate, PREVIOUS_TRADE_LOOKBACK_DAYS),
+    tradeDate,
+    "trade_date, exchange, security_code, series, ltp",
+  );
+
+  const moves = priceMoves(today, earlier);
+  const moveByKey = new Map(moves.map((m) => [m.key, m]));
+  const biggest = [...moves].sort(
+    (a, b) => Math.abs(b.change_pct) - Math.abs(a.change_pct),
+  );
+
+  return {
+    tradeDate,
+    top,
+    moves: biggest.slice(0, TOP_MOVES),
+    turnover: await exchangeTurnover(supabase, tradeDate),
+    ratings: ratingBreakdown(today),
+    rows: today.map((row) => ({
+      ...row,
+      change_pct: moveByKey.get(tradeKey(row))?.change_pct ?? null,
+    })),
+  };
+}
+
+const lakhs = (value) =>
+  `₹${Number(value || 0).toLocaleString("en-IN", { maximumFractionDigits: 0 })} L`;
+
+const signed = (pct) => `${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%`;
+
+// Digest as report blocks (see lib/notify/report.mjs)
+export function digestBlocks(digest) {
+  const blocks = [];
+
+  if (digest.top.length) {
+    blocks.push({
+      heading: `🏆 Top ${digest.top.length} by turnover`,
+      lines: digest.top.map(
+        (row, i) =>
+          `${i + 1}. ${row.issuer_name || row.bond_key}: ${lakhs(row.total_turnover_rs_lacs)} @ ${row.last_price ?? "–"}`,
+      ),
+    });
+  }
+
+  if (digest.moves.length) {
+    blocks.push({
+      heading: "📈 Biggest price moves",
+      lines: digest.moves.map(
+        (move) =>
+          `• ${move.exchange} ${move.issuer_name || move.security_code}: ${move.previous_ltp} → ${move.ltp} (${signed(move.change_pct)} since ${move.previous_date})`,
+      ),
+    });
+  }
+
+  const turnover = digest.turnover.filter((t) => t.turnover !== null);
+  if (turnover.length) {
+    blocks.push({
+      heading: `💰 Turnover vs ${AVERAGE_DAYS}-day average`,
+      lines: turnover.map(
+        (t) =>
+          `• ${t.exchange}: ${lakhs(t.turnover)}` +
+          (t.change_pct !== null
+            ? ` (${signed(t.change_pct)} vs ${lakhs(t.average)} over ${t.days} days)`
+            : ""),
+      ),
+    });
+  }
+
+  if (digest.ratings.length) {
+    blocks.push({
+      heading: "🏷️ By rating",
+      lines: digest.ratings.map(
+        (r) => `• ${r.rating}: ${r.bonds} bonds, ${lakhs(r.turnover)}`,
+      ),
+    });
+  }
+
+  return blocks;
+}
+
+const CSV_COLUMNS = [
+  "trade_date",
+  "exchange",
+  "security_code",
+  "series",
+  "isin",
+  "issuer_name",
+  "coupon_rate",
+  "maturity_date",
+  "credit_rating",
+  "ltp",
+  "change_pct",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "ytm",
+  "modified_duration",
+];
+
+// The day's full table, highest turnover first
+export function digestCsv(digest) {
+  const rows = [...digest.rows].sort(
+    (a, b) => (b.turnover_rs_lacs || 0) - (a.turnover_rs_lacs || 0),
+  );
+  return Buffer.from(
+    stringify(rows, { header: true, columns: CSV_COLUMNS }),
+    "utf8",
+  );
+}
@@ -0,0 +1,109 @@
+// Gap detector: trading days in the last few days with no bond_trades
+// rows for an exchange, because a scheduled run never happened or the
+// exchange failed, re-fetched from the exchange's historic data.
+import { adapters } from "./adapters/index.mjs";
+import { ingestDay } from "./ingest.mjs";
+import { archivePayload } from "./archive.mjs";
+import { consolidateDay } from "./consolidate.mjs";
+import { isTradingDay } from "./calendar.mjs";
+import { formatDateDB, parseDateDB } from "./dates.mjs";
+
+const DEFAULT_CATCHUP_DAYS = 10;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Calendar days back from the target date to look for gaps
+// (CATCHUP_DAYS, default 10). 0 turns the detector off.
+export function getCatchupDays() {
+  const raw = process.env.CATCHUP_DAYS;
+  if (raw === undefined || raw.trim() === "") return DEFAULT_CATCHUP_DAYS;
+
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`CATCHUP_DAYS must be a whole number, got "${raw}"`);
+  }
+  return days;
+}
+
+// Exchange trading days in the `days` calendar days before targetDate
+// (YYYY-MM-DD) that have no rows in store (lib/storage), oldest first
+export async function findGaps(
+  store,
+  targetDate,
+  days,
+  exchanges = Object.keys(adapters),
+) {
+  if (days === 0) return [];
+
+  const end = parseDateDB(targetDate);
+  const start = new Date(end);
+  start.setUTCDate(start.getUTCDate() - days);
+
+  const data = await store.loadTradeDays(formatDateDB(start), targetDate);
+  const present = new Set(data.map((d) => `${d.exchange} ${d.trade_date}`));
+
+  const gaps = [];
+  for (let d = start; d < end; d.setUTCDate(d.getUTCDate() + 1)) {
+    const date = formatDateDB(d);
+    for (const exchange of exchanges) {
+      if (isTradingDay(exchange, date) && !present.has(`${exchange} ${date}`)) {
+        gaps.push({ exchange, date });
+      }
+    }
+  }
+  return gaps;
+}
+
+// Fetch and store each gap from the exchange's historic data into store
+// (lib/storage), then rebuild bond_daily for the dates that got rows when
+// there is a Supabase client. Gaps the exchange has no data for, or that
+// fail, are returned as unrecovered.
+export async function fillGaps({ supabase, store }, gaps) {
+  const filled = [];
+  const unrecovered = [];
+
+  for (const { exchange, date } of gaps) {
+    const adapter = adapters[exchange];
+    try {
+      const fetched = await adapter.fetchHistoric(parseDateDB(date));
+      if (!fetched) {
+        unrecovered.push({ exchange, date, reason: "no historic data" });
+        console.log(`  ${exchange} ${date}: no historic data`);
+        continue;
+      }
+
+      try {
+        await archivePayload(store, exchange, date, fetched.payload);
+      } catch (err) {
+        console.error(`  ${exchange} ${date} archive failed:`, err.message);
+      }
+
+      const { count } = await ingestDay(
+        { supabase, store },
+        adapter,
+        fetched.records,
+        date,
+      );
+      filled.push({ exchange, date, count });
+      console.log(`  ${exchange} ${date}: filled with ${count} records`);
+    } catch (err) {
+      unrecovered.push({ exchange, date, reason: err.message });
+      console.error(`  ${exchange} ${date} gap fill failed:`, err.message);
+    }
+
+    await sleep(1000);
+  }
+
+  if (!supabase) return { filled, unrecovered };
+  for (const date of new Set(filled.map((f) => f.date))) {
+    try {
+      await consolidateDay(supabase, date);
+    } catch (err) {
+      console.error(`  ${date} consolidation failed:`, err.message);
+    }
+  }
+
+  return { filled, unrecovered };
+}
@@ -0,0 +1,81 @@
+// Health check for a day's stored rows. Flags an exchange that stored no
+// rows on one of its trading days, or far fewer than its trailing average,
+// so a run that "succeeded" on a truncated file is marked degraded.
+import { isTradingDay } from "./calendar.mjs";
+
+const DEFAULT_MIN_ROW_RATIO = 0.5;
+// Trading days the average is taken over, and how many it needs
+const AVERAGE_DAYS = 20;
+const MIN_HISTORY_DAYS = 5;
+
+// Fraction of the trailing average below which a row count is flagged
+// (HEALTH_MIN_ROW_RATIO, default 0.5). 0 turns the comparison off.
+export function getMinRowRatio() {
+  const raw = process.env.HEALTH_MIN_ROW_RATIO;
+  if (raw === undefined || raw.trim() === "") return DEFAULT_MIN_ROW_RATIO;
+
+  const ratio = Number(raw);
+  if (!(ratio >= 0 && ratio <= 1)) {
+    throw new Error(
+      `HEALTH_MIN_ROW_RATIO must be between 0 and 1, got "${raw}"`,
+    );
+  }
+  return ratio;
+}
+
+// Average row count of an exchange's last trading days before tradeDate,
+// or null with too little history to judge
+async function trailingAverage(supabase, exchange, tradeDate) {
+  const { data, error } = await supabase
+    .from("bond_trade_days")
+    .select("trade_date, row_count")
+    .eq("exchange", exchange)
+    .lt("trade_date", tradeDate)
+    .order("trade_date", { ascending: false })
+    .limit(AVERAGE_DAYS);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+
+  if (data.length < MIN_HISTORY_DAYS) return null;
+  const total = data.reduce((sum, d) => sum + Number(d.row_count), 0);
+  return { average: total / data.length, days: data.length };
+}
+
+// Anomalies in the row counts stored for tradeDate, given as
+// { NSE: count, BSE: count }. Each is { exchange, date, check, message }.
+export async function checkHealth(
+  supabase,
+  tradeDate,
+  counts,
+  minRatio = getMinRowRatio(),
+) {
+  const anomalies = [];
+
+  for (const [exchange, count] of Object.entries(counts)) {
+    if (!isTradingDay(exchange, tradeDate)) continue;
+
+    if (!count) {
+      anomalies.push({
+        exchange,
+        date: tradeDate,
+        check: "no_rows",
+        message: `${exchange} stored no rows for ${tradeDate}, a trading day`,
+      });
+      continue;
+    }
+
+    if (!minRatio) continue;
+    const trailing = await trailingAverage(supabase, exchange, tradeDate);
+    if (trailing && count < trailing.average * minRatio) {
+      anomalies.push({
+        exchange,
+        date: tradeDate,
+        check: "low_row_count",
+        message:
+          `${exchange} stored ${count} rows for ${tradeDate}, ` +
+          `${Math.round((count / trailing.average) * 100)}% of its ${trailing.days}-day average of ${Math.round(trailing.average)}`,
+      });
+    }
+  }
+
+  return anomalies;
+}
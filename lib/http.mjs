@@ -0,0 +1,203 @@
+import https from "https";
+import http from "http";
+import zlib from "zlib";
+
+export const USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36";
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+// Every attempt made since the log was last taken, so a run can report
+// retries and slow responses alongside its results
+let requestLog = [];
+
+// Return the attempts logged so far and start a new log
+export function takeRequestLog() {
+  const log = requestLog;
+  requestLog = [];
+  return log;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(statusCode) {
+  return statusCode === 429 || statusCode >= 500;
+}
+
+// Request options for a base URL such as "https://api.bseindia.com", to
+// spread into makeRequest options. Lets an endpoint be pointed elsewhere,
+// such as a local stub.
+export function hostOptions(baseUrl) {
+  const url = new URL(baseUrl);
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port || undefined,
+  };
+}
+
+function urlOf(options) {
+  const port = options.port ? `:${options.port}` : "";
+  return `${options.protocol || "https:"}//${options.hostname}${port}${options.path || "/"}`;
+}
+
+// Exponential backoff with full jitter. A Retry-After header in seconds
+// is honoured when the server sends one.
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  return Math.random() * Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+}
+
+function decompress(buffer, encoding) {
+  switch ((encoding || "").trim().toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.gunzipSync(buffer);
+    case "deflate":
+      return zlib.inflateSync(buffer);
+    case "br":
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+// One request with no retries or redirects. The body is collected as
+// bytes and decoded once, so multi-byte characters split across chunks
+// survive.
+function requestOnce(options, postData, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const protocol = options.protocol === "http:" ? http : https;
+    const req = protocol.request(options, (res) => {
+      const chunks = [];
+
+      res.on("data", (chunk) => {
+        chunks.push(chunk);
+      });
+
+      res.on("end", () => {
+        clearTimeout(timer);
+        try {
+          const buffer = decompress(
+            Buffer.concat(chunks),
+            res.headers["content-encoding"],
+          );
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            buffer,
+            body: buffer.toString("utf8"),
+          });
+        } catch (error) {
+          reject(new Error(`Could not decode response: ${error.message}`));
+        }
+      });
+
+      res.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    req.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    if (postData) {
+      req.write(postData);
+    }
+
+    req.end();
+  });
+}
+
+// Options for the request a redirect points at. 303 always becomes a GET.
+function redirectOptions(options, response) {
+  const target = new URL(response.headers.location, urlOf(options));
+  const method = response.statusCode === 303 ? "GET" : options.method;
+  return {
+    ...options,
+    protocol: target.protocol,
+    hostname: target.hostname,
+    port: target.port || undefined,
+    path: `${target.pathname}${target.search}`,
+    method,
+  };
+}
+
+// Make an HTTP(S) request. Network errors, timeouts, 429 and 5xx are
+// retried with backoff; redirects are followed; gzip, deflate and brotli
+// bodies are decompressed. Resolves with { statusCode, headers, buffer,
+// body } for the final response, including a last 5xx once retries run
+// out, and rejects only when no response could be had at all.
+export async function makeRequest(
+  options,
+  postData = null,
+  { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {},
+) {
+  let current = {
+    ...options,
+    headers: { "accept-encoding": "gzip, deflate, br", ...options.headers },
+  };
+  let redirects = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const url = urlOf(current);
+    const started = Date.now();
+    let response = null;
+    let error = null;
+
+    try {
+      response = await requestOnce(current, postData, timeoutMs);
+    } catch (err) {
+      error = err;
+    }
+
+    requestLog.push({
+      method: current.method || "GET",
+      url,
+      attempt: attempt + 1,
+      statusCode: response?.statusCode ?? null,
+      error: error?.message ?? null,
+      ms: Date.now() - started,
+    });
+
+    if (
+      response &&
+      [301, 302, 303, 307, 308].includes(response.statusCode) &&
+      response.headers.location
+    ) {
+      if (++redirects > MAX_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${urlOf(options)}`);
+      }
+      current = redirectOptions(current, response);
+      if (current.method === "GET") postData = null;
+      attempt--;
+      continue;
+    }
+
+    const retryable = error || isRetryableStatus(response.statusCode);
+    if (!retryable || attempt >= retries) {
+      if (error) throw error;
+      return response;
+    }
+
+    const delay = retryDelay(attempt, response);
+    console.warn(
+      `  ${url} ${error ? error.message : `returned ${response.statusCode}`}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`,
+    );
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,82 @@
+// Shared path from an exchange's raw rows to bond_trades, used by both the
+// daily scraper and the backfill: map headers, validate, link rows to the
+// security master, compute yield analytics, store the accepted rows and
+// quarantine the rest. Rows go to store (lib/storage); the security
+// master is on Supabase and skipped without a client. A dry run makes no
+// database calls; either way the accepted and rejected rows are returned.
+import { normalizeRecords } from "./adapters/index.mjs";
+import { validateRows, formatQuality } from "./validate.mjs";
+import { linkSecurities, loadSecurities } from "./securities.mjs";
+import { tradeAnalytics } from "./analytics.mjs";
+
+export async function ingestDay(
+  { supabase, store },
+  adapter,
+  records,
+  tradeDate,
+  { dryRun = false } = {},
+) {
+  const { spec, drift, rows } = normalizeRecords(adapter, records, tradeDate);
+  const { accepted, rejected, quality } = validateRows(rows);
+
+  if (!accepted.length) {
+    throw new Error(
+      `All ${rows.length} ${adapter.exchange} rows failed validation: ${formatQuality(quality)}`,
+    );
+  }
+
+  let securities = null;
+  let master = new Map();
+  if (!dryRun && supabase) {
+    // Trades still load without ISINs if the master cannot be updated
+    try {
+      securities = await linkSecurities(
+        supabase,
+        adapter.exchange,
+        accepted,
+        tradeDate,
+      );
+    } catch (err) {
+      console.error(`  ${adapter.exchange} ISIN linking failed:`, err.message);
+      accepted.forEach((row) => (row.isin = null));
+      securities = { error: err.message };
+    }
+
+    // Coupon, maturity and face value missing from the row come from the
+    // master, which matters for BSE where the file has none of them
+    try {
+      master = await loadSecurities(
+        supabase,
+        accepted.map((r) => r.isin),
+      );
+    } catch (err) {
+      console.error(`  ${adapter.exchange} master lookup failed:`, err.message);
+    }
+  }
+
+  for (const row of accepted) {
+    Object.assign(row, tradeAnalytics(row, master.get(row.isin)));
+  }
+
+  if (!dryRun) {
+    await store.replaceDay(adapter.exchange, tradeDate, accepted);
+
+    // Losing the quarantine copy should not cost us the good rows
+    try {
+      await store.replaceRejected(adapter.exchange, tradeDate, rejected);
+    } catch (err) {
+      console.error(`  ${adapter.exchange} quarantine failed:`, err.message);
+      quality.quarantineError = err.message;
+    }
+  }
+
+  return {
+    spec,
+    drift,
+    count: accepted.length,
+    quality,
+    securities,
+    rows: accepted,
+    rejected,
+  };
+}
@@ -0,0 +1,117 @@
+// Declarative header → bond_trades column mapping.
+//
+// A mapping spec describes one file layout of one exchange:
+//
+//   {
+//     name: "nse-live",
+//     version: 1,
+//     columns: {
+//       <bond_trades column>: {
+//         headers: [...],     // accepted header names, first match wins
+//         type: "string" | "number" | "integer" | "date",
+//         convert: "croresToLakhs",  // optional, see lib/normalize.mjs
+//         required: true,     // missing header fails the ingest
+//         optional: true,     // may be absent without being reported
+//       },
+//     },
+//     ignored: [...],         // headers we know about but do not store
+//   }
+//
+// Any header that is neither mapped nor ignored is reported as new, and
+// any mapped column whose headers are all absent is reported as missing.
+// Bump the version whenever the layout changes.
+import { getRecordValue } from "./csv.mjs";
+import { TYPES, CONVERSIONS } from "./normalize.mjs";
+
+// Values exchanges use for "no value"
+const NULL_VALUES = new Set(["-", "--", "NA", "N.A.", "N/A"]);
+
+// Columns filled from the mapping; anything a spec does not map is null
+const MAPPED_COLUMNS = [
+  "security_code",
+  "series",
+  "isin",
+  "issuer_name",
+  "coupon_rate",
+  "maturity_date",
+  "ltp",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "bond_type",
+  "face_value",
+  "credit_rating",
+];
+
+export function describeMapping(spec) {
+  return `${spec.name} v${spec.version}`;
+}
+
+// Compare a file's headers with a spec
+export function checkHeaders(spec, headers) {
+  const present = new Set(headers);
+  const known = new Set(spec.ignored || []);
+  const missingRequired = [];
+  const missingOptional = [];
+
+  for (const [column, def] of Object.entries(spec.columns)) {
+    def.headers.forEach((h) => known.add(h));
+    if (def.headers.some((h) => present.has(h))) continue;
+
+    const label = `${column} (${def.headers.join(" / ")})`;
+    if (def.required) {
+      missingRequired.push(label);
+    } else if (!def.optional) {
+      missingOptional.push(label);
+    }
+  }
+
+  return {
+    missingRequired,
+    missingOptional,
+    unexpected: headers.filter((h) => !known.has(h)),
+  };
+}
+
+// Pick the spec that fits a file's headers and report any drift from it.
+// Throws when no spec has all of its required headers present.
+export function resolveMapping(specs, headers) {
+  for (const spec of specs) {
+    const drift = checkHeaders(spec, headers);
+    if (drift.missingRequired.length === 0) {
+      return { spec, drift };
+    }
+  }
+
+  const reasons = specs.map(
+    (spec) =>
+      `${describeMapping(spec)} is missing ${checkHeaders(spec, headers).missingRequired.join(", ")}`,
+  );
+  throw new Error(`Headers match no known mapping: ${reasons.join("; ")}`);
+}
+
+export function hasDrift(drift) {
+  return drift.missingOptional.length > 0 || drift.unexpected.length > 0;
+}
+
+// Map one raw row to bond_trades columns using a spec
+export function applyMapping(spec, row) {
+  const result = Object.fromEntries(MAPPED_COLUMNS.map((c) => [c, null]));
+
+  for (const [column, def] of Object.entries(spec.columns)) {
+    const raw = getRecordValue(row, def.headers);
+    if (raw === null || NULL_VALUES.has(String(raw).trim())) continue;
+
+    let value = TYPES[def.type](raw);
+    if (value === null) {
+      // Present but unparseable: keep it distinguishable from "absent" so
+      // row validation can reject it
+      value = NaN;
+    } else if (def.convert) {
+      value = CONVERSIONS[def.convert](value);
+    }
+    result[column] = value;
+  }
+
+  return result;
+}
@@ -0,0 +1,88 @@
+// rbcorpbonds1_download file. Header names have varied between the
+// download API and the older debt_search.aspx export, hence the aliases.
+export const BSE_DOWNLOAD = {
+  name: "bse-download",
+  version: 3,
+  columns: {
+    security_code: {
+      headers: [
+        "Security Code",
+        "Scrip Name",
+        "Scrip Code",
+        "Security Name",
+        "securityCode",
+        "scripCode",
+        "scripName",
+        "security_name",
+        "security_code",
+        "Scripname",
+      ],
+      type: "string",
+      required: true,
+    },
+    isin: {
+      headers: ["ISIN", "ISIN No", "ISIN No.", "ISIN Code", "isin", "isinNo"],
+      type: "string",
+      optional: true,
+    },
+    issuer_name: {
+      headers: ["Issuer Name", "issuerName", "issuer_name"],
+      type: "string",
+    },
+    coupon_rate: {
+      headers: ["Coupon (%)", "Coupon", "coupon", "coupon_rate"],
+      type: "number",
+    },
+    maturity_date: {
+      headers: ["Maturity Date", "maturityDate", "maturity_date"],
+      type: "date",
+    },
+    ltp: {
+      headers: [
+        "Close Price",
+        "LTP",
+        "Price",
+        "closePrice",
+        "close_price",
+        "ltp",
+      ],
+      type: "number",
+      required: true,
+    },
+    turnover_rs_lacs: {
+      headers: [
+        "Total Trade Turnover (Rs. Lakhs)",
+        "Turnover in Lakhs",
+        "Turnover (Rs Lacs)",
+        "Turnover (Lacs)",
+        "Trade Turnover",
+        "tradeTurnover",
+        "turnoverInLakhs",
+        "turnover_rs_lacs",
+      ],
+      type: "number",
+      required: true,
+    },
+    no_of_trades: {
+      headers: [
+        "No.Of Trades",
+        "No Of Trades",
+        "Total Trades",
+        "noOfTrades",
+        "no_of_trades",
+      ],
+      type: "integer",
+    },
+    traded_volume: {
+      headers: ["Total Trade Volume", "tradeVolume", "totalTradeVolume"],
+      type: "integer",
+    },
+  },
+  ignored: [
+    "Open Price",
+    "High Price",
+    "Low Price",
+    "Prev Close",
+    "Weighted Average Price",
+  ],
+};
@@ -0,0 +1,62 @@
+// liveBonds-traded-on-cm CSV (daily run)
+export const NSE_LIVE = {
+  name: "nse-live",
+  version: 3,
+  columns: {
+    security_code: { headers: ["SYMBOL"], type: "string", required: true },
+    series: { headers: ["SERIES"], type: "string" },
+    isin: {
+      headers: ["ISIN", "ISIN CODE", "ISIN NO"],
+      type: "string",
+      optional: true,
+    },
+    coupon_rate: { headers: ["COUPON RATE"], type: "number" },
+    maturity_date: { headers: ["MATURITY DATE"], type: "date" },
+    ltp: { headers: ["LTP"], type: "number", required: true },
+    turnover_rs_lacs: {
+      headers: ["VALUE (₹ Crores)"],
+      type: "number",
+      convert: "croresToLakhs",
+      required: true,
+    },
+    // The live file has no trade count, only volume
+    traded_volume: { headers: ["VOLUME (Shares)"], type: "integer" },
+    bond_type: { headers: ["BOND TYPE"], type: "string" },
+    face_value: { headers: ["FACE VALUE"], type: "number" },
+    credit_rating: { headers: ["CREDIT RATING"], type: "string" },
+  },
+  ignored: ["SERIES", "OPEN", "HIGH", "LOW", "PREV. CLOSE", "CHNG", "%CHNG"],
+};
+
+// sec_bhavdata_full_DDMMYYYY.csv from the NSE archives (backfill).
+// Coupon, maturity, face value and rating are not part of the bhavcopy.
+export const NSE_BHAVCOPY = {
+  name: "nse-bhavcopy",
+  version: 3,
+  columns: {
+    security_code: { headers: ["SYMBOL"], type: "string", required: true },
+    series: { headers: ["SERIES"], type: "string" },
+    ltp: {
+      headers: ["LAST_PRICE", "CLOSE_PRICE"],
+      type: "number",
+      required: true,
+    },
+    turnover_rs_lacs: {
+      headers: ["TURNOVER_LACS"],
+      type: "number",
+      required: true,
+    },
+    no_of_trades: { headers: ["NO_OF_TRADES"], type: "integer" },
+    traded_volume: { headers: ["TTL_TRD_QNTY"], type: "integer" },
+  },
+  ignored: [
+    "DATE1",
+    "PREV_CLOSE",
+    "OPEN_PRICE",
+    "HIGH_PRICE",
+    "LOW_PRICE",
+    "AVG_PRICE",
+    "DELIV_QTY",
+    "DELIV_PER",
+  ],
+};
@@ -0,0 +1,108 @@
+// Value normalization shared by every exchange mapping: typed parsers for
+// mapped columns, unit conversions, and a sanity check that turnover ends
+// up in lakhs whatever unit the exchange reported it in.
+import { parseOptionalNumber, parseOptionalInteger } from "./csv.mjs";
+import { formatDateDB } from "./dates.mjs";
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+function isoIfValid(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return formatDateDB(date);
+}
+
+// Two-digit years are all bond maturities or trade dates, so 20YY
+function fullYear(yy) {
+  return yy.length === 2 ? 2000 + Number(yy) : Number(yy);
+}
+
+// Parse the date formats the exchanges send into YYYY-MM-DD:
+//   2030-03-15  2030/03/15  20300315
+//   15/03/2030  15-03-2030  15.03.2030
+//   15-Mar-2030  15 Mar 2030  15-Mar-30  15 March, 2030  Mar 15, 2030
+// Returns null for anything else, including impossible dates (31/02/2030).
+export function parseExchangeDate(value) {
+  const text = String(value ?? "").trim();
+  let m;
+
+  if ((m = /^(\d{4})[-/]?(\d{2})[-/]?(\d{2})$/.exec(text))) {
+    return isoIfValid(+m[1], +m[2], +m[3]);
+  }
+  if ((m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+    return isoIfValid(+m[3], +m[2], +m[1]);
+  }
+  if (
+    (m = /^(\d{1,2})[- ]([A-Za-z]{3})[A-Za-z]*[-, ]+(\d{4}|\d{2})$/.exec(text))
+  ) {
+    const month = MONTHS[m[2].toLowerCase()];
+    return month ? isoIfValid(fullYear(m[3]), month, +m[1]) : null;
+  }
+  if ((m = /^([A-Za-z]{3})[A-Za-z]* (\d{1,2}),? (\d{4})$/.exec(text))) {
+    const month = MONTHS[m[1].toLowerCase()];
+    return month ? isoIfValid(+m[3], month, +m[2]) : null;
+  }
+  return null;
+}
+
+// Column types a mapping spec can declare. Each returns null when the value
+// cannot be parsed.
+export const TYPES = {
+  string: (value) => String(value).trim(),
+  number: parseOptionalNumber,
+  integer: parseOptionalInteger,
+  date: parseExchangeDate,
+};
+
+// Unit conversions a mapping spec can declare. Turnover is always stored
+// in lakhs (turnover_rs_lacs).
+export const CONVERSIONS = {
+  // 1 crore = 100 lakhs
+  croresToLakhs: (value) => value * 100,
+  // 1 lakh = ₹1,00,000
+  rupeesToLakhs: (value) => value / 100000,
+};
+
+// Compare reported turnover with price × volume for every row that has all
+// three. Prices are per bond and volume is in bonds, so for turnover in
+// lakhs the median ratio should sit near 1; a ratio near 100 or 0.01 means
+// a crores/lakhs mix-up somewhere in the mapping.
+export function checkTurnoverUnits(rows, tolerance = 10) {
+  const ratios = rows
+    .filter((r) => r.ltp > 0 && r.traded_volume > 0 && r.turnover_rs_lacs > 0)
+    .map((r) => r.turnover_rs_lacs / ((r.ltp * r.traded_volume) / 100000))
+    .sort((a, b) => a - b);
+
+  if (!ratios.length) {
+    return { sampled: 0, medianRatio: null, ok: true };
+  }
+
+  const mid = Math.floor(ratios.length / 2);
+  const medianRatio =
+    ratios.length % 2 ? ratios[mid] : (ratios[mid - 1] + ratios[mid]) / 2;
+
+  return {
+    sampled: ratios.length,
+    medianRatio,
+    ok: medianRatio <= tolerance && medianRatio >= 1 / tolerance,
+  };
+}
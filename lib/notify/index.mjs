@@ -0,0 +1,112 @@
+// Fan-out of run notifications to the channels named in NOTIFY_CHANNELS
+// (comma-separated, default "telegram"):
+//
+//   telegram  TELEGRAM_CHANNEL, through the bot passed in
+//   slack     SLACK_WEBHOOK_URL
+//   teams     TEAMS_WEBHOOK_URL
+//   webhook   NOTIFY_WEBHOOK_URL, optional NOTIFY_WEBHOOK_TOKEN (Bearer)
+//   email     SMTP_URL, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO (comma-separated)
+//
+// A channel missing its settings is skipped with a warning, so one bad
+// setting never silences the others.
+import {
+  telegramChannel,
+  slackChannel,
+  teamsChannel,
+  webhookChannel,
+  emailChannel,
+} from "./channels.mjs";
+
+export { buildReport, alertReport, countRetries } from "./report.mjs";
+export {
+  renderHtml,
+  renderMarkdown,
+  renderSlack,
+  renderText,
+} from "./render.mjs";
+
+const CHANNELS = {
+  telegram: {
+    settings: ["TELEGRAM_CHANNEL"],
+    create: (env, { bot }) =>
+      telegramChannel({ bot, chatId: env.TELEGRAM_CHANNEL }),
+  },
+  slack: {
+    settings: ["SLACK_WEBHOOK_URL"],
+    create: (env) => slackChannel({ url: env.SLACK_WEBHOOK_URL }),
+  },
+  teams: {
+    settings: ["TEAMS_WEBHOOK_URL"],
+    create: (env) => teamsChannel({ url: env.TEAMS_WEBHOOK_URL }),
+  },
+  webhook: {
+    settings: ["NOTIFY_WEBHOOK_URL"],
+    create: (env) =>
+      webhookChannel({
+        url: env.NOTIFY_WEBHOOK_URL,
+        token: env.NOTIFY_WEBHOOK_TOKEN,
+      }),
+  },
+  email: {
+    settings: ["SMTP_URL", "NOTIFY_EMAIL_FROM", "NOTIFY_EMAIL_TO"],
+    create: (env) =>
+      emailChannel({
+        smtpUrl: env.SMTP_URL,
+        from: env.NOTIFY_EMAIL_FROM,
+        to: env.NOTIFY_EMAIL_TO.split(",").map((a) => a.trim()),
+      }),
+  },
+};
+
+// Send a notification to every channel. One channel failing does not stop
+// the rest; resolves with { channel, ok, error } for each.
+export function createNotifier(channels) {
+  return {
+    channels,
+    async notify(notification) {
+      const outcomes = [];
+      for (const channel of channels) {
+        try {
+          await channel.send({ attachments: [], ...notification });
+          console.log(`Sent notification on ${channel.name}`);
+          outcomes.push({ channel: channel.name, ok: true });
+        } catch (err) {
+          console.error(`Failed to notify ${channel.name}:`, err.message);
+          outcomes.push({
+            channel: channel.name,
+            ok: false,
+            error: err.message,
+          });
+        }
+      }
+      return outcomes;
+    },
+  };
+}
+
+// Notifier for the channels an environment configures. deps.bot is the
+// Telegram client for the telegram channel.
+export function notifierFromEnv(env = process.env, deps = {}) {
+  const names = (env.NOTIFY_CHANNELS || "telegram")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const channels = [];
+  for (const name of new Set(names)) {
+    const channel = CHANNELS[name];
+    if (!channel) {
+      console.warn(`Unknown notification channel "${name}", skipping`);
+      continue;
+    }
+    const missing = channel.settings.filter((key) => !env[key]);
+    if (missing.length) {
+      console.warn(
+        `Notification channel ${name} needs ${missing.join(", ")}, skipping`,
+      );
+      continue;
+    }
+    channels.push(channel.create(env, deps));
+  }
+  return createNotifier(channels);
+}
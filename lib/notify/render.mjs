@@ -0,0 +1,47 @@
+// Renderers for reports built by report.mjs. Report text is plain, so
+// each renderer escapes it for its own format.
+import { escapeHtml } from "../telegram.mjs";
+
+function render(report, { bold, escape, lineBreak = "\n" }) {
+  const sections = [bold(escape(report.title))];
+  for (const block of report.blocks) {
+    const lines = block.lines.map(escape);
+    if (block.heading) lines.unshift(bold(escape(block.heading)));
+    if (lines.length) sections.push(lines.join(lineBreak));
+  }
+  return sections.join("\n\n");
+}
+
+// Telegram HTML
+export function renderHtml(report) {
+  return render(report, {
+    bold: (text) => `<b>${text}</b>`,
+    escape: escapeHtml,
+  });
+}
+
+// Slack mrkdwn: single-asterisk bold, and only &, < and > need escaping
+export function renderSlack(report) {
+  return render(report, {
+    bold: (text) => `*${text}*`,
+    escape: escapeHtml,
+  });
+}
+
+// CommonMark, as Teams cards render it. Lines end in a hard break so
+// they are not run together into one paragraph.
+export function renderMarkdown(report) {
+  return render(report, {
+    bold: (text) => `**${text}**`,
+    escape: (text) => String(text ?? "").replace(/[\\`*_[\]<>]/g, "\\$&"),
+    lineBreak: "  \n",
+  });
+}
+
+// Plain text for email and logs
+export function renderText(report) {
+  return render(report, {
+    bold: (text) => text,
+    escape: (text) => String(text ?? ""),
+  });
+}
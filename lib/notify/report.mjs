@@ -0,0 +1,197 @@
+// The daily run as a channel-neutral report: a title and blocks of plain
+// text lines, each with an optional heading. Renderers in render.mjs turn
+// it into Telegram HTML, Markdown or plain text.
+import { formatQuality, hasQualityIssues } from "../validate.mjs";
+import { digestBlocks } from "../digest.mjs";
+import { basename } from "path";
+import { formatDateBSE, parseDateDB } from "../dates.mjs";
+
+const EXCHANGES = ["NSE", "BSE"];
+
+// Attempts beyond the first for each request in a log
+export function countRetries(requests = []) {
+  return requests.filter((r) => r.attempt > 1).length;
+}
+
+function exchangeLines(exchange, result) {
+  const lines = [];
+
+  if (result.success && result.files) {
+    lines.push(
+      `✅ ${exchange}: Wrote ${result.count} records to ${basename(result.files[0])}`,
+    );
+    if (result.quality && hasQualityIssues(result.quality)) {
+      lines.push(`   ⚠️ ${formatQuality(result.quality)}`);
+    }
+  } else if (result.success) {
+    lines.push(`✅ ${exchange}: Stored ${result.count} records`);
+    if (result.quality && hasQualityIssues(result.quality)) {
+      lines.push(`   ⚠️ ${formatQuality(result.quality)}`);
+    }
+    if (result.archive?.error) {
+      lines.push("   ⚠️ Could not archive the raw file");
+    }
+    if (result.quality?.quarantineError) {
+      lines.push("   ⚠️ Could not quarantine rejected rows");
+    }
+    if (result.watchlist?.error) {
+      lines.push("   ⚠️ Watchlist check failed");
+    } else if (result.watchlist?.sent) {
+      lines.push(`   🔔 ${result.watchlist.sent} watchlist alerts sent`);
+    }
+  } else if (result.closed) {
+    lines.push(`🏖️ ${exchange}: Market closed (${result.closed})`);
+  } else {
+    lines.push(`❌ ${exchange}: Failed`);
+  }
+
+  const retries = countRetries(result.requests);
+  if (retries) lines.push(`   ↻ ${retries} HTTP retries`);
+  return lines;
+}
+
+// What a dry run's cleanup would have done. count is null when there was
+// no database to count in, leaving only the cutoffs.
+function retentionPreview({ count, details }) {
+  const lines = [];
+  if (details.dateRange) {
+    lines.push(
+      `📅 Date range: ${details.dateRange.oldest} to ${details.dateRange.newest}`,
+    );
+  }
+  for (const [exchange, cutoff] of Object.entries(details.cutoffs)) {
+    if (!cutoff) {
+      lines.push(`  • ${exchange}: retention disabled`);
+    } else if (count === null) {
+      lines.push(`  • ${exchange}: records before ${cutoff}`);
+    } else {
+      lines.push(
+        `  • ${exchange}: ${details.byExchange[exchange] || 0} records (cutoff ${cutoff})`,
+      );
+    }
+  }
+
+  return {
+    heading:
+      count === null
+        ? "🧹 Cleanup would archive and delete:"
+        : `🧹 Cleanup would archive and delete ${count} old records`,
+    lines,
+  };
+}
+
+// Report for a run result object:
+//
+//   { status, dryRun, tradeDate, sessionDate, sessionClosed, completedAt,
+//     exchanges: { NSE, BSE }, consolidation, digest, gaps, cleanup,
+//     anomalies, errorsSaved }
+//
+// where each exchange entry is lib/pipeline.mjs's per-exchange result
+export function buildReport(run) {
+  const blocks = [];
+
+  if (run.sessionClosed && run.sessionClosed !== "weekend") {
+    blocks.push({
+      lines: [
+        `🏖️ Market closed on ${formatDateBSE(parseDateDB(run.sessionDate))} (${run.sessionClosed}); reloaded the last session`,
+      ],
+    });
+  }
+
+  blocks.push({
+    lines: EXCHANGES.filter((ex) => run.exchanges[ex]).flatMap((ex) =>
+      exchangeLines(ex, run.exchanges[ex]),
+    ),
+  });
+
+  if (run.anomalies?.length) {
+    blocks.push({
+      heading: "🩺 Health check: run degraded",
+      lines: run.anomalies.map((a) => `• ${a.message}`),
+    });
+  }
+
+  if (run.consolidation?.error) {
+    blocks.push({ heading: "⚠️ Consolidation: Failed", lines: [] });
+  } else if (run.consolidation) {
+    const { bonds, crossListed, mismatches, thresholdPct } = run.consolidation;
+    blocks.push({
+      heading: `🔀 Consolidated: ${bonds} bonds, ${crossListed} on both exchanges`,
+      lines: mismatches
+        ? [
+            `   ⚠️ ${mismatches} with NSE/BSE prices more than ${thresholdPct}% apart`,
+          ]
+        : [],
+    });
+  }
+
+  if (run.digest) blocks.push(...digestBlocks(run.digest));
+
+  if (run.gaps?.error) {
+    blocks.push({ heading: "⚠️ Gap check: Failed", lines: [] });
+  } else if (run.gaps) {
+    const { filled, unrecovered } = run.gaps;
+    blocks.push({
+      heading: `🩹 Gaps: ${filled.length} filled, ${unrecovered.length} not recovered`,
+      lines: [
+        ...filled.map((g) => `  • ${g.exchange} ${g.date}: ${g.count} records`),
+        ...unrecovered.map(
+          (g) => `  • ${g.exchange} ${g.date}: ❌ ${g.reason}`,
+        ),
+      ],
+    });
+  }
+
+  if (run.cleanup?.dryRun) {
+    blocks.push(retentionPreview(run.cleanup));
+  } else if (run.cleanup?.count > 0) {
+    const { count, details } = run.cleanup;
+    blocks.push({
+      heading: `🧹 Cleanup: Archived and deleted ${count} old records`,
+      lines: [
+        `📅 Date range: ${details.dateRange.oldest} to ${details.dateRange.newest}`,
+        `📦 ${details.files.length} monthly archive file(s) updated`,
+        ...Object.entries(details.byExchange).map(
+          ([exchange, deleted]) =>
+            `  • ${exchange}: ${deleted} records (cutoff ${details.cutoffs[exchange]})`,
+        ),
+      ],
+    });
+  }
+
+  for (const exchange of Object.keys(run.cleanup?.errors || {})) {
+    blocks.push({
+      heading: `⚠️ Cleanup ${exchange}: Failed, nothing deleted`,
+      lines: [],
+    });
+  }
+
+  const errors = EXCHANGES.filter((ex) => run.exchanges[ex]?.error);
+  if (errors.length) {
+    blocks.push({
+      heading: "Errors:",
+      lines: [
+        ...errors.map((ex) => `• ${ex}: ${run.exchanges[ex].error}`),
+        ...(run.errorsSaved === false
+          ? ["⚠️ Could not save error details to storage"]
+          : []),
+      ],
+    });
+  }
+
+  blocks.push({
+    lines: [
+      `⏰ Completed: ${new Date(run.completedAt).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}`,
+    ],
+  });
+
+  return {
+    title: `📊 Bond Data Scraper - ${formatDateBSE(parseDateDB(run.tradeDate))}${run.dryRun ? " [dry run]" : ""}`,
+    blocks,
+  };
+}
+
+// A one-off report with a single block, for alerts outside the summary
+export function alertReport(title, lines, heading) {
+  return { title, blocks: [{ heading, lines }] };
+}
@@ -0,0 +1,145 @@
+// Cookie session for NSE. The NSE APIs answer 401/403 unless the request
+// carries the cookies the website sets on a normal visit, so a session
+// first loads the homepage (and the page an endpoint belongs to), keeps
+// the cookies it is given, and sends them with every API call. When NSE
+// rejects a call the session is rebuilt and the call retried.
+import { makeRequest, hostOptions, USER_AGENT } from "./http.mjs";
+
+const HOMEPAGE = "/";
+const DEFAULT_WEBSITE = "https://www.nseindia.com";
+// NSE's bot-protection cookies last a few minutes; warm up again before that
+const SESSION_TTL_MS = 4 * 60 * 1000;
+const EXPIRED_STATUS = [401, 403];
+const MAX_SESSION_RETRIES = 2;
+
+const BROWSER_HEADERS = {
+  "user-agent": USER_AGENT,
+  "accept-language": "en-IN,en-GB;q=0.9,en-US;q=0.8,en;q=0.7",
+};
+
+// Apply Set-Cookie headers to a jar of name → { value, expires }
+function storeCookies(jar, setCookie, now = Date.now()) {
+  for (const header of [].concat(setCookie || [])) {
+    const [pair, ...attributes] = header.split(";");
+    const index = pair.indexOf("=");
+    if (index < 1) continue;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+
+    let expires = null;
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split("=");
+      const attrValue = rest.join("=").trim();
+      if (/^\s*max-age\s*$/i.test(key)) {
+        expires = now + Number(attrValue) * 1000;
+      } else if (/^\s*expires\s*$/i.test(key) && expires === null) {
+        expires = Date.parse(attrValue) || null;
+      }
+    }
+
+    if (!value || (expires !== null && expires <= now)) {
+      jar.delete(name);
+    } else {
+      jar.set(name, { value, expires });
+    }
+  }
+}
+
+// The NSE website the session warms up on (NSE_URL overrides it)
+export function nseWebsite() {
+  return process.env.NSE_URL || DEFAULT_WEBSITE;
+}
+
+function cookieHeader(jar, now = Date.now()) {
+  return [...jar]
+    .filter(([, cookie]) => cookie.expires === null || cookie.expires > now)
+    .map(([name, cookie]) => `${name}=${cookie.value}`)
+    .join("; ");
+}
+
+// A session is reusable for any NSE endpoint. Pass the website page an
+// endpoint is used from as landingPage; NSE sets some cookies only there.
+export function createNseSession({ ttlMs = SESSION_TTL_MS } = {}) {
+  const jar = new Map();
+  let warmedAt = 0;
+  const visited = new Set();
+
+  function reset() {
+    jar.clear();
+    visited.clear();
+    warmedAt = 0;
+  }
+
+  async function visit(path) {
+    const response = await makeRequest({
+      ...hostOptions(nseWebsite()),
+      path,
+      method: "GET",
+      headers: {
+        ...BROWSER_HEADERS,
+        accept:
+          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        ...(jar.size ? { cookie: cookieHeader(jar) } : {}),
+      },
+    });
+    storeCookies(jar, response.headers["set-cookie"]);
+    // Carry on regardless; the API call itself decides whether it worked
+    if (response.statusCode !== 200) {
+      console.warn(
+        `  NSE warm-up of ${path} returned status code: ${response.statusCode}`,
+      );
+    }
+    visited.add(path);
+  }
+
+  // Load the homepage and landing page unless a fresh session already has
+  async function warmUp(landingPage) {
+    if (Date.now() - warmedAt > ttlMs) reset();
+
+    if (!visited.has(HOMEPAGE)) {
+      await visit(HOMEPAGE);
+      warmedAt = Date.now();
+    }
+    if (landingPage && !visited.has(landingPage)) {
+      await visit(landingPage);
+    }
+  }
+
+  // GET an NSE URL with the session's cookies. Resolves with the same
+  // response shape as makeRequest.
+  async function request({ headers = {}, ...target }, { landingPage } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await warmUp(landingPage);
+
+      const response = await makeRequest({
+        ...target,
+        method: "GET",
+        headers: {
+          ...BROWSER_HEADERS,
+          accept: "*/*",
+          referer: `${nseWebsite()}${landingPage || HOMEPAGE}`,
+          cookie: cookieHeader(jar),
+          ...headers,
+        },
+      });
+      storeCookies(jar, response.headers["set-cookie"]);
+
+      if (
+        !EXPIRED_STATUS.includes(response.statusCode) ||
+        attempt >= MAX_SESSION_RETRIES
+      ) {
+        return response;
+      }
+
+      console.warn(
+        `  NSE returned ${response.statusCode} for ${target.path}, starting a new session`,
+      );
+      reset();
+    }
+  }
+
+  return { request, reset };
+}
+
+// Shared by every NSE call in a run
+export const nseSession = createNseSession();
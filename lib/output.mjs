@@ -0,0 +1,75 @@
+// Local output for dry runs: normalized rows written to files in a
+// directory instead of bond_trades, one file per table, exchange and
+// trade date, e.g.
+//
+//   <dir>/bond_trades-NSE-2026-10-16.csv
+//   <dir>/bond_trades_rejected-NSE-2026-10-16.csv
+import fs from "fs/promises";
+import { join } from "path";
+import { stringify } from "csv-stringify/sync";
+
+export const OUTPUT_FORMATS = ["csv", "json", "ndjson"];
+
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap(Object.keys))];
+  const records = rows.map((row) =>
+    Object.fromEntries(
+      columns.map((column) => {
+        const value = row[column];
+        return [
+          column,
+          value !== null && typeof value === "object"
+            ? JSON.stringify(value)
+            : value,
+        ];
+      }),
+    ),
+  );
+  return stringify(records, { header: true, columns });
+}
+
+const SERIALIZERS = {
+  csv: toCsv,
+  json: (rows) => `${JSON.stringify(rows, null, 2)}\n`,
+  ndjson: (rows) => rows.map((row) => `${JSON.stringify(row)}\n`).join(""),
+};
+
+// Write rows as <dir>/<name>.<format>, creating dir if needed. Returns the
+// file's path.
+export async function writeRows(dir, format, name, rows) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(
+      `Unknown output format "${format}", expected one of: ${OUTPUT_FORMATS.join(", ")}`,
+    );
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  const path = join(dir, `${name}.${format}`);
+  await fs.writeFile(path, serialize(rows));
+  return path;
+}
+
+// An exchange's accepted and rejected rows for a day, rejected ones with
+// the rules they failed. Returns the paths written.
+export async function writeDay(
+  { dir, format },
+  exchange,
+  tradeDate,
+  { rows, rejected },
+) {
+  const files = [
+    await writeRows(dir, format, `bond_trades-${exchange}-${tradeDate}`, rows),
+  ];
+  if (rejected.length) {
+    files.push(
+      await writeRows(
+        dir,
+        format,
+        `bond_trades_rejected-${exchange}-${tradeDate}`,
+        rejected.map(({ row, reasons }) => ({ ...row, reasons })),
+      ),
+    );
+  }
+  return files;
+}
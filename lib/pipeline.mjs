@@ -0,0 +1,527 @@
+// The daily run behind script.mjs: fetch each exchange's file, store it,
+// consolidate, fill gaps, apply retention, record the run in scrape_runs
+// and send the summary. Clients are passed in, so the whole run can be
+// driven offline against stubs:
+//
+//   supabase   Supabase client (or a stand-in with the same API), null
+//              when loading into another backend
+//   store      where rows and files go (lib/storage), default the
+//              Supabase store over supabase
+//   notifier   from lib/notify, receives the summary and alerts
+//   sendAlert  (chatId, html) for watchlist alerts
+//   adapters   exchange adapters, default NSE and BSE
+//   now        the clock the target date is worked out from
+//   output     { dir, format } for a dry run, see below
+//
+// A dry run fetches and parses as usual but writes the normalized rows to
+// files in output.dir (lib/output.mjs) and writes nothing else: no run
+// record, archive, watchlist, consolidation, gap filling or cleanup.
+// store may then be null; given one, it is only read to report what
+// retention would delete.
+//
+// Without a Supabase client the steps that need the rest of its schema
+// (security master, watchlist, consolidation, digest, health check and
+// run record) are skipped.
+import fs from "fs/promises";
+import { join } from "path";
+import { nseAdapter } from "./adapters/nse.mjs";
+import { bseAdapter } from "./adapters/bse.mjs";
+import { describeMapping, hasDrift } from "./mapping.mjs";
+import { ingestDay } from "./ingest.mjs";
+import { formatQuality, hasQualityIssues } from "./validate.mjs";
+import { consolidateDay } from "./consolidate.mjs";
+import { findGaps, fillGaps, getCatchupDays } from "./gaps.mjs";
+import { startRun, finishRun, dailyRunRecord, errorEntry } from "./runs.mjs";
+import { checkHealth } from "./health.mjs";
+import { buildDigest, digestCsv } from "./digest.mjs";
+import { buildReport, alertReport, renderText } from "./notify/index.mjs";
+import { evaluateWatchlist, sendWatchlistAlerts } from "./watchlist.mjs";
+import { archivePayload } from "./archive.mjs";
+import { applyRetention } from "./retention.mjs";
+import { writeDay } from "./output.mjs";
+import { createSupabaseStore } from "./storage/supabase.mjs";
+import { takeRequestLog } from "./http.mjs";
+import { formatDateBSE, formatDateDB } from "./dates.mjs";
+import { closedReason, lastTradingDay } from "./calendar.mjs";
+
+const DEFAULT_ADAPTERS = { NSE: nseAdapter, BSE: bseAdapter };
+
+// Save error details to the store's files
+async function saveErrorToStorage(store, errorDetails) {
+  try {
+    const fileName = `bond-scraper-error-${new Date().toISOString()}.json`;
+    await store.writeFile(
+      `bond-scraper-errors/${fileName}`,
+      JSON.stringify(errorDetails, null, 2),
+      "application/json",
+    );
+    console.log("Error details saved to storage");
+    return true;
+  } catch (err) {
+    console.error("Failed to save error to storage:", err.message);
+    return false;
+  }
+}
+
+// Dry run: save error details next to the output files instead
+async function saveErrorToFile({ dir }, errorDetails) {
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const filePath = join(dir, `bond-scraper-error-${Date.now()}.json`);
+    await fs.writeFile(filePath, JSON.stringify(errorDetails, null, 2));
+    console.log(`Error details saved to ${filePath}`);
+    return true;
+  } catch (err) {
+    console.error("Exception while saving error details:", err);
+    return false;
+  }
+}
+
+// The trading session a run is for: today once the market has closed
+// (3 PM IST), otherwise the previous day
+export function getSessionDate(now = new Date()) {
+  const istOffset = 5.5 * 60 * 60 * 1000;
+  const istTime = new Date(now.getTime() + istOffset);
+  const hour = istTime.getUTCHours();
+
+  return new Date(
+    Date.UTC(
+      istTime.getUTCFullYear(),
+      istTime.getUTCMonth(),
+      istTime.getUTCDate() - (hour < 15 ? 1 : 0),
+    ),
+  );
+}
+
+// The date to load: the session date, stepped back over weekends and
+// holidays to the last day either exchange traded
+export function getTargetDate(sessionDate = getSessionDate()) {
+  return lastTradingDay(sessionDate, ["NSE", "BSE"]);
+}
+
+// Alert when a file's headers differ from its mapping spec, so renamed
+// columns are noticed instead of quietly turning into nulls
+async function sendHeaderDriftAlert(notifier, exchange, spec, drift) {
+  const lines = [];
+  if (drift.unexpected.length) {
+    lines.push(`New headers: ${drift.unexpected.join(", ")}`);
+  }
+  if (drift.missingOptional.length) {
+    lines.push(
+      `Missing headers (stored as null): ${drift.missingOptional.join(", ")}`,
+    );
+  }
+  lines.push("", "Update the mapping in lib/mappings/ and bump its version.");
+
+  await notifier.notify({
+    report: alertReport(
+      `⚠️ ${exchange} column changes (mapping ${describeMapping(spec)})`,
+      lines,
+    ),
+  });
+}
+
+// Log what ingestDay found in a file and alert on header drift
+async function reportIngest(notifier, adapter, { spec, drift, quality }) {
+  console.log(`  ${adapter.exchange} mapping: ${describeMapping(spec)}`);
+
+  if (hasDrift(drift)) {
+    console.warn(`  ${adapter.exchange} header drift:`, drift);
+    await sendHeaderDriftAlert(notifier, adapter.exchange, spec, drift);
+  }
+
+  if (hasQualityIssues(quality)) {
+    console.warn(`  ${adapter.exchange} quality: ${formatQuality(quality)}`);
+  }
+}
+
+// Dry run: map and validate an exchange's raw rows, then write them to
+// local files
+async function writeExchangeData(
+  { notifier, output },
+  adapter,
+  { records },
+  tradeDate,
+) {
+  if (!records.length) {
+    throw new Error(`No ${adapter.exchange} records to write`);
+  }
+
+  const ingested = await ingestDay({}, adapter, records, tradeDate, {
+    dryRun: true,
+  });
+  const files = await writeDay(output, adapter.exchange, tradeDate, ingested);
+  console.log(`  ${adapter.exchange} rows written to ${files.join(", ")}`);
+  await reportIngest(notifier, adapter, ingested);
+
+  return {
+    count: ingested.count,
+    quality: ingested.quality,
+    archive: null,
+    files,
+  };
+}
+
+// Map, validate and store an exchange's raw rows for the day
+async function storeExchangeData(
+  { supabase, store, notifier },
+  adapter,
+  { payload, records },
+  tradeDate,
+) {
+  // Keep the file as downloaded before anything can reject it
+  let archive = null;
+  try {
+    archive = await archivePayload(store, adapter.exchange, tradeDate, payload);
+    console.log(`  ${adapter.exchange} raw payload archived: ${archive.path}`);
+  } catch (err) {
+    console.error(`  ${adapter.exchange} archive failed:`, err.message);
+    archive = { error: err.message };
+  }
+
+  if (!records.length) {
+    throw new Error(`No ${adapter.exchange} records to store`);
+  }
+
+  const ingested = await ingestDay(
+    { supabase, store },
+    adapter,
+    records,
+    tradeDate,
+  );
+  const { count, quality, securities } = ingested;
+  if (securities && !securities.error) {
+    console.log(
+      `  ${adapter.exchange} ISINs: ${securities.linked} linked, ${securities.unlinked} unlinked, ${securities.refreshed} master rows refreshed`,
+    );
+  }
+  await reportIngest(notifier, adapter, ingested);
+
+  return { count, quality, archive, files: null };
+}
+
+// Check an exchange's stored rows against the watchlist and alert the
+// entries' recipients. Failures are reported, never fatal.
+async function runWatchlist({ supabase, sendAlert }, exchange, tradeDate) {
+  try {
+    const alerts = await evaluateWatchlist(supabase, exchange, tradeDate);
+    const summary = await sendWatchlistAlerts(supabase, alerts, sendAlert);
+    console.log(
+      `  ${exchange} watchlist: ${summary.sent} alerts sent, ${summary.duplicates} already sent`,
+    );
+    return summary;
+  } catch (err) {
+    console.error(`  ${exchange} watchlist failed:`, err.message);
+    return { error: err.message };
+  }
+}
+
+function emptyExchangeResult() {
+  return {
+    success: false,
+    count: 0,
+    error: null,
+    quality: null,
+    archive: null,
+    requests: [],
+    closed: null,
+    watchlist: null,
+    files: null,
+  };
+}
+
+// Fetch and store one exchange's day into result, unless that exchange
+// alone was closed. Errors end up in result and errors, never thrown.
+async function processExchange(deps, adapter, targetDate, result, errors) {
+  const { exchange } = adapter;
+  const tradeDate = formatDateDB(targetDate);
+
+  result.closed = closedReason(exchange, targetDate);
+  const started = Date.now();
+  try {
+    if (result.closed) {
+      console.log(`${exchange} market closed (${result.closed}), skipping`);
+    } else {
+      const data = await adapter.fetch(targetDate);
+      const { count, quality, archive, files } = await (
+        deps.output ? writeExchangeData : storeExchangeData
+      )(deps, adapter, data, tradeDate);
+      result.success = true;
+      result.count = count;
+      result.quality = quality;
+      result.archive = archive;
+      result.files = files;
+      // Alerts are logged as sent in the database, so not on a dry run
+      if (deps.supabase && !deps.output) {
+        result.watchlist = await runWatchlist(deps, exchange, tradeDate);
+      }
+    }
+  } catch (error) {
+    result.error = error.message;
+    errors.push(errorEntry(exchange, error));
+    console.error(`${exchange} processing failed:`, error.message);
+  } finally {
+    result.requests = takeRequestLog();
+    result.durationMs = Date.now() - started;
+  }
+  if (result.watchlist?.error) {
+    errors.push(errorEntry(`${exchange} watchlist`, result.watchlist.error));
+  }
+
+  console.log("");
+}
+
+// Record the run as started. Without the database the run goes ahead and
+// its record is inserted whole at the end, if that works by then.
+async function recordRunStart(supabase, fields) {
+  try {
+    return await startRun(supabase, fields);
+  } catch (err) {
+    console.error("Could not record run start:", err.message);
+    return { id: null, startedAt: new Date().toISOString(), fields };
+  }
+}
+
+async function recordRunEnd(supabase, runRecord, record) {
+  try {
+    await finishRun(supabase, runRecord, record);
+  } catch (err) {
+    console.error("Could not record run result:", err.message);
+  }
+}
+
+async function dailyRun(deps, runRecord, sessionDate, targetDate) {
+  const { supabase, store, notifier, output } = deps;
+  const dryRun = Boolean(output);
+  const useSupabase = Boolean(supabase) && !dryRun;
+  const adapters = deps.adapters || DEFAULT_ADAPTERS;
+  const tradeDateStr = formatDateDB(targetDate);
+  const displayDate = formatDateBSE(targetDate);
+  const { startedAt } = runRecord;
+
+  console.log(`=== Bond Data Scraper ===${dryRun ? " [dry run]" : ""}`);
+  console.log(`Started at: ${startedAt}`);
+
+  // A weekday holiday: say so, then reload the last session
+  const sessionClosed =
+    formatDateDB(sessionDate) !== tradeDateStr
+      ? closedReason("NSE", sessionDate)
+      : null;
+
+  console.log(`Target date: ${displayDate}`);
+  if (sessionClosed && sessionClosed !== "weekend") {
+    console.log(
+      `Market closed on ${formatDateBSE(sessionDate)} (${sessionClosed})`,
+    );
+  }
+  console.log("");
+
+  const results = {
+    nse: emptyExchangeResult(),
+    bse: emptyExchangeResult(),
+    consolidation: null,
+    gaps: null,
+    cleanup: { count: 0, details: null, errors: {} },
+    // Every error caught along the way, with its stack
+    errors: [],
+  };
+
+  await processExchange(
+    deps,
+    adapters.NSE,
+    targetDate,
+    results.nse,
+    results.errors,
+  );
+  await processExchange(
+    deps,
+    adapters.BSE,
+    targetDate,
+    results.bse,
+    results.errors,
+  );
+
+  // Combine whatever NSE and BSE rows the day now has
+  if (useSupabase && (results.nse.success || results.bse.success)) {
+    try {
+      results.consolidation = await consolidateDay(supabase, tradeDateStr);
+      console.log(
+        `✓ Consolidated ${results.consolidation.bonds} bonds (${results.consolidation.crossListed} on both exchanges)`,
+      );
+    } catch (error) {
+      results.consolidation = { error: error.message };
+      results.errors.push(errorEntry("consolidation", error));
+      console.error("Consolidation failed:", error.message);
+    }
+    console.log("");
+  }
+
+  // Go back for recent days a missed run or a failed exchange left empty
+  try {
+    const gaps =
+      store && !dryRun
+        ? await findGaps(store, tradeDateStr, getCatchupDays())
+        : [];
+    if (gaps.length) {
+      console.log(`Filling ${gaps.length} gap(s)...`);
+      results.gaps = await fillGaps(
+        { supabase: useSupabase ? supabase : null, store },
+        gaps,
+      );
+      console.log(
+        `✓ Filled ${results.gaps.filled.length} gap(s), ${results.gaps.unrecovered.length} unrecovered`,
+      );
+      console.log("");
+    }
+  } catch (error) {
+    results.gaps = { error: error.message };
+    results.errors.push(errorEntry("gaps", error));
+    console.error("Gap check failed:", error.message);
+  }
+
+  // Market content for the summary, once the day's rows are in
+  let digest = null;
+  if (useSupabase && (results.nse.success || results.bse.success)) {
+    try {
+      digest = await buildDigest(supabase, tradeDateStr);
+    } catch (error) {
+      results.errors.push(errorEntry("digest", error));
+      console.error("Digest failed:", error.message);
+    }
+  }
+
+  // Archive and remove rows past their exchange's retention window
+  console.log(dryRun ? "Checking retention..." : "Applying retention...");
+  try {
+    results.cleanup = await applyRetention(store, deps.now, { dryRun });
+    if (!dryRun) {
+      console.log(
+        `✓ Archived and removed ${results.cleanup.count} old records`,
+      );
+    }
+  } catch (error) {
+    results.cleanup.errors.ALL = error.message;
+    results.errors.push(errorEntry("cleanup", error));
+    console.error("Cleanup failed:", error.message);
+  }
+  for (const [exchange, error] of Object.entries(results.cleanup.errors)) {
+    if (exchange !== "ALL") {
+      results.errors.push(errorEntry(`cleanup ${exchange}`, error));
+    }
+  }
+
+  // Flag a day that stored nothing, or far less than usual
+  let anomalies = [];
+  try {
+    anomalies = useSupabase
+      ? await checkHealth(supabase, tradeDateStr, {
+          NSE: results.nse.count,
+          BSE: results.bse.count,
+        })
+      : [];
+    for (const anomaly of anomalies) console.warn(`⚠️ ${anomaly.message}`);
+  } catch (error) {
+    results.errors.push(errorEntry("health", error));
+    console.error("Health check failed:", error.message);
+  }
+
+  // Keep error details, with the request log, for investigation
+  let errorsSaved = null;
+  if (results.nse.error || results.bse.error) {
+    const save = dryRun
+      ? (details) => saveErrorToFile(output, details)
+      : (details) => saveErrorToStorage(store, details);
+    errorsSaved = await save({
+      timestamp: new Date().toISOString(),
+      date: displayDate,
+      errors: {
+        nse: results.nse.error,
+        bse: results.bse.error,
+      },
+      requests: {
+        nse: results.nse.requests,
+        bse: results.bse.requests,
+      },
+    });
+  }
+
+  const record = dailyRunRecord(results, anomalies);
+  if (useSupabase) await recordRunEnd(supabase, runRecord, record);
+
+  const run = {
+    status: record.status,
+    dryRun,
+    tradeDate: tradeDateStr,
+    sessionDate: formatDateDB(sessionDate),
+    sessionClosed,
+    startedAt,
+    completedAt: new Date().toISOString(),
+    exchanges: { NSE: results.nse, BSE: results.bse },
+    consolidation: results.consolidation,
+    digest: digest && { ...digest, rows: undefined },
+    gaps: results.gaps,
+    cleanup: results.cleanup,
+    anomalies,
+    errorsSaved,
+  };
+  const report = buildReport(run);
+
+  console.log("");
+  console.log("=== Summary ===");
+  console.log(renderText(report));
+  console.log("");
+
+  await notifier.notify({
+    report,
+    run,
+    attachments: digest?.rows.length
+      ? [
+          {
+            filename: `bond-trades-${tradeDateStr}.csv`,
+            content: digestCsv(digest),
+            contentType: "text/csv",
+            caption: `All ${digest.rows.length} trades for ${displayDate}`,
+          },
+        ]
+      : [],
+  });
+
+  console.log(`\nCompleted at: ${new Date().toISOString()}`);
+  return { results, record, run, report };
+}
+
+// Run the daily job. Resolves with { results, record, run, report }; an
+// unexpected error is recorded and announced as a failed run, then thrown.
+export async function runDaily(options) {
+  const deps = {
+    ...options,
+    store:
+      options.store !== undefined
+        ? options.store
+        : options.supabase && createSupabaseStore(options.supabase),
+  };
+  const sessionDate = getSessionDate(deps.now);
+  const targetDate = getTargetDate(sessionDate);
+
+  const fields = { kind: "daily", target_date: formatDateDB(targetDate) };
+  const recorded = Boolean(deps.supabase) && !deps.output;
+  const runRecord = recorded
+    ? await recordRunStart(deps.supabase, fields)
+    : { id: null, startedAt: new Date().toISOString(), fields };
+
+  try {
+    return await dailyRun(deps, runRecord, sessionDate, targetDate);
+  } catch (error) {
+    if (recorded) {
+      await recordRunEnd(deps.supabase, runRecord, {
+        status: "failed",
+        errors: [errorEntry("fatal", error)],
+      });
+    }
+    await deps.notifier.notify({
+      report: alertReport("🚨 Bond Scraper Failed", [error.message]),
+      run: { fatal: error.message },
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,239 @@
+// Retention for bond_trades. Rows older than an exchange's retention
+// window are exported to gzipped monthly CSVs in the store's files (the
+// data-dump bucket on Supabase, see lib/storage),
+//
+//   bond-trades-archive/<EXCHANGE>/<YYYY-MM>.csv.gz
+//
+// and only deleted once the uploaded file has been read back and its row
+// counts match. restoreMonth loads an archived month back into bond_trades.
+import { gzipSync, gunzipSync } from "zlib";
+import { parse } from "csv-parse/sync";
+import { stringify } from "csv-stringify/sync";
+import { formatDateDB } from "./dates.mjs";
+
+const PREFIX = "bond-trades-archive";
+const EXCHANGES = ["NSE", "BSE"];
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Generated on insert, so not worth archiving
+const SKIPPED_COLUMNS = ["id", "created_at"];
+
+// Days of bond_trades to keep for an exchange: RETENTION_DAYS_<EXCHANGE>,
+// else RETENTION_DAYS, else 90. 0 keeps rows forever.
+export function getRetentionDays(exchange) {
+  for (const name of [`RETENTION_DAYS_${exchange}`, "RETENTION_DAYS"]) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === "") continue;
+
+    const days = Number(raw);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`${name} must be a whole number of days, got "${raw}"`);
+    }
+    return days;
+  }
+  return DEFAULT_RETENTION_DAYS;
+}
+
+// Oldest trade date kept, counted back from today's UTC date
+export function retentionCutoff(days, now = new Date()) {
+  return formatDateDB(
+    new Date(
+      Date.UTC(
+        now.getUTCFullYear(),
+        now.getUTCMonth(),
+        now.getUTCDate() - days,
+      ),
+    ),
+  );
+}
+
+export function monthArchivePath(exchange, month) {
+  return `${PREFIX}/${exchange}/${month}.csv.gz`;
+}
+
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap(Object.keys))].filter(
+    (column) => !SKIPPED_COLUMNS.includes(column),
+  );
+  const records = rows.map((row) => ({
+    ...row,
+    raw_data: row.raw_data == null ? null : JSON.stringify(row.raw_data),
+  }));
+  return gzipSync(stringify(records, { header: true, columns }));
+}
+
+// Empty cells come back as null and raw_data as an object again. Numbers
+// stay strings, which Postgres casts on insert.
+function fromCsv(buffer) {
+  const records = parse(gunzipSync(buffer).toString("utf8"), {
+    columns: true,
+    skip_empty_lines: true,
+  });
+  return records.map((record) => {
+    const row = {};
+    for (const [column, value] of Object.entries(record)) {
+      row[column] = value === "" ? null : value;
+    }
+    if (row.raw_data !== undefined && row.raw_data !== null) {
+      row.raw_data = JSON.parse(row.raw_data);
+    }
+    return row;
+  });
+}
+
+// Rows in an exchange's archived month, or null when there is no file
+export async function readMonthArchive(store, exchange, month) {
+  const file = await store.readFile(monthArchivePath(exchange, month));
+  return file && fromCsv(file);
+}
+
+// Merge a month's expiring rows into its archive file, then read the file
+// back and check the row counts before reporting success. Loads always
+// replace whole days, so the rows replace any earlier copy of their dates.
+async function exportMonth(store, exchange, month, rows) {
+  const path = monthArchivePath(exchange, month);
+  const dates = new Set(rows.map((row) => row.trade_date));
+
+  const existing = (await readMonthArchive(store, exchange, month)) || [];
+  const merged = existing
+    .filter((row) => !dates.has(row.trade_date))
+    .concat(rows)
+    .sort((a, b) => a.trade_date.localeCompare(b.trade_date));
+
+  await store.writeFile(path, toCsv(merged), "application/gzip");
+
+  const stored = (await readMonthArchive(store, exchange, month)) || [];
+  const storedForDates = stored.filter((row) => dates.has(row.trade_date));
+  if (
+    stored.length !== merged.length ||
+    storedForDates.length !== rows.length
+  ) {
+    throw new Error(
+      `${path} holds ${storedForDates.length} of ${rows.length} exported rows (${stored.length} of ${merged.length} in total)`,
+    );
+  }
+
+  return { path, rows: rows.length, total: stored.length };
+}
+
+// Archive and delete expired rows for every exchange. An exchange whose
+// export fails keeps all of its rows; the others still go ahead. A dry
+// run only counts what would go, and without a store only works out the
+// cutoffs.
+export async function applyRetention(
+  store,
+  now = new Date(),
+  { dryRun = false } = {},
+) {
+  const result = {
+    // Unknown for a dry run without a database to look in
+    count: dryRun && !store ? null : 0,
+    details: { byExchange: {}, cutoffs: {}, dateRange: null, files: [] },
+    errors: {},
+    dryRun,
+  };
+  const allDates = [];
+
+  for (const exchange of EXCHANGES) {
+    try {
+      const days = getRetentionDays(exchange);
+      if (days === 0) {
+        console.log(`  ${exchange}: retention disabled, keeping everything`);
+        result.details.cutoffs[exchange] = null;
+        continue;
+      }
+
+      const cutoff = retentionCutoff(days, now);
+      result.details.cutoffs[exchange] = cutoff;
+      if (dryRun && !store) continue;
+
+      const rows = await store.loadExpiring(exchange, cutoff);
+      if (!rows.length) {
+        console.log(`  ${exchange}: nothing older than ${cutoff}`);
+        continue;
+      }
+
+      if (dryRun) {
+        const dates = [...new Set(rows.map((row) => row.trade_date))];
+        console.log(
+          `  ${exchange}: would archive and delete ${rows.length} rows older than ${cutoff}`,
+        );
+        result.count += rows.length;
+        result.details.byExchange[exchange] = rows.length;
+        allDates.push(...dates);
+        continue;
+      }
+
+      const byMonth = new Map();
+      for (const row of rows) {
+        const month = row.trade_date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(row);
+      }
+
+      for (const [month, monthRows] of byMonth) {
+        const file = await exportMonth(store, exchange, month, monthRows);
+        console.log(`  ${exchange} ${month}: ${file.rows} rows → ${file.path}`);
+        result.details.files.push(file);
+      }
+
+      const dates = [...new Set(rows.map((row) => row.trade_date))];
+      // Exactly the exported dates, so rows loaded for an old date after
+      // the export started are not lost
+      const deleted = await store.deleteDates(exchange, dates, cutoff);
+      if (deleted !== rows.length) {
+        console.warn(
+          `  ${exchange}: deleted ${deleted} rows but exported ${rows.length}`,
+        );
+      }
+
+      result.count += deleted;
+      result.details.byExchange[exchange] = deleted;
+      allDates.push(...dates);
+    } catch (err) {
+      console.error(`  ${exchange} retention failed:`, err.message);
+      result.errors[exchange] = err.message;
+    }
+  }
+
+  if (allDates.length) {
+    allDates.sort();
+    result.details.dateRange = {
+      oldest: allDates[0],
+      newest: allDates[allDates.length - 1],
+    };
+  }
+
+  return result;
+}
+
+// Load an archived month back into bond_trades, one trade date at a time
+// through the same atomic swap as a normal load. Dates already in the
+// table are replaced by the archived rows.
+export async function restoreMonth(
+  store,
+  exchange,
+  month,
+  { dryRun = false } = {},
+) {
+  const rows = await readMonthArchive(store, exchange, month);
+  if (!rows) {
+    throw new Error(`No archive at ${monthArchivePath(exchange, month)}`);
+  }
+
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!byDate.has(row.trade_date)) byDate.set(row.trade_date, []);
+    byDate.get(row.trade_date).push(row);
+  }
+
+  const days = [];
+  for (const [tradeDate, dayRows] of byDate) {
+    if (!dryRun) {
+      await store.replaceDay(exchange, tradeDate, dayRows);
+    }
+    days.push({ tradeDate, count: dayRows.length });
+  }
+
+  return { path: monthArchivePath(exchange, month), count: rows.length, days };
+}
@@ -0,0 +1,107 @@
+// Run history in the scrape_runs table. A run's row is inserted as
+// "running" when it starts and completed when it ends, so a run that
+// crashed part-way still shows up. The command bot's /status reads the
+// latest daily run from here.
+const TABLE = "scrape_runs";
+
+// Request totals for an HTTP request log (see lib/http.mjs)
+export function httpStats(requests = []) {
+  return {
+    attempts: requests.length,
+    retries: requests.filter((r) => r.attempt > 1).length,
+    failures: requests.filter((r) => r.error || r.statusCode >= 400).length,
+    ms: requests.reduce((sum, r) => sum + r.ms, 0),
+  };
+}
+
+// An error as stored in a run's errors column
+export function errorEntry(scope, error) {
+  return {
+    scope,
+    message: error?.message ?? String(error),
+    stack: error?.stack ?? null,
+  };
+}
+
+// "failed" when no exchange that was open stored anything, "degraded"
+// when something went wrong or looked wrong, else "success"
+export function runStatus(exchanges, errors, anomalies) {
+  const open = Object.values(exchanges).filter((e) => e.status !== "closed");
+  if (open.length && open.every((e) => e.status === "failed")) {
+    return "failed";
+  }
+  return errors.length || anomalies.length ? "degraded" : "success";
+}
+
+function exchangeRecord(result) {
+  return {
+    status: result.success ? "success" : result.closed ? "closed" : "failed",
+    count: result.count,
+    rejected: result.quality?.rejected ?? 0,
+    closed: result.closed,
+    error: result.error,
+    duration_ms: result.durationMs ?? null,
+    http: httpStats(result.requests),
+  };
+}
+
+// The scrape_runs columns for a finished script.mjs run
+export function dailyRunRecord(results, anomalies) {
+  const exchanges = {
+    NSE: exchangeRecord(results.nse),
+    BSE: exchangeRecord(results.bse),
+  };
+  return {
+    status: runStatus(exchanges, results.errors, anomalies),
+    exchanges,
+    row_count: results.nse.count + results.bse.count,
+    consolidation: results.consolidation,
+    gaps: results.gaps,
+    cleanup: results.cleanup,
+    anomalies,
+    errors: results.errors,
+  };
+}
+
+// Insert a run as running. fields are scrape_runs columns such as kind,
+// target_date, range_from and range_to.
+export async function startRun(supabase, fields) {
+  const startedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({ ...fields, status: "running", started_at: startedAt })
+    .select("id")
+    .single();
+  if (error) throw new Error(`Run record insert failed: ${error.message}`);
+  return { id: data.id, startedAt, fields };
+}
+
+// Complete a run started with startRun. A run whose start was never
+// recorded (run.id null) is inserted whole instead.
+export async function finishRun(supabase, run, record) {
+  const finishedAt = new Date();
+  const row = {
+    ...record,
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - new Date(run.startedAt),
+  };
+
+  const { error } = run.id
+    ? await supabase.from(TABLE).update(row).eq("id", run.id)
+    : await supabase
+        .from(TABLE)
+        .insert({ ...run.fields, started_at: run.startedAt, ...row });
+  if (error) throw new Error(`Run record update failed: ${error.message}`);
+}
+
+// The most recent run of a kind, or null before the first
+export async function loadLatestRun(supabase, kind = "daily") {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("kind", kind)
+    .order("started_at", { ascending: false })
+    .limit(1);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+  return data[0] || null;
+}
@@ -0,0 +1,148 @@
+// Security master: one `securities` row per ISIN with the bond's static
+// attributes and its identifier on each exchange. Every load refreshes it
+// from rows that carry an ISIN, then stamps the remaining rows with the
+// ISIN found through their exchange identifier.
+
+// Attributes copied from trade rows into the master when present
+const ATTRIBUTES = [
+  "issuer_name",
+  "coupon_rate",
+  "maturity_date",
+  "face_value",
+  "credit_rating",
+  "bond_type",
+];
+
+// Keeps .in() filters well inside PostgREST's URL length limit
+const CHUNK_SIZE = 200;
+
+function chunk(items, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// NSE identifies a bond by symbol + series (one issuer symbol has many
+// series); BSE by its security code.
+function identifiersFor(exchange, row) {
+  return exchange === "NSE"
+    ? { nse_symbol: row.security_code, nse_series: row.series }
+    : { bse_security_code: row.security_code };
+}
+
+function identifierKey(exchange, ids) {
+  return exchange === "NSE"
+    ? `${ids.nse_symbol}|${ids.nse_series}`
+    : ids.bse_security_code;
+}
+
+async function selectSecurities(supabase, column, values) {
+  const rows = [];
+  for (const part of chunk([...new Set(values)])) {
+    const { data, error } = await supabase
+      .from("securities")
+      .select("*")
+      .in(column, part);
+    if (error) throw new Error(`Securities read failed: ${error.message}`);
+    rows.push(...data);
+  }
+  return rows;
+}
+
+// Upsert master rows for every ISIN in `rows`. Non-null values from the
+// most recent trade date win, so a backfill of an older date only fills
+// in what is missing; nulls never overwrite what we already know.
+async function refreshMaster(supabase, exchange, rows, tradeDate) {
+  const withIsin = rows.filter((r) => r.isin);
+  if (!withIsin.length) return 0;
+
+  const existing = new Map(
+    (
+      await selectSecurities(
+        supabase,
+        "isin",
+        withIsin.map((r) => r.isin),
+      )
+    ).map((s) => [s.isin, s]),
+  );
+
+  const updates = new Map();
+  for (const row of withIsin) {
+    const current = updates.get(row.isin) ||
+      existing.get(row.isin) || { isin: row.isin };
+    const latest = !current.last_seen || tradeDate >= current.last_seen;
+    const next = { ...current };
+
+    const values = { ...identifiersFor(exchange, row) };
+    for (const attribute of ATTRIBUTES) values[attribute] = row[attribute];
+    for (const [column, value] of Object.entries(values)) {
+      if (value === null || value === undefined) continue;
+      if (latest || next[column] === null || next[column] === undefined) {
+        next[column] = value;
+      }
+    }
+    if (!next.first_seen || tradeDate < next.first_seen) {
+      next.first_seen = tradeDate;
+    }
+    if (!next.last_seen || tradeDate > next.last_seen) {
+      next.last_seen = tradeDate;
+    }
+    next.updated_at = new Date().toISOString();
+
+    updates.set(row.isin, next);
+  }
+
+  for (const part of chunk([...updates.values()])) {
+    const { error } = await supabase
+      .from("securities")
+      .upsert(part, { onConflict: "isin" });
+    if (error) throw new Error(`Securities upsert failed: ${error.message}`);
+  }
+
+  return updates.size;
+}
+
+// Fill in row.isin for rows without one, using the master's exchange
+// identifiers. Identifiers that map to more than one ISIN are left alone.
+async function resolveIsins(supabase, exchange, rows) {
+  const missing = rows.filter((r) => !r.isin && r.security_code);
+  if (!missing.length) return;
+
+  const column = exchange === "NSE" ? "nse_symbol" : "bse_security_code";
+  const candidates = await selectSecurities(
+    supabase,
+    column,
+    missing.map((r) => r.security_code),
+  );
+
+  const byKey = new Map();
+  for (const security of candidates) {
+    const key = identifierKey(exchange, security);
+    byKey.set(key, byKey.has(key) ? null : security.isin);
+  }
+
+  for (const row of missing) {
+    const isin = byKey.get(
+      identifierKey(exchange, identifiersFor(exchange, row)),
+    );
+    if (isin) row.isin = isin;
+  }
+}
+
+// Refresh the master from a day's rows and link each row to its ISIN.
+// Mutates rows in place.
+export async function linkSecurities(supabase, exchange, rows, tradeDate) {
+  const refreshed = await refreshMaster(supabase, exchange, rows, tradeDate);
+  await resolveIsins(supabase, exchange, rows);
+
+  const linked = rows.filter((r) => r.isin).length;
+  return { refreshed, linked, unlinked: rows.length - linked };
+}
+
+// Master rows for a set of ISINs, keyed by ISIN
+export async function loadSecurities(supabase, isins) {
+  const rows = await selectSecurities(supabase, "isin", isins.filter(Boolean));
+  return new Map(rows.map((s) => [s.isin, s]));
+}
@@ -0,0 +1,92 @@
+// Where the scraper keeps what it loads. Every backend is a store with the
+// same shape:
+//
+//   name                                     "supabase" | "sqlite" | "postgres"
+//   replaceDay(exchange, tradeDate, rows)    atomically replace a day's
+//                                            bond_trades rows; resolves
+//                                            with the number inserted
+//   replaceRejected(exchange, tradeDate, rejected)
+//                                            replace a day's quarantined
+//                                            { row, reasons }
+//   loadExpiring(exchange, cutoff)           bond_trades rows older than
+//                                            cutoff, oldest first (cleanup)
+//   deleteDates(exchange, dates, cutoff)     delete those dates' rows older
+//                                            than cutoff; resolves with the
+//                                            number deleted (cleanup)
+//   loadTradeDays(from, to)                  { trade_date, exchange } for
+//                                            every exchange day with rows,
+//                                            from <= trade_date < to (gaps)
+//   findTrades(filter, { limit, offset })    a page of bond_trades rows
+//                                            matching { date, exchange,
+//                                            isin, securityCode, from, to },
+//                                            by date; resolves with
+//                                            { rows, total } (lib/api.mjs)
+//   writeFile(path, body, contentType)       store a file (archive)
+//   readFile(path)                           a file's Buffer, or null
+//   migrate()                                apply the backend's schema
+//   close()
+//
+// STORAGE_BACKEND picks one:
+//
+//   supabase  SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY (default)
+//   sqlite    SQLITE_PATH, a database file
+//   postgres  DATABASE_URL, a connection string
+//
+// Only Supabase has the rest of the schema (securities, bond_daily,
+// watchlists, scrape_runs), so with the other backends the daily run and
+// the backfill load, archive, fill gaps and clean up, and skip the steps
+// that need it.
+//
+// The SQLite and Postgres stores are loaded only when picked, and their
+// drivers (better-sqlite3, a native addon, and pg) are optional
+// dependencies, so a Supabase deployment needs neither.
+// Import them from ./sqlite.mjs and ./postgres.mjs to use them directly.
+import { createClient } from "@supabase/supabase-js";
+import { createSupabaseStore } from "./supabase.mjs";
+
+export { createSupabaseStore };
+
+const BACKENDS = {
+  supabase: {
+    settings: ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"],
+    create: (env, { supabase }) =>
+      createSupabaseStore(
+        supabase ||
+          createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY),
+      ),
+  },
+  sqlite: {
+    settings: ["SQLITE_PATH"],
+    async create(env) {
+      const { createSqliteStore } = await import("./sqlite.mjs");
+      return createSqliteStore(env.SQLITE_PATH);
+    },
+  },
+  postgres: {
+    settings: ["DATABASE_URL"],
+    async create(env) {
+      const { createPostgresStore } = await import("./postgres.mjs");
+      return createPostgresStore({ connectionString: env.DATABASE_URL });
+    },
+  },
+};
+
+// The backend STORAGE_BACKEND names. Throws for an unknown one.
+export function storageBackend(env = process.env) {
+  const name = (env.STORAGE_BACKEND || "supabase").trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(
+      `Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}", expected one of: ${Object.keys(BACKENDS).join(", ")}`,
+    );
+  }
+  return name;
+}
+
+// The store an environment configures, or null when the backend's
+// settings are missing. deps.supabase is a client to reuse for the
+// supabase backend.
+export async function storeFromEnv(env = process.env, deps = {}) {
+  const backend = BACKENDS[storageBackend(env)];
+  if (backend.settings.some((key) => !env[key])) return null;
+  return backend.create(env, deps);
+}
@@ -0,0 +1,60 @@
+// Store in a plain Postgres database (STORAGE_BACKEND=postgres,
+// DATABASE_URL). Schema: db/postgres, applied with migrate().
+import { fileURLToPath } from "url";
+import pg from "pg";
+import { createSqlStore } from "./sql.mjs";
+
+const MIGRATIONS = fileURLToPath(
+  new URL("../../db/postgres/", import.meta.url),
+);
+
+// ? placeholders to $1, $2, ...
+function numbered(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+function postgresDriver(client) {
+  return {
+    query: async (sql, params = []) =>
+      (await client.query(numbered(sql), params)).rows,
+    execute: async (sql, params = []) =>
+      (await client.query(numbered(sql), params)).rowCount,
+    exec: async (script) => {
+      await client.query(script);
+    },
+  };
+}
+
+// pool is a pg.Pool, or anything with the same API
+function poolDriver(pool) {
+  const driver = postgresDriver(pool);
+  return {
+    ...driver,
+    // A transaction needs one connection throughout
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("begin");
+        const result = await fn(postgresDriver(client));
+        await client.query("commit");
+        return result;
+      } catch (err) {
+        await client.query("rollback");
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end(),
+  };
+}
+
+// Connect with a connection string, or pass a pool
+export function createPostgresStore({ connectionString, pool } = {}) {
+  return createSqlStore(
+    "postgres",
+    poolDriver(pool || new pg.Pool({ connectionString })),
+    MIGRATIONS,
+  );
+}
@@ -0,0 +1,258 @@
+// The store over a SQL database, shared by the SQLite and Postgres
+// backends. Each backend supplies a driver:
+//
+//   query(sql, params)     rows, for a select
+//   execute(sql, params)   number of rows changed
+//   exec(script)           run a migration file
+//   transaction(fn)        run fn(driver) in a transaction, rolled back
+//                          if it throws
+//   close()
+//
+// SQL is written with ? placeholders; the Postgres driver numbers them.
+import fs from "fs/promises";
+import { join } from "path";
+import { quarantineRow } from "../store.mjs";
+
+// bond_trades columns a load writes; id and created_at are generated
+const TRADE_COLUMNS = [
+  "trade_date",
+  "exchange",
+  "security_code",
+  "series",
+  "isin",
+  "issuer_name",
+  "coupon_rate",
+  "maturity_date",
+  "ltp",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "bond_type",
+  "face_value",
+  "credit_rating",
+  "ytm",
+  "current_yield",
+  "macaulay_duration",
+  "modified_duration",
+  "convexity",
+  "raw_data",
+];
+
+const DATE_COLUMNS = ["trade_date", "maturity_date"];
+const NUMERIC_COLUMNS = [
+  "id",
+  "coupon_rate",
+  "ltp",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "face_value",
+  "ytm",
+  "current_yield",
+  "macaulay_duration",
+  "modified_duration",
+  "convexity",
+];
+
+// Rows per insert statement, well under SQLite's parameter limit
+const INSERT_CHUNK_SIZE = 40;
+const DELETE_CHUNK_SIZE = 100;
+
+const placeholders = (count) => new Array(count).fill("?").join(", ");
+
+// Drivers return dates as Date objects or text, numerics as numbers or
+// strings, and JSON as objects or text; rows leave the store the way
+// Supabase returns them
+function readTrade(row) {
+  const trade = { ...row };
+  for (const column of DATE_COLUMNS) {
+    if (trade[column] instanceof Date) {
+      trade[column] = trade[column].toISOString().slice(0, 10);
+    }
+  }
+  for (const column of NUMERIC_COLUMNS) {
+    if (typeof trade[column] === "string")
+      trade[column] = Number(trade[column]);
+  }
+  if (typeof trade.raw_data === "string") {
+    trade.raw_data = JSON.parse(trade.raw_data);
+  }
+  if (trade.created_at instanceof Date) {
+    trade.created_at = trade.created_at.toISOString();
+  }
+  return trade;
+}
+
+// Where clause and parameters for a findTrades filter
+function tradeFilter({ date, exchange, isin, securityCode, from, to }) {
+  const clauses = [];
+  const params = [];
+  const add = (clause, value) => {
+    if (value === undefined || value === null) return;
+    clauses.push(clause);
+    params.push(value);
+  };
+  add("trade_date = ?", date);
+  add("exchange = ?", exchange);
+  add("isin = ?", isin);
+  add("security_code = ?", securityCode);
+  add("trade_date >= ?", from);
+  add("trade_date <= ?", to);
+  return {
+    where: clauses.length ? ` where ${clauses.join(" and ")}` : "",
+    params,
+  };
+}
+
+function tradeValues(row) {
+  return TRADE_COLUMNS.map((column) => {
+    const value = row[column] ?? null;
+    return column === "raw_data" && value !== null
+      ? JSON.stringify(value)
+      : value;
+  });
+}
+
+export function createSqlStore(name, driver, migrationsDir) {
+  async function insertTrades(tx, rows) {
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+      const row = `(${placeholders(TRADE_COLUMNS.length)})`;
+      await tx.execute(
+        `insert into bond_trades (${TRADE_COLUMNS.join(", ")}) values ${chunk.map(() => row).join(", ")}`,
+        chunk.flatMap(tradeValues),
+      );
+    }
+  }
+
+  return {
+    name,
+
+    // Delete and insert in one transaction, so a failed load leaves the
+    // previous rows in place
+    async replaceDay(exchange, tradeDate, rows) {
+      await driver.transaction(async (tx) => {
+        await tx.execute(
+          "delete from bond_trades where trade_date = ? and exchange = ?",
+          [tradeDate, exchange],
+        );
+        await insertTrades(tx, rows);
+      });
+      return rows.length;
+    },
+
+    async replaceRejected(exchange, tradeDate, rejected) {
+      await driver.transaction(async (tx) => {
+        await tx.execute(
+          "delete from bond_trades_rejected where trade_date = ? and exchange = ?",
+          [tradeDate, exchange],
+        );
+        for (const entry of rejected) {
+          const record = quarantineRow(exchange, tradeDate, entry);
+          await tx.execute(
+            "insert into bond_trades_rejected (trade_date, exchange, security_code, reasons, mapped_row, raw_data) values (?, ?, ?, ?, ?, ?)",
+            [
+              record.trade_date,
+              record.exchange,
+              record.security_code,
+              JSON.stringify(record.reasons),
+              JSON.stringify(record.mapped_row),
+              record.raw_data == null ? null : JSON.stringify(record.raw_data),
+            ],
+          );
+        }
+      });
+    },
+
+    async loadExpiring(exchange, cutoff) {
+      const rows = await driver.query(
+        "select * from bond_trades where exchange = ? and trade_date < ? order by trade_date, id",
+        [exchange, cutoff],
+      );
+      return rows.map(readTrade);
+    },
+
+    async deleteDates(exchange, dates, cutoff) {
+      let deleted = 0;
+      for (let i = 0; i < dates.length; i += DELETE_CHUNK_SIZE) {
+        const chunk = dates.slice(i, i + DELETE_CHUNK_SIZE);
+        deleted += await driver.execute(
+          `delete from bond_trades where exchange = ? and trade_date < ? and trade_date in (${placeholders(chunk.length)})`,
+          [exchange, cutoff, ...chunk],
+        );
+      }
+      return deleted;
+    },
+
+    async loadTradeDays(from, to) {
+      const rows = await driver.query(
+        "select distinct trade_date, exchange from bond_trades where trade_date >= ? and trade_date < ? order by trade_date, exchange",
+        [from, to],
+      );
+      return rows.map(({ trade_date, exchange }) =>
+        readTrade({ trade_date, exchange }),
+      );
+    },
+
+    async findTrades(filter, { limit, offset }) {
+      const { where, params } = tradeFilter(filter);
+      const [{ total }] = await driver.query(
+        `select count(*) as total from bond_trades${where}`,
+        params,
+      );
+      const rows = await driver.query(
+        `select * from bond_trades${where} order by trade_date, exchange, security_code, id limit ? offset ?`,
+        [...params, limit, offset],
+      );
+      return { rows: rows.map(readTrade), total: Number(total) };
+    },
+
+    async writeFile(path, body, contentType) {
+      await driver.execute(
+        "insert into archive_files (path, body, content_type, updated_at) values (?, ?, ?, ?) on conflict (path) do update set body = excluded.body, content_type = excluded.content_type, updated_at = excluded.updated_at",
+        [path, Buffer.from(body), contentType, new Date().toISOString()],
+      );
+    },
+
+    async readFile(path) {
+      const [file] = await driver.query(
+        "select body from archive_files where path = ?",
+        [path],
+      );
+      return file ? Buffer.from(file.body) : null;
+    },
+
+    // Apply the backend's migration files not yet recorded in
+    // schema_migrations, in file name order
+    async migrate() {
+      await driver.exec(
+        "create table if not exists schema_migrations (name text primary key, applied_at text not null)",
+      );
+      const applied = new Set(
+        (await driver.query("select name from schema_migrations")).map(
+          (r) => r.name,
+        ),
+      );
+
+      const files = (await fs.readdir(migrationsDir))
+        .filter((file) => file.endsWith(".sql"))
+        .sort();
+      const ran = [];
+      for (const file of files) {
+        if (applied.has(file)) continue;
+        const script = await fs.readFile(join(migrationsDir, file), "utf8");
+        await driver.transaction(async (tx) => {
+          await tx.exec(script);
+          await tx.execute(
+            "insert into schema_migrations (name, applied_at) values (?, ?)",
+            [file, new Date().toISOString()],
+          );
+        });
+        ran.push(file);
+      }
+      return ran;
+    },
+
+    close: () => driver.close(),
+  };
+}
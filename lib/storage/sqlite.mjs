@@ -0,0 +1,36 @@
+// Store in a local SQLite file (STORAGE_BACKEND=sqlite, SQLITE_PATH).
+// Schema: db/sqlite, applied with migrate().
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import { createSqlStore } from "./sql.mjs";
+
+const MIGRATIONS = fileURLToPath(new URL("../../db/sqlite/", import.meta.url));
+
+// better-sqlite3 is synchronous, so a transaction is BEGIN/COMMIT on the
+// one connection and nothing else runs on it in between
+function sqliteDriver(db) {
+  const driver = {
+    query: async (sql, params = []) => db.prepare(sql).all(...params),
+    execute: async (sql, params = []) => db.prepare(sql).run(...params).changes,
+    exec: async (script) => db.exec(script),
+    async transaction(fn) {
+      db.exec("begin");
+      try {
+        const result = await fn(driver);
+        db.exec("commit");
+        return result;
+      } catch (err) {
+        db.exec("rollback");
+        throw err;
+      }
+    },
+    close: async () => db.close(),
+  };
+  return driver;
+}
+
+export function createSqliteStore(path) {
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  return createSqlStore("sqlite", sqliteDriver(db), MIGRATIONS);
+}
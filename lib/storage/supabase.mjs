@@ -0,0 +1,125 @@
+// Store on Supabase (STORAGE_BACKEND=supabase, the default): bond_trades
+// through the staging table and swap_bond_trades (lib/store.mjs), files in
+// the data-dump storage bucket. Schema: supabase/migrations, applied with
+// the Supabase CLI.
+import { replaceDay, replaceRejected } from "../store.mjs";
+
+const BUCKET = "data-dump";
+
+// Rows per page when reading, the PostgREST default limit
+const PAGE_SIZE = 1000;
+
+// Trade dates per delete request, to keep the URL short
+const DELETE_CHUNK_SIZE = 100;
+
+// Storage reports a missing object differently depending on the call
+function isNotFound(error) {
+  const status = String(error.status ?? error.statusCode ?? "");
+  return (
+    status === "404" || status === "400" || /not found/i.test(error.message)
+  );
+}
+
+export function createSupabaseStore(supabase) {
+  return {
+    name: "supabase",
+
+    replaceDay: (exchange, tradeDate, rows) =>
+      replaceDay(supabase, exchange, tradeDate, rows),
+
+    replaceRejected: (exchange, tradeDate, rejected) =>
+      replaceRejected(supabase, exchange, tradeDate, rejected),
+
+    async loadExpiring(exchange, cutoff) {
+      const rows = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from("bond_trades")
+          .select("*")
+          .eq("exchange", exchange)
+          .lt("trade_date", cutoff)
+          .order("trade_date")
+          .order("id")
+          .range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(`DB read failed: ${error.message}`);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+      }
+    },
+
+    async deleteDates(exchange, dates, cutoff) {
+      let deleted = 0;
+      for (let i = 0; i < dates.length; i += DELETE_CHUNK_SIZE) {
+        const { count, error } = await supabase
+          .from("bond_trades")
+          .delete({ count: "exact" })
+          .eq("exchange", exchange)
+          .lt("trade_date", cutoff)
+          .in("trade_date", dates.slice(i, i + DELETE_CHUNK_SIZE));
+        if (error) throw new Error(`DB delete failed: ${error.message}`);
+        deleted += count || 0;
+      }
+      return deleted;
+    },
+
+    async loadTradeDays(from, to) {
+      const { data, error } = await supabase
+        .from("bond_trade_days")
+        .select("trade_date, exchange")
+        .gte("trade_date", from)
+        .lt("trade_date", to);
+      if (error) throw new Error(`DB read failed: ${error.message}`);
+      return data;
+    },
+
+    async findTrades(filter, { limit, offset }) {
+      let query = supabase.from("bond_trades").select("*", { count: "exact" });
+      for (const [column, value] of [
+        ["trade_date", filter.date],
+        ["exchange", filter.exchange],
+        ["isin", filter.isin],
+        ["security_code", filter.securityCode],
+      ]) {
+        if (value !== undefined && value !== null)
+          query = query.eq(column, value);
+      }
+      if (filter.from) query = query.gte("trade_date", filter.from);
+      if (filter.to) query = query.lte("trade_date", filter.to);
+
+      const { data, count, error } = await query
+        .order("trade_date")
+        .order("exchange")
+        .order("security_code")
+        .order("id")
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(`DB read failed: ${error.message}`);
+      return { rows: data, total: count ?? data.length };
+    },
+
+    async writeFile(path, body, contentType) {
+      const { error } = await supabase.storage
+        .from(BUCKET)
+        .upload(path, body, { contentType, upsert: true });
+      if (error) throw new Error(`Could not upload ${path}: ${error.message}`);
+    },
+
+    async readFile(path) {
+      const { data: blob, error } = await supabase.storage
+        .from(BUCKET)
+        .download(path);
+      if (error) {
+        if (isNotFound(error)) return null;
+        throw new Error(`Could not read ${path}: ${error.message}`);
+      }
+      return Buffer.from(await blob.arrayBuffer());
+    },
+
+    async migrate() {
+      throw new Error(
+        "The Supabase schema is in supabase/migrations; apply it with the Supabase CLI (supabase db push)",
+      );
+    },
+
+    close: async () => {},
+  };
+}
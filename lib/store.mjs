@@ -0,0 +1,124 @@
+import { randomUUID } from "crypto";
+
+// Read every bond_trades row for a date (optionally one exchange), paging
+// past the default 1000-row limit of PostgREST.
+export async function loadTrades(supabase, tradeDate, exchange = null) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    let query = supabase
+      .from("bond_trades")
+      .select("*")
+      .eq("trade_date", tradeDate);
+    if (exchange) query = query.eq("exchange", exchange);
+
+    const { data, error } = await query.range(from, from + pageSize - 1);
+    if (error) throw new Error(`DB read failed: ${error.message}`);
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+// Read bond_trades rows with fromDate <= trade_date < toDate, paged like
+// loadTrades. Pass the columns needed; a month of rows is large.
+export async function loadTradesBetween(
+  supabase,
+  fromDate,
+  toDate,
+  columns = "*",
+) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("bond_trades")
+      .select(columns)
+      .gte("trade_date", fromDate)
+      .lt("trade_date", toDate)
+      .order("trade_date")
+      .order("id")
+      .range(from, from + pageSize - 1);
+    if (error) throw new Error(`DB read failed: ${error.message}`);
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+// Rows per insert when staging a load
+const STAGING_CHUNK_SIZE = 500;
+
+// Atomically replace a day's rows for an exchange with dbRecords. Rows are
+// staged in chunks, then swap_bond_trades deletes the old rows and copies
+// the staged ones in one transaction, so a failed load leaves the previous
+// data untouched and reruns are idempotent.
+export async function replaceDay(supabase, exchange, tradeDate, dbRecords) {
+  const loadId = randomUUID();
+
+  try {
+    for (let i = 0; i < dbRecords.length; i += STAGING_CHUNK_SIZE) {
+      const chunk = dbRecords.slice(i, i + STAGING_CHUNK_SIZE);
+      const { error } = await supabase.from("bond_trades_staging").insert(
+        chunk.map((row) => ({
+          load_id: loadId,
+          trade_date: tradeDate,
+          exchange,
+          payload: row,
+        })),
+      );
+      if (error) throw new Error(`DB staging failed: ${error.message}`);
+    }
+
+    const { data: inserted, error } = await supabase.rpc("swap_bond_trades", {
+      p_load_id: loadId,
+      p_trade_date: tradeDate,
+      p_exchange: exchange,
+      p_expected: dbRecords.length,
+    });
+    if (error) throw new Error(`DB swap failed: ${error.message}`);
+
+    return inserted;
+  } catch (err) {
+    // Best effort: the swap function also clears stale staging rows
+    await supabase.from("bond_trades_staging").delete().eq("load_id", loadId);
+    throw err;
+  }
+}
+
+// A bond_trades_rejected row for a rejected { row, reasons }. Rows keep
+// their mapped values and raw_data.
+export function quarantineRow(exchange, tradeDate, { row, reasons }) {
+  const { raw_data, ...mapped } = row;
+  return {
+    trade_date: tradeDate,
+    exchange,
+    security_code: row.security_code || null,
+    reasons,
+    // NaN does not survive JSON; keep the marker readable
+    mapped_row: JSON.parse(
+      JSON.stringify(mapped, (_, v) => (Number.isNaN(v) ? "NaN" : v)),
+    ),
+    raw_data,
+  };
+}
+
+// Replace a day's quarantined rows with the latest rejects, so reruns do
+// not pile up duplicates.
+export async function replaceRejected(supabase, exchange, tradeDate, rejected) {
+  const { error: deleteError } = await supabase
+    .from("bond_trades_rejected")
+    .delete()
+    .eq("trade_date", tradeDate)
+    .eq("exchange", exchange);
+  if (deleteError) {
+    throw new Error(`Quarantine delete failed: ${deleteError.message}`);
+  }
+
+  if (!rejected.length) return;
+
+  const { error } = await supabase
+    .from("bond_trades_rejected")
+    .insert(rejected.map((entry) => quarantineRow(exchange, tradeDate, entry)));
+  if (error) throw new Error(`Quarantine insert failed: ${error.message}`);
+}
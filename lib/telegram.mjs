@@ -0,0 +1,32 @@
+// Helpers for Telegram HTML messages
+export const MESSAGE_LIMIT = 4096;
+
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Split a message into parts Telegram accepts, breaking between lines so
+// no tag is cut in half. A single over-long line is cut where it must be.
+export function splitMessage(text, limit = MESSAGE_LIMIT) {
+  const parts = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) parts.push(current);
+    current = line;
+    while (current.length > limit) {
+      parts.push(current.slice(0, limit));
+      current = current.slice(limit);
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
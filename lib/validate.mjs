@@ -0,0 +1,118 @@
+// Row-level checks run between mapping and insert. A row that fails any
+// rule is kept out of bond_trades and quarantined with the rule names.
+import { checkTurnoverUnits } from "./normalize.mjs";
+
+const NUMERIC_FIELDS = [
+  "coupon_rate",
+  "ltp",
+  "turnover_rs_lacs",
+  "no_of_trades",
+  "traded_volume",
+  "face_value",
+];
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+
+const isSet = (value) => value !== null && value !== undefined;
+
+export const RULES = [
+  {
+    name: "security_code_missing",
+    test: (row) => Boolean(row.security_code),
+  },
+  {
+    name: "isin_invalid",
+    test: (row) => !isSet(row.isin) || ISIN_PATTERN.test(row.isin),
+  },
+  {
+    // The mapping turns non-empty values it cannot parse into NaN
+    name: "number_unparseable",
+    test: (row) => NUMERIC_FIELDS.every((f) => !Number.isNaN(row[f])),
+  },
+  {
+    // A trade without a price is no use for consolidation or analytics,
+    // so a missing ltp is a rejection rather than a stored null
+    name: "ltp_missing",
+    test: (row) => isSet(row.ltp),
+  },
+  {
+    name: "ltp_not_positive",
+    test: (row) => !isSet(row.ltp) || Number.isNaN(row.ltp) || row.ltp > 0,
+  },
+  {
+    name: "coupon_out_of_range",
+    test: (row) =>
+      !isSet(row.coupon_rate) ||
+      Number.isNaN(row.coupon_rate) ||
+      (row.coupon_rate >= 0 && row.coupon_rate <= 100),
+  },
+  {
+    name: "turnover_negative",
+    test: (row) => !isSet(row.turnover_rs_lacs) || !(row.turnover_rs_lacs < 0),
+  },
+  {
+    name: "trades_negative",
+    test: (row) => !isSet(row.no_of_trades) || !(row.no_of_trades < 0),
+  },
+  {
+    name: "volume_negative",
+    test: (row) => !isSet(row.traded_volume) || !(row.traded_volume < 0),
+  },
+  {
+    // Date columns are ISO strings once mapped, NaN if unparseable
+    name: "maturity_date_unparseable",
+    test: (row) => !Number.isNaN(row.maturity_date),
+  },
+];
+
+// Split rows into accepted and rejected, with a per-rule count
+export function validateRows(rows) {
+  const accepted = [];
+  const rejected = [];
+  const byRule = {};
+
+  for (const row of rows) {
+    const reasons = RULES.filter((rule) => !rule.test(row)).map((r) => r.name);
+
+    if (reasons.length === 0) {
+      accepted.push(row);
+      continue;
+    }
+
+    rejected.push({ row, reasons });
+    for (const reason of reasons) {
+      byRule[reason] = (byRule[reason] || 0) + 1;
+    }
+  }
+
+  return {
+    accepted,
+    rejected,
+    quality: {
+      accepted: accepted.length,
+      rejected: rejected.length,
+      byRule,
+      turnoverUnits: checkTurnoverUnits(accepted),
+    },
+  };
+}
+
+// Anything in a quality summary worth telling people about
+export function hasQualityIssues(quality) {
+  return Boolean(quality.rejected) || quality.turnoverUnits?.ok === false;
+}
+
+// "3 rejected (ltp_not_positive: 2, coupon_out_of_range: 1)"
+export function formatQuality(quality) {
+  const rules = Object.entries(quality.byRule)
+    .sort((a, b) => b[1] - a[1])
+    .map(([rule, count]) => `${rule}: ${count}`)
+    .join(", ");
+  let text = `${quality.rejected} rejected${rules ? ` (${rules})` : ""}`;
+
+  const units = quality.turnoverUnits;
+  if (units && !units.ok) {
+    text += `; turnover is ${units.medianRatio.toFixed(2)}x price × volume, check the turnover unit`;
+  }
+  return text;
+}
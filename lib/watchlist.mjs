@@ -0,0 +1,191 @@
+// Watchlist alerts. After an exchange's rows are stored, every active
+// watchlist_entries row traded that day is checked against its rules,
+// and matches go to the entry's recipients. watchlist_alerts_sent records
+// each delivery so rerunning a day does not send the same alert twice.
+import { loadTrades } from "./store.mjs";
+import { parseDateDB } from "./dates.mjs";
+import { escapeHtml } from "./telegram.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSet = (value) => value !== null && value !== undefined;
+
+export async function loadWatchlist(supabase) {
+  const { data, error } = await supabase
+    .from("watchlist_entries")
+    .select("*")
+    .eq("active", true);
+  if (error) throw new Error(`Watchlist read failed: ${error.message}`);
+  return data;
+}
+
+function matchesEntry(entry, row) {
+  if (entry.isin) return row.isin === entry.isin;
+  return (
+    (!entry.exchange || entry.exchange === row.exchange) &&
+    entry.security_code === row.security_code
+  );
+}
+
+// The security's most recent trade on the exchange before tradeDate
+async function previousTrade(supabase, row, tradeDate) {
+  const { data, error } = await supabase
+    .from("bond_trades")
+    .select("trade_date, ltp, credit_rating")
+    .eq("exchange", row.exchange)
+    .eq("security_code", row.security_code)
+    .lt("trade_date", tradeDate)
+    .order("trade_date", { ascending: false })
+    .limit(1);
+  if (error) throw new Error(`DB read failed: ${error.message}`);
+  return data[0] || null;
+}
+
+const sameRating = (a, b) =>
+  String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+
+// Rules an entry's row breaks, as { rule, detail }
+export function checkRules(entry, row, previous, tradeDate) {
+  const hits = [];
+
+  if (isSet(entry.price_change_pct) && previous?.ltp > 0 && row.ltp > 0) {
+    const change = ((row.ltp - previous.ltp) / previous.ltp) * 100;
+    if (Math.abs(change) > entry.price_change_pct) {
+      hits.push({
+        rule: "price_change",
+        detail: `price ${previous.ltp} → ${row.ltp} (${change >= 0 ? "+" : ""}${change.toFixed(2)}% since ${previous.trade_date})`,
+      });
+    }
+  }
+
+  if (
+    isSet(entry.turnover_above_lacs) &&
+    row.turnover_rs_lacs > entry.turnover_above_lacs
+  ) {
+    hits.push({
+      rule: "turnover",
+      detail: `turnover ₹${row.turnover_rs_lacs} L, above ₹${entry.turnover_above_lacs} L`,
+    });
+  }
+
+  if (isSet(entry.inactive_days)) {
+    const idleDays = previous
+      ? Math.round(
+          (parseDateDB(tradeDate) - parseDateDB(previous.trade_date)) / DAY_MS,
+        )
+      : null;
+    if (idleDays === null || idleDays >= entry.inactive_days) {
+      hits.push({
+        rule: "first_trade",
+        detail: previous
+          ? `first trade in ${idleDays} days (last ${previous.trade_date})`
+          : "first trade on record",
+      });
+    }
+  }
+
+  if (
+    entry.rating_change &&
+    previous?.credit_rating &&
+    row.credit_rating &&
+    !sameRating(previous.credit_rating, row.credit_rating)
+  ) {
+    hits.push({
+      rule: "rating_change",
+      detail: `rating ${previous.credit_rating} → ${row.credit_rating}`,
+    });
+  }
+
+  return hits;
+}
+
+function alertText(entry, row, hit) {
+  const name = entry.label || row.issuer_name || row.isin || row.security_code;
+  return (
+    `🔔 <b>${escapeHtml(name)}</b> (${row.exchange} ${escapeHtml(row.security_code)}, ${row.trade_date})\n` +
+    escapeHtml(hit.detail)
+  );
+}
+
+// Alerts for one exchange's stored rows of a trade date
+export async function evaluateWatchlist(supabase, exchange, tradeDate) {
+  const entries = await loadWatchlist(supabase);
+  if (!entries.length) return [];
+
+  const rows = await loadTrades(supabase, tradeDate, exchange);
+  const alerts = [];
+
+  for (const entry of entries) {
+    for (const row of rows.filter((r) => matchesEntry(entry, r))) {
+      const previous = await previousTrade(supabase, row, tradeDate);
+      for (const hit of checkRules(entry, row, previous, tradeDate)) {
+        alerts.push({
+          entry,
+          exchange,
+          tradeDate,
+          rule: hit.rule,
+          text: alertText(entry, row, hit),
+        });
+      }
+    }
+  }
+  return alerts;
+}
+
+// Deliver alerts through send(chatId, text), skipping any already sent to
+// that recipient for the same entry, day, exchange and rule
+export async function sendWatchlistAlerts(supabase, alerts, send) {
+  const summary = { sent: 0, duplicates: 0, failed: 0 };
+  if (!alerts.length) return summary;
+
+  const { data: delivered, error } = await supabase
+    .from("watchlist_alerts_sent")
+    .select("entry_id, trade_date, exchange, rule, recipient")
+    .in("entry_id", [...new Set(alerts.map((a) => a.entry.id))])
+    .in("trade_date", [...new Set(alerts.map((a) => a.tradeDate))]);
+  if (error) throw new Error(`Alert log read failed: ${error.message}`);
+
+  const key = (entryId, tradeDate, exchange, rule, recipient) =>
+    [entryId, tradeDate, exchange, rule, recipient].join("|");
+  const seen = new Set(
+    delivered.map((d) =>
+      key(d.entry_id, d.trade_date, d.exchange, d.rule, d.recipient),
+    ),
+  );
+
+  for (const alert of alerts) {
+    for (const recipient of alert.entry.recipients || []) {
+      const record = {
+        entry_id: alert.entry.id,
+        trade_date: alert.tradeDate,
+        exchange: alert.exchange,
+        rule: alert.rule,
+        recipient: String(recipient),
+      };
+      const recordKey = key(...Object.values(record));
+      if (seen.has(recordKey)) {
+        summary.duplicates++;
+        continue;
+      }
+
+      try {
+        await send(recipient, alert.text);
+      } catch (err) {
+        console.error(`  Watchlist alert to ${recipient} failed:`, err.message);
+        summary.failed++;
+        continue;
+      }
+
+      seen.add(recordKey);
+      summary.sent++;
+      const { error: logError } = await supabase
+        .from("watchlist_alerts_sent")
+        .upsert(record, { ignoreDuplicates: true });
+      if (logError) {
+        console.error("  Could not record watchlist alert:", logError.message);
+      }
+    }
+  }
+
+  return summary;
+}
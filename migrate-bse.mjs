@@ -1,362 +1,530 @@
-import https from "https";
-import { parse } from "node-html-parser";
+// Backfill bond_trades for a range of past dates, one exchange day at a
+// time, through the same adapters the daily scraper uses. With --replay the
+// days are re-parsed from the raw payload archive instead of downloaded.
+// Rows and the archive go to the store STORAGE_BACKEND configures
+// (lib/storage). Without Supabase the steps that need the rest of its
+// schema (security master, consolidation, health check and run record)
+// are skipped, as in the daily run.
+import fs from "fs/promises";
+import { parseArgs } from "util";
 import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import TelegramBot from "node-telegram-bot-api";
-import { parse as parseCSVLib } from "csv-parse/sync";
+import { adapters } from "./lib/adapters/index.mjs";
+import { describeMapping, hasDrift } from "./lib/mapping.mjs";
+import { ingestDay } from "./lib/ingest.mjs";
+import { formatQuality, hasQualityIssues } from "./lib/validate.mjs";
+import { consolidateDay } from "./lib/consolidate.mjs";
+import { archivePayload, loadArchivedPayload } from "./lib/archive.mjs";
+import { storageBackend, storeFromEnv } from "./lib/storage/index.mjs";
+import { takeRequestLog } from "./lib/http.mjs";
+import {
+  formatDateBSE,
+  formatDateDB,
+  parseDateDB,
+  listWeekdays,
+} from "./lib/dates.mjs";
+import { closedReason } from "./lib/calendar.mjs";
+import { checkHealth } from "./lib/health.mjs";
+import {
+  startRun,
+  finishRun,
+  runStatus,
+  httpStats,
+  errorEntry,
+} from "./lib/runs.mjs";
+import {
+  notifierFromEnv,
+  alertReport,
+  renderText,
+} from "./lib/notify/index.mjs";
 
 dotenv.config();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-);
-
-const bot = new TelegramBot(process.env.TELEGRAM_API_TOKEN, { polling: false });
-
-const UA =
-  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/144.0.0.0 Safari/537.36";
+// Built by main once the arguments are parsed. A dry run writes and sends
+// nothing, so it needs no credentials; a dry replay still reads the
+// archive from the store.
+let supabase = null;
+let store = null;
+let notifier = null;
+
+async function createClients({ dryRun, replay }) {
+  if (!dryRun || replay) {
+    const backend = storageBackend();
+    supabase =
+      backend === "supabase"
+        ? createClient(
+            process.env.SUPABASE_URL,
+            process.env.SUPABASE_SERVICE_ROLE_KEY,
+          )
+        : null;
+    store = await storeFromEnv(process.env, { supabase });
+    if (!store) throw new Error(`Storage backend ${backend} is not configured`);
+  }
+  if (!dryRun) {
+    const bot = new TelegramBot(process.env.TELEGRAM_API_TOKEN, {
+      polling: false,
+    });
+    notifier = notifierFromEnv(process.env, { bot });
+  }
+}
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function makeRequest(options, postData = null) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: data,
-        });
-      });
-    });
-    req.on("error", reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
+// Re-parse a day's archived payload with the adapter's current parser
+async function loadFromArchive(adapter, tradeDate) {
+  const archived = await loadArchivedPayload(
+    store,
+    adapter.exchange,
+    tradeDate,
+  );
+  if (!archived) return null;
+
+  return {
+    payload: archived.payload,
+    records: adapter.parse(archived.payload),
+  };
 }
 
-function formatDateBSE(date) {
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const year = date.getUTCFullYear();
-  return `${day}/${month}/${year}`;
+// The checkpoint file records, per exchange, every date that finished
+// (saved or skipped). Failed dates are left out so a rerun retries them.
+async function loadCheckpoint(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Could not read checkpoint ${path}: ${err.message}`);
+  }
 }
 
-function formatDateDB(date) {
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const year = date.getUTCFullYear();
-  return `${year}-${month}-${day}`;
+async function saveCheckpoint(path, checkpoint) {
+  await fs.writeFile(path, JSON.stringify(checkpoint, null, 2));
 }
 
-function normalizeHeader(h) {
-  return h.replace(/\n/g, " ").replace(/\s+/g, " ").trim();
+// This run's scrape_runs record; dry runs are not recorded
+let currentRun = null;
+
+async function recordRunEnd(record) {
+  if (!currentRun) return;
+  try {
+    await finishRun(supabase, currentRun, record);
+  } catch (err) {
+    console.error("Could not record run result:", err.message);
+  }
 }
 
-function extractFormFields(html) {
-  const root = parse(html, { insecureHTTPParser: true });
+// Per-exchange totals of a backfill's outcomes for scrape_runs
+function exchangeTotals(outcomes, exchange) {
+  const mine = outcomes.filter((o) => o.exchange === exchange);
+  const dates = {};
+  for (const o of mine) dates[o.status] = (dates[o.status] || 0) + 1;
+
+  const done = mine.length - (dates.failed || 0) - (dates.closed || 0);
   return {
-    viewstate: root.querySelector("#__VIEWSTATE")?.getAttribute("value") || "",
-    viewstateGenerator:
-      root.querySelector("#__VIEWSTATEGENERATOR")?.getAttribute("value") || "",
-    eventValidation:
-      root.querySelector("#__EVENTVALIDATION")?.getAttribute("value") || "",
+    status:
+      dates.failed && !done
+        ? "failed"
+        : mine.length && dates.closed === mine.length
+          ? "closed"
+          : "success",
+    dates,
+    count: mine.reduce((sum, o) => sum + (o.count || 0), 0),
+    rejected: mine.reduce((sum, o) => sum + (o.rejected || 0), 0),
+    duration_ms: mine.reduce((sum, o) => sum + (o.ms || 0), 0),
+    http: {
+      attempts: mine.reduce((sum, o) => sum + (o.http?.attempts || 0), 0),
+      retries: mine.reduce((sum, o) => sum + (o.http?.retries || 0), 0),
+      failures: mine.reduce((sum, o) => sum + (o.http?.failures || 0), 0),
+    },
   };
 }
 
-function extractCookies(response) {
-  return (
-    response.headers["set-cookie"]?.map((c) => c.split(";")[0]).join("; ") || ""
-  );
+function printUsage() {
+  console.log(`Usage: node migrate-bse.mjs --from YYYY-MM-DD --to YYYY-MM-DD [options]
+
+Options:
+  --exchange <BSE|NSE|ALL>  Exchange to backfill (default: BSE)
+  --dry-run                 Fetch and parse only; no DB writes, checkpoint or notification
+  --replay                  Re-load days from archived raw payloads, not the exchange
+  --checkpoint <file>       Checkpoint file (default: .migrate-checkpoint.json)
+  --restart                 Ignore the checkpoint and process every date again
+  --help                    Show this message`);
 }
 
-const COMMON_HEADERS = {
-  "user-agent": UA,
-  accept:
-    "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
-  "accept-language": "en-IN,en-GB;q=0.9,en-US;q=0.8,en;q=0.7",
-  "sec-ch-ua":
-    '"Not(A:Brand";v="8", "Chromium";v="144", "Google Chrome";v="144"',
-  "sec-ch-ua-mobile": "?0",
-  "sec-ch-ua-platform": '"macOS"',
-  "sec-fetch-dest": "document",
-  "sec-fetch-mode": "navigate",
-  "sec-fetch-site": "same-origin",
-  "sec-fetch-user": "?1",
-  "upgrade-insecure-requests": "1",
-  dnt: "1",
-};
-
-async function fetchBSECSV(date) {
-  const dateStr = formatDateBSE(date);
-
-  // Step 1: GET the page to obtain viewstate and cookies
-  const getResp = await makeRequest({
-    hostname: "www.bseindia.com",
-    path: "/markets/debt/debt_search.aspx",
-    method: "GET",
-    headers: { ...COMMON_HEADERS },
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      exchange: { type: "string", default: "BSE" },
+      "dry-run": { type: "boolean", default: false },
+      replay: { type: "boolean", default: false },
+      checkpoint: { type: "string", default: ".migrate-checkpoint.json" },
+      restart: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
   });
 
-  if (getResp.statusCode !== 200) {
-    console.error(`GET returned status ${getResp.statusCode}`);
-    return null;
+  if (values.help) {
+    printUsage();
+    process.exit(0);
   }
 
-  const cookies = extractCookies(getResp);
-  const fields1 = extractFormFields(getResp.body);
-  if (!fields1.viewstate) {
-    console.error("No viewstate from initial GET");
-    return null;
+  if (!values.from || !values.to) {
+    throw new Error("--from and --to are required, as YYYY-MM-DD");
   }
-
-  // Step 2: Submit search to load results (needed for download viewstate)
-  const submitData = new URLSearchParams({
-    __VIEWSTATE: fields1.viewstate,
-    __VIEWSTATEGENERATOR: fields1.viewstateGenerator,
-    __VIEWSTATEENCRYPTED: "",
-    __EVENTVALIDATION: fields1.eventValidation,
-    ctl00$ContentPlaceHolder1$hidFDate: "",
-    ctl00$ContentPlaceHolder1$txtFromDate: dateStr,
-    ctl00$ContentPlaceHolder1$txtTodate: dateStr,
-    ctl00$ContentPlaceHolder1$btnSubmit: "Submit",
-    ctl00$ContentPlaceHolder1$hidCurrentDate: "",
-    ctl00$ContentPlaceHolder1$Indices: "rcds",
-  }).toString();
-
-  const submitResp = await makeRequest(
-    {
-      hostname: "www.bseindia.com",
-      path: "/markets/debt/debt_search.aspx",
-      method: "POST",
-      headers: {
-        ...COMMON_HEADERS,
-        "content-type": "application/x-www-form-urlencoded",
-        "content-length": Buffer.byteLength(submitData),
-        cookie: cookies,
-        origin: "https://www.bseindia.com",
-        referer: "https://www.bseindia.com/markets/debt/debt_search.aspx",
-        "cache-control": "max-age=0",
-      },
-    },
-    submitData,
-  );
-
-  if (submitResp.statusCode !== 200) {
-    console.error(`Submit POST returned status ${submitResp.statusCode}`);
-    return null;
+  const startDate = parseDateDB(values.from);
+  const endDate = parseDateDB(values.to);
+  if (!startDate || !endDate) {
+    throw new Error(
+      `--from and --to must be real dates as YYYY-MM-DD, got ${values.from} and ${values.to}`,
+    );
   }
-
-  // Check if the search result page has any data
-  if (!submitResp.body.includes("ContentPlaceHolder1_divCT1")) {
-    return null;
+  if (startDate > endDate) {
+    throw new Error("--from must not be after --to");
   }
 
-  const fields2 = extractFormFields(submitResp.body);
-  if (!fields2.viewstate) {
-    console.error("No viewstate from submit response");
-    return null;
+  const exchange = values.exchange.toUpperCase();
+  if (exchange !== "ALL" && !adapters[exchange]) {
+    throw new Error(`Unknown exchange: ${values.exchange}`);
   }
 
-  // Step 3: Trigger CSV download using the post-search viewstate
-  const downloadData = new URLSearchParams({
-    __EVENTTARGET: "ctl00$ContentPlaceHolder1$imgDownload",
-    __EVENTARGUMENT: "",
-    __VIEWSTATE: fields2.viewstate,
-    __VIEWSTATEGENERATOR: fields2.viewstateGenerator,
-    __VIEWSTATEENCRYPTED: "",
-    __EVENTVALIDATION: fields2.eventValidation,
-    ctl00$ContentPlaceHolder1$hidFDate: "",
-    ctl00$ContentPlaceHolder1$txtFromDate: dateStr,
-    ctl00$ContentPlaceHolder1$txtTodate: dateStr,
-    ctl00$ContentPlaceHolder1$hidCurrentDate: "",
-    ctl00$ContentPlaceHolder1$Indices: "rcds",
-  }).toString();
-
-  const downloadResp = await makeRequest(
-    {
-      hostname: "www.bseindia.com",
-      path: "/markets/debt/debt_search.aspx",
-      method: "POST",
-      headers: {
-        ...COMMON_HEADERS,
-        "content-type": "application/x-www-form-urlencoded",
-        "content-length": Buffer.byteLength(downloadData),
-        cookie: cookies,
-        origin: "https://www.bseindia.com",
-        referer: "https://www.bseindia.com/markets/debt/debt_search.aspx",
-        "cache-control": "max-age=0",
-      },
-    },
-    downloadData,
-  );
-
-  if (downloadResp.statusCode !== 200) {
-    console.error(`Download POST returned status ${downloadResp.statusCode}`);
-    return null;
-  }
-
-  // If BSE returned HTML instead of CSV, there's no downloadable data
-  const body = downloadResp.body.trim();
-  if (
-    body.startsWith("<!") ||
-    body.startsWith("<html") ||
-    body.startsWith("<")
-  ) {
-    console.error("BSE returned HTML instead of CSV");
-    return null;
-  }
-
-  return downloadResp.body;
+  return {
+    startDate,
+    endDate,
+    exchanges: exchange === "ALL" ? Object.keys(adapters) : [exchange],
+    dryRun: values["dry-run"],
+    replay: values.replay,
+    checkpointPath: values.checkpoint,
+    restart: values.restart,
+  };
 }
 
 async function main() {
-  console.log("=== BSE Data Migration (Jan 1 - Feb 16, 2026) ===");
-  console.log(`Started at: ${new Date().toISOString()}\n`);
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    process.exit(1);
+  }
+
+  const { startDate, endDate, exchanges, dryRun, replay } = args;
+  await createClients(args);
+  const rangeLabel = `${formatDateBSE(startDate)} - ${formatDateBSE(endDate)}`;
 
-  const startDate = new Date(Date.UTC(2026, 0, 28));
-  const endDate = new Date(Date.UTC(2026, 1, 16));
-
-  const dates = [];
-  for (
-    let d = new Date(startDate);
-    d <= endDate;
-    d.setUTCDate(d.getUTCDate() + 1)
-  ) {
-    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) {
-      dates.push(new Date(d));
+  console.log(
+    `=== ${exchanges.join(" + ")} Data ${replay ? "Replay" : "Migration"} (${rangeLabel})${dryRun ? " [dry run]" : ""} ===`,
+  );
+  if (!dryRun && supabase) {
+    const fields = {
+      kind: "backfill",
+      range_from: formatDateDB(startDate),
+      range_to: formatDateDB(endDate),
+    };
+    try {
+      currentRun = await startRun(supabase, fields);
+    } catch (err) {
+      // Recorded whole at the end instead
+      console.error("Could not record run start:", err.message);
+      currentRun = { id: null, startedAt: new Date().toISOString(), fields };
     }
   }
+  console.log(`Started at: ${new Date().toISOString()}\n`);
+
+  const dates = listWeekdays(startDate, endDate);
 
   console.log(`Total weekdays to process: ${dates.length}\n`);
 
-  let totalRecords = 0;
-  let processedDates = 0;
-  let skippedDates = 0;
-  let headerLogged = false;
+  const checkpoint =
+    args.restart || dryRun ? {} : await loadCheckpoint(args.checkpointPath);
+  // Replays are tracked separately so they do not skip fetched days
+  const checkpointKey = (exchange) =>
+    replay ? `${exchange}:replay` : exchange;
+  for (const exchange of exchanges) {
+    checkpoint[checkpointKey(exchange)] ||= [];
+  }
+
+  // One entry per exchange and date: saved, skipped, closed, resumed or
+  // failed
+  const outcomes = [];
+  // Header drift seen per exchange and mapping, reported once at the end
+  const headerDrift = new Map();
+  // Health check findings for the days stored
+  const anomalies = [];
 
   for (const date of dates) {
     const dateStr = formatDateBSE(date);
     const dbDate = formatDateDB(date);
-    process.stdout.write(`${dateStr} ... `);
 
-    try {
-      const csvContent = await fetchBSECSV(date);
+    for (const exchange of exchanges) {
+      process.stdout.write(`${exchange} ${dateStr} ... `);
 
-      if (!csvContent) {
-        console.log("no data, skipped");
-        skippedDates++;
-        await sleep(1000);
+      const closed = closedReason(exchange, dbDate);
+      if (closed) {
+        console.log(`market closed (${closed}), skipped`);
+        outcomes.push({ exchange, date: dbDate, status: "closed", closed });
         continue;
       }
 
-      let csvStr = csvContent;
-      if (csvStr.charCodeAt(0) === 0xfeff) csvStr = csvStr.slice(1);
-
-      const records = parseCSVLib(csvStr, {
-        columns: (headers) => headers.map(normalizeHeader),
-        skip_empty_lines: true,
-        relax_quotes: true,
-        relax_column_count: true,
-        trim: true,
-        bom: true,
-      });
-
-      if (!headerLogged && records.length > 0) {
-        console.log(`\n  CSV columns: ${Object.keys(records[0]).join(", ")}`);
-        headerLogged = true;
-        process.stdout.write(`${dateStr} ... `);
+      if (checkpoint[checkpointKey(exchange)].includes(dbDate)) {
+        console.log("already done, skipped (checkpoint)");
+        outcomes.push({ exchange, date: dbDate, status: "resumed" });
+        continue;
       }
 
-      if (records.length === 0) {
-        console.log("empty CSV, skipped");
-        skippedDates++;
-        await sleep(1000);
-        continue;
+      const started = Date.now();
+      try {
+        const adapter = adapters[exchange];
+        const fetched = replay
+          ? await loadFromArchive(adapter, dbDate)
+          : await adapter.fetchHistoric(date);
+
+        if (fetched && !replay && !dryRun) {
+          try {
+            await archivePayload(store, exchange, dbDate, fetched.payload);
+          } catch (err) {
+            console.log(`\n  archive failed: ${err.message}`);
+            process.stdout.write(`${exchange} ${dateStr} ... `);
+          }
+        }
+
+        const records = fetched?.records.length ? fetched.records : null;
+        if (!records) {
+          console.log(
+            replay ? "nothing archived, skipped" : "no data, skipped",
+          );
+          outcomes.push({ exchange, date: dbDate, status: "skipped" });
+        } else {
+          const { spec, drift, count, quality } = await ingestDay(
+            { supabase, store },
+            adapter,
+            records,
+            dbDate,
+            { dryRun },
+          );
+
+          if (hasDrift(drift)) {
+            const mapping = describeMapping(spec);
+            const key = `${exchange} ${mapping}`;
+            if (!headerDrift.has(key)) {
+              headerDrift.set(key, { exchange, mapping, drift });
+              console.log(`\n  Header drift against ${mapping}:`, drift);
+              process.stdout.write(`${exchange} ${dateStr} ... `);
+            }
+          }
+
+          console.log(
+            `${count} records ${dryRun ? "parsed" : "saved"}` +
+              (hasQualityIssues(quality) ? `, ${formatQuality(quality)}` : ""),
+          );
+          outcomes.push({
+            exchange,
+            date: dbDate,
+            status: "saved",
+            count,
+            rejected: quality.rejected,
+          });
+        }
+
+        if (!dryRun) {
+          checkpoint[checkpointKey(exchange)].push(dbDate);
+          await saveCheckpoint(args.checkpointPath, checkpoint);
+        }
+      } catch (error) {
+        console.log(`FAILED: ${error.message}`);
+        outcomes.push({
+          exchange,
+          date: dbDate,
+          status: "failed",
+          error: error.message,
+          stack: error.stack,
+        });
       }
 
-      const dbRecords = records.map((r) => ({
-        trade_date: dbDate,
-        exchange: "BSE",
-        security_code: r["Scrip Name"] || null,
-        issuer_name: null,
-        coupon_rate: null,
-        maturity_date: null,
-        ltp: r["Close Price"]
-          ? parseFloat(String(r["Close Price"]).replace(/,/g, ""))
-          : null,
-        turnover_rs_lacs: r["Total Trade Turnover (Rs. Lakhs)"]
-          ? parseFloat(
-              String(r["Total Trade Turnover (Rs. Lakhs)"]).replace(/,/g, ""),
-            )
-          : null,
-        no_of_trades: r["Total Trade Volume"]
-          ? parseInt(String(r["Total Trade Volume"]).replace(/,/g, ""))
-          : null,
-        bond_type: null,
-        face_value: null,
-        credit_rating: null,
-        raw_data: r,
-      }));
-
-      // Delete old records for this date, then insert new ones
-      await supabase
-        .from("bond_trades")
-        .delete()
-        .eq("trade_date", dbDate)
-        .eq("exchange", "BSE");
-
-      const { error } = await supabase.from("bond_trades").insert(dbRecords);
-      if (error) throw new Error(`DB insert failed: ${error.message}`);
-
-      console.log(`${dbRecords.length} records saved`);
-      totalRecords += dbRecords.length;
-      processedDates++;
-    } catch (error) {
-      console.error(`\nERROR on ${dateStr}: ${error.message}`);
-      console.log("Breaking due to error. No notification sent.");
-      process.exit(1);
+      const outcome = outcomes[outcomes.length - 1];
+      outcome.ms = Date.now() - started;
+      outcome.http = httpStats(takeRequestLog());
+      outcome.retries = outcome.http.retries;
+
+      if (
+        !dryRun &&
+        supabase &&
+        ["saved", "skipped"].includes(outcome.status)
+      ) {
+        try {
+          const found = await checkHealth(supabase, dbDate, {
+            [exchange]: outcome.count || 0,
+          });
+          for (const anomaly of found) console.log(`  ⚠️ ${anomaly.message}`);
+          anomalies.push(...found);
+        } catch (error) {
+          console.log(`  health check FAILED: ${error.message}`);
+        }
+      }
+
+      if (!replay) await sleep(1000);
+    }
+
+    // Rebuild the cross-exchange view once the date's exchanges are in
+    const savedToday = outcomes.some(
+      (o) => o.date === dbDate && o.status === "saved",
+    );
+    if (savedToday && !dryRun && supabase) {
+      try {
+        const { bonds } = await consolidateDay(supabase, dbDate);
+        console.log(`  ${dateStr} consolidated ${bonds} bonds`);
+      } catch (error) {
+        console.log(`  ${dateStr} consolidation FAILED: ${error.message}`);
+        outcomes.push({
+          exchange: "ALL",
+          date: dbDate,
+          status: "failed",
+          error: `consolidation: ${error.message}`,
+          stack: error.stack,
+        });
+      }
     }
+  }
 
-    await sleep(1000);
+  const count = (status) => outcomes.filter((o) => o.status === status).length;
+  const processedDates = count("saved");
+  const skippedDates = count("skipped");
+  const closedDates = count("closed");
+  const resumedDates = count("resumed");
+  const failed = outcomes.filter((o) => o.status === "failed");
+  const totalRecords = outcomes.reduce((sum, o) => sum + (o.count || 0), 0);
+  const totalRejected = outcomes.reduce((sum, o) => sum + (o.rejected || 0), 0);
+  const totalRetries = outcomes.reduce((sum, o) => sum + (o.retries || 0), 0);
+
+  const report = alertReport(
+    `${exchanges.join(" + ")} Data Migration ${failed.length ? "Finished With Errors" : "Complete"}`,
+    [
+      `Range: ${rangeLabel}`,
+      `Dates processed: ${processedDates}`,
+      `Dates skipped (no data): ${skippedDates}`,
+      ...(closedDates ? [`Dates market closed: ${closedDates}`] : []),
+      ...(resumedDates
+        ? [`Dates already done (checkpoint): ${resumedDates}`]
+        : []),
+      `Dates failed: ${failed.length}`,
+      `Total records migrated: ${totalRecords}`,
+      ...(totalRejected
+        ? [`Rows rejected by validation: ${totalRejected}`]
+        : []),
+      ...(totalRetries ? [`HTTP retries: ${totalRetries}`] : []),
+    ],
+  );
+  for (const { exchange, mapping, drift } of headerDrift.values()) {
+    report.blocks.push({
+      heading: `⚠️ ${exchange} column changes (mapping ${mapping})`,
+      lines: [
+        ...(drift.unexpected.length
+          ? [`New headers: ${drift.unexpected.join(", ")}`]
+          : []),
+        ...(drift.missingOptional.length
+          ? [
+              `Missing headers (stored as null): ${drift.missingOptional.join(", ")}`,
+            ]
+          : []),
+      ],
+    });
+  }
+  if (anomalies.length) {
+    report.blocks.push({
+      heading: "🩺 Health check: run degraded",
+      lines: anomalies.map((a) => `• ${a.message}`),
+    });
   }
+  if (failed.length) {
+    report.blocks.push({
+      heading: "Failures:",
+      lines: failed.map((o) => `• ${o.exchange} ${o.date}: ${o.error}`),
+    });
+  }
+  report.blocks.push({
+    lines: [
+      `Completed: ${new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}`,
+    ],
+  });
 
-  // Send a single Telegram notification on success
-  const msg = [
-    `<b>BSE Data Migration Complete</b>`,
-    ``,
-    `<b>Range:</b> 01/01/2026 - 16/02/2026`,
-    `<b>Dates processed:</b> ${processedDates}`,
-    `<b>Dates skipped (no data):</b> ${skippedDates}`,
-    `<b>Total records migrated:</b> ${totalRecords}`,
-    ``,
-    `<i>Completed: ${new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}</i>`,
-  ].join("\n");
+  const totals = Object.fromEntries(
+    exchanges.map((exchange) => [exchange, exchangeTotals(outcomes, exchange)]),
+  );
+  const errors = failed.map((o) => ({
+    scope: `${o.exchange} ${o.date}`,
+    message: o.error,
+    stack: o.stack ?? null,
+  }));
+  // Stacks are kept once, in errors
+  const outcomeDetails = outcomes.map(({ stack, ...outcome }) => outcome);
+  const status = runStatus(totals, errors, anomalies);
+  await recordRunEnd({
+    status,
+    exchanges: totals,
+    row_count: totalRecords,
+    anomalies,
+    errors,
+    details: {
+      replay,
+      outcomes: outcomeDetails,
+    },
+  });
 
-  try {
-    await bot.sendMessage(process.env.TELEGRAM_CHANNEL, msg, {
-      parse_mode: "HTML",
+  if (dryRun) {
+    console.log("\n[dry run] Notification not sent:\n");
+    console.log(renderText(report));
+  } else {
+    await notifier.notify({
+      report,
+      run: {
+        backfill: { from: formatDateDB(startDate), to: formatDateDB(endDate) },
+        status,
+        exchanges: totals,
+        anomalies,
+        outcomes: outcomeDetails,
+      },
     });
-    console.log("\nTelegram notification sent.");
-  } catch (err) {
-    console.error("\nFailed to send Telegram:", err.message);
   }
 
+  await store?.close();
+
   console.log("\n=== Migration Complete ===");
   console.log(
     `Processed: ${processedDates} dates, ${totalRecords} total records`,
   );
   console.log(`Skipped: ${skippedDates} dates`);
+  if (closedDates) {
+    console.log(`Market closed: ${closedDates} dates`);
+  }
+  if (totalRejected) {
+    console.log(`Rejected by validation: ${totalRejected} rows`);
+  }
+  if (totalRetries) {
+    console.log(`HTTP retries: ${totalRetries}`);
+  }
+  if (resumedDates) {
+    console.log(`Already done (checkpoint): ${resumedDates} dates`);
+  }
+  console.log(`Failed: ${failed.length} dates`);
+  for (const o of failed) {
+    console.log(`  ${o.exchange} ${o.date}: ${o.error}`);
+  }
+
+  if (failed.length) {
+    process.exit(1);
+  }
 }
 
-main().catch((error) => {
+main().catch(async (error) => {
   console.error("Fatal error:", error);
+  await recordRunEnd({
+    status: "failed",
+    errors: [errorEntry("fatal", error)],
+  });
   process.exit(1);
 });
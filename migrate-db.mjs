@@ -0,0 +1,28 @@
+// Apply the schema migrations of the storage backend STORAGE_BACKEND
+// names: db/sqlite for SQLITE_PATH, db/postgres for DATABASE_URL. The
+// Supabase schema is applied with the Supabase CLI instead.
+import dotenv from "dotenv";
+import { storageBackend, storeFromEnv } from "./lib/storage/index.mjs";
+
+dotenv.config();
+
+async function main() {
+  const backend = storageBackend();
+  const store = await storeFromEnv();
+  if (!store) throw new Error(`Storage backend ${backend} is not configured`);
+
+  try {
+    const applied = await store.migrate();
+    for (const file of applied) console.log(`  applied ${file}`);
+    console.log(
+      `✓ ${backend} schema up to date (${applied.length} migration(s) applied)`,
+    );
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+// Update lib/holidays.json from an exchange's trading holiday list, as
+// downloaded (CSV or TSV) from the holiday circular. Every year in the
+// file replaces that year's holidays for the exchange.
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import { parseTabularText } from "./lib/csv.mjs";
+import { parseExchangeDate } from "./lib/normalize.mjs";
+import { HOLIDAYS_FILE, getCalendar } from "./lib/calendar.mjs";
+
+function printUsage() {
+  console.log(`Usage: node refresh-holidays.mjs --exchange <NSE|BSE> --file <holidays.csv> [options]
+
+The file needs a date column ("Date") and a name column ("Description",
+"Holiday" or "Occasion"). Weekend dates in it are ignored.
+
+Options:
+  --dry-run   Print the holidays found without writing lib/holidays.json
+  --help      Show this message`);
+}
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      exchange: { type: "string" },
+      file: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const exchange = (values.exchange || "").toUpperCase();
+  if (!["NSE", "BSE"].includes(exchange)) {
+    throw new Error("--exchange is required, NSE or BSE");
+  }
+  if (!values.file) {
+    throw new Error("--file is required");
+  }
+
+  return { exchange, file: values.file, dryRun: values["dry-run"] };
+}
+
+function findColumn(headers, pattern) {
+  return headers.find((header) => pattern.test(header));
+}
+
+// Date → holiday name for every weekday row in a circular's table
+function readHolidays(text) {
+  const records = parseTabularText(text);
+  const headers = Object.keys(records[0] || {});
+  const dateColumn = findColumn(headers, /date/i);
+  const nameColumn = findColumn(headers, /description|holiday|occasion/i);
+  if (!dateColumn || !nameColumn) {
+    throw new Error(
+      `Could not find date and holiday columns in: ${headers.join(", ")}`,
+    );
+  }
+
+  const holidays = {};
+  for (const record of records) {
+    const date = parseExchangeDate(record[dateColumn]);
+    if (!date) {
+      console.warn(`  Skipping unreadable date "${record[dateColumn]}"`);
+      continue;
+    }
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (day === 0 || day === 6) continue;
+    holidays[date] = record[nameColumn];
+  }
+  return holidays;
+}
+
+async function main() {
+  const { exchange, file, dryRun } = parseCliArgs(process.argv.slice(2));
+
+  const found = readHolidays(await fs.readFile(file, "utf8"));
+  const years = [
+    ...new Set(Object.keys(found).map((d) => Number(d.slice(0, 4)))),
+  ];
+  if (!years.length) {
+    throw new Error(`No weekday holidays found in ${file}`);
+  }
+
+  for (const [date, name] of Object.entries(found).sort()) {
+    console.log(`  ${date}  ${name}`);
+  }
+
+  const calendar = getCalendar();
+  const entry = calendar[exchange] || { years: [], holidays: {} };
+  const holidays = Object.fromEntries(
+    Object.entries(entry.holidays).filter(
+      ([date]) => !years.includes(Number(date.slice(0, 4))),
+    ),
+  );
+  Object.assign(holidays, found);
+
+  calendar[exchange] = {
+    years: [...new Set([...entry.years, ...years])].sort(),
+    holidays: Object.fromEntries(Object.entries(holidays).sort()),
+  };
+
+  if (dryRun) {
+    console.log(`\n[dry run] ${HOLIDAYS_FILE.pathname} not written`);
+    return;
+  }
+
+  await fs.writeFile(HOLIDAYS_FILE, `${JSON.stringify(calendar, null, 2)}\n`);
+  console.log(
+    `✓ ${exchange} holidays for ${years.join(", ")} written to lib/holidays.json`,
+  );
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Load a month of bond_trades back from the retention archive. Raise the
+// exchange's RETENTION_DAYS first, or the next daily run archives and
+// deletes the restored rows again. bond_daily is left alone: retention
+// never deletes from it. Works on whichever backend STORAGE_BACKEND
+// names (lib/storage).
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import { restoreMonth } from "./lib/retention.mjs";
+import { storageBackend, storeFromEnv } from "./lib/storage/index.mjs";
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: node restore-archive.mjs --exchange <NSE|BSE> --month YYYY-MM [options]
+
+Options:
+  --dry-run   Read and count the archived rows; no DB writes
+  --help      Show this message`);
+}
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      exchange: { type: "string" },
+      month: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const exchange = (values.exchange || "").toUpperCase();
+  if (!["NSE", "BSE"].includes(exchange)) {
+    throw new Error("--exchange is required, NSE or BSE");
+  }
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(values.month || "")) {
+    throw new Error("--month is required, as YYYY-MM");
+  }
+
+  return { exchange, month: values.month, dryRun: values["dry-run"] };
+}
+
+async function main() {
+  const { exchange, month, dryRun } = parseCliArgs(process.argv.slice(2));
+
+  const store = await storeFromEnv();
+  if (!store) {
+    throw new Error(`Storage backend ${storageBackend()} is not configured`);
+  }
+
+  console.log(`=== Restore ${exchange} ${month} ===`);
+  if (dryRun) console.log("Dry run: nothing will be written");
+
+  const restored = await restoreMonth(store, exchange, month, { dryRun });
+  for (const { tradeDate, count } of restored.days) {
+    console.log(`  ${tradeDate}: ${count} rows`);
+  }
+
+  console.log(
+    `✓ ${dryRun ? "Found" : "Restored"} ${restored.count} rows over ${restored.days.length} days from ${restored.path}`,
+  );
+  await store.close();
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exit(1);
+});
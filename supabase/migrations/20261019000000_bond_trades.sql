@@ -0,0 +1,21 @@
+-- bond_trades as it exists in production, for setting up new environments.
+create table if not exists public.bond_trades (
+  id bigint generated by default as identity primary key,
+  trade_date date not null,
+  exchange text not null check (exchange in ('NSE', 'BSE')),
+  security_code text,
+  issuer_name text,
+  coupon_rate numeric,
+  maturity_date text,
+  ltp numeric,
+  turnover_rs_lacs numeric,
+  no_of_trades bigint,
+  bond_type text,
+  face_value numeric,
+  credit_rating text,
+  raw_data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists bond_trades_trade_date_exchange_idx
+  on public.bond_trades (trade_date, exchange);
@@ -0,0 +1,15 @@
+-- Rows that failed validation, kept with the rules they broke.
+-- Replaced per trade_date and exchange on every load.
+create table if not exists public.bond_trades_rejected (
+  id bigint generated by default as identity primary key,
+  trade_date date not null,
+  exchange text not null,
+  security_code text,
+  reasons text[] not null,
+  mapped_row jsonb not null,
+  raw_data jsonb,
+  rejected_at timestamptz not null default now()
+);
+
+create index if not exists bond_trades_rejected_trade_date_exchange_idx
+  on public.bond_trades_rejected (trade_date, exchange);
@@ -0,0 +1,59 @@
+-- Volume and trade count are separate columns. Until now NSE "VOLUME
+-- (Shares)" was always stored in no_of_trades, and so was the BSE volume
+-- whenever the first non-empty of the old column list was a volume column:
+-- "Total Trade Volume", or "tradeVolume" / "totalTradeVolume" in a file
+-- with no "No.Of Trades", "No Of Trades" or "Total Trades". Those rows move
+-- no_of_trades to traded_volume and take the trade count back from
+-- raw_data (NSE bhavcopy NO_OF_TRADES, or a BSE trade count column), or
+-- null when there is none.
+alter table public.bond_trades
+  add column if not exists traded_volume bigint;
+
+update public.bond_trades
+set traded_volume = no_of_trades,
+    no_of_trades = nullif(regexp_replace(
+      case
+        when exchange = 'NSE' then raw_data->>'NO_OF_TRADES'
+        else coalesce(
+          nullif(trim(raw_data->>'No.Of Trades'), ''),
+          nullif(trim(raw_data->>'No Of Trades'), ''),
+          nullif(trim(raw_data->>'Total Trades'), ''),
+          nullif(trim(raw_data->>'noOfTrades'), '')
+        )
+      end,
+      '[^0-9]', '', 'g'), '')::bigint
+where exchange = 'NSE'
+   or (
+     exchange = 'BSE'
+     and (
+       nullif(trim(raw_data->>'Total Trade Volume'), '') is not null
+       or (
+         coalesce(
+           nullif(trim(raw_data->>'No.Of Trades'), ''),
+           nullif(trim(raw_data->>'No Of Trades'), ''),
+           nullif(trim(raw_data->>'Total Trades'), '')
+         ) is null
+         and coalesce(
+           nullif(trim(raw_data->>'tradeVolume'), ''),
+           nullif(trim(raw_data->>'totalTradeVolume'), '')
+         ) is not null
+       )
+     )
+   );
+
+-- maturity_date becomes a real date. Existing values are the raw exchange
+-- strings; anything in a format we do not recognise is dropped.
+alter table public.bond_trades
+  alter column maturity_date type date using (
+    case
+      when maturity_date ~ '^\d{4}-\d{2}-\d{2}$'
+        then maturity_date::date
+      when maturity_date ~ '^\d{1,2}/\d{1,2}/\d{4}$'
+        then to_date(maturity_date, 'DD/MM/YYYY')
+      when maturity_date ~ '^\d{1,2}-\d{1,2}-\d{4}$'
+        then to_date(maturity_date, 'DD-MM-YYYY')
+      when maturity_date ~* '^\d{1,2}-[a-z]{3}-\d{4}$'
+        then to_date(maturity_date, 'DD-Mon-YYYY')
+      else null
+    end
+  );
@@ -0,0 +1,33 @@
+-- Security master keyed by ISIN, refreshed from every load.
+create table if not exists public.securities (
+  isin text primary key,
+  issuer_name text,
+  coupon_rate numeric,
+  maturity_date date,
+  face_value numeric,
+  credit_rating text,
+  bond_type text,
+  nse_symbol text,
+  nse_series text,
+  bse_security_code text,
+  first_seen date,
+  last_seen date,
+  updated_at timestamptz not null default now()
+);
+
+-- Not unique: an identifier can be reused after a bond matures
+create index if not exists securities_nse_idx
+  on public.securities (nse_symbol, nse_series);
+create index if not exists securities_bse_idx
+  on public.securities (bse_security_code);
+
+alter table public.bond_trades
+  add column if not exists series text,
+  add column if not exists isin text references public.securities (isin);
+
+create index if not exists bond_trades_isin_idx on public.bond_trades (isin);
+
+-- NSE series used to live only in raw_data
+update public.bond_trades
+set series = raw_data->>'SERIES'
+where exchange = 'NSE' and series is null;
@@ -0,0 +1,25 @@
+-- One row per bond per trade date combining NSE and BSE. bond_key is the
+-- ISIN, or EXCHANGE:CODE[:SERIES] for trades not linked to the master.
+create table if not exists public.bond_daily (
+  trade_date date not null,
+  bond_key text not null,
+  isin text references public.securities (isin),
+  issuer_name text,
+  exchanges smallint not null,
+  total_turnover_rs_lacs numeric,
+  total_trades bigint,
+  total_volume bigint,
+  vwap numeric,
+  last_price numeric,
+  nse_ltp numeric,
+  nse_turnover_rs_lacs numeric,
+  nse_trades bigint,
+  nse_volume bigint,
+  bse_ltp numeric,
+  bse_turnover_rs_lacs numeric,
+  bse_trades bigint,
+  bse_volume bigint,
+  price_divergence_pct numeric,
+  price_mismatch boolean not null default false,
+  primary key (trade_date, bond_key)
+);
@@ -0,0 +1,9 @@
+-- Yield analytics computed at load time from ltp, coupon, maturity and
+-- face value (see lib/analytics.mjs). Yields in percent, durations in
+-- years, convexity in years².
+alter table public.bond_trades
+  add column if not exists ytm numeric,
+  add column if not exists current_yield numeric,
+  add column if not exists macaulay_duration numeric,
+  add column if not exists modified_duration numeric,
+  add column if not exists convexity numeric;
@@ -0,0 +1,76 @@
+-- Atomic replace of one exchange's rows for one trade date.
+--
+-- lib/store.mjs stages the new rows in chunks under a load_id, then calls
+-- swap_bond_trades, which deletes the old rows and copies the staged ones
+-- into bond_trades in a single transaction. If anything fails the delete
+-- is rolled back and the previous data stays in place.
+create table if not exists public.bond_trades_staging (
+  load_id uuid not null,
+  trade_date date not null,
+  exchange text not null,
+  payload jsonb not null,
+  staged_at timestamptz not null default now()
+);
+
+create index if not exists bond_trades_staging_load_id_idx
+  on public.bond_trades_staging (load_id);
+
+create or replace function public.swap_bond_trades(
+  p_load_id uuid,
+  p_trade_date date,
+  p_exchange text,
+  p_expected integer
+)
+returns integer
+language plpgsql
+as $$
+declare
+  cols text;
+  record_cols text;
+  staged integer;
+  inserted integer;
+begin
+  select count(*) into staged
+  from public.bond_trades_staging
+  where load_id = p_load_id
+    and trade_date = p_trade_date
+    and exchange = p_exchange;
+
+  if staged <> p_expected then
+    raise exception 'load % has % staged rows, expected %',
+      p_load_id, staged, p_expected;
+  end if;
+
+  -- Every bond_trades column except the generated ones, so new columns
+  -- need no change here
+  select
+    string_agg(quote_ident(column_name), ', ' order by ordinal_position),
+    string_agg('r.' || quote_ident(column_name), ', ' order by ordinal_position)
+  into cols, record_cols
+  from information_schema.columns
+  where table_schema = 'public'
+    and table_name = 'bond_trades'
+    and column_name not in ('id', 'created_at');
+
+  delete from public.bond_trades
+  where trade_date = p_trade_date and exchange = p_exchange;
+
+  execute format(
+    'insert into public.bond_trades (%s)
+     select %s
+     from public.bond_trades_staging s
+     cross join lateral
+       jsonb_populate_record(null::public.bond_trades, s.payload) r
+     where s.load_id = $1',
+    cols,
+    record_cols
+  ) using p_load_id;
+  get diagnostics inserted = row_count;
+
+  -- Drop this load and anything abandoned by an earlier crashed run
+  delete from public.bond_trades_staging
+  where load_id = p_load_id or staged_at < now() - interval '1 day';
+
+  return inserted;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Which exchanges have rows for which trade dates, so the gap detector
+-- can find missing days without paging through bond_trades.
+create or replace view public.bond_trade_days as
+select trade_date, exchange, count(*) as row_count
+from public.bond_trades
+group by trade_date, exchange;
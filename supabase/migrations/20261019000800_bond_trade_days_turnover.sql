@@ -0,0 +1,9 @@
+-- Daily turnover per exchange, for comparing a day with its recent average.
+create or replace view public.bond_trade_days as
+select
+  trade_date,
+  exchange,
+  count(*) as row_count,
+  sum(turnover_rs_lacs) as turnover_rs_lacs
+from public.bond_trades
+group by trade_date, exchange;
@@ -0,0 +1,34 @@
+-- Bonds we follow, matched by ISIN or by exchange code, with the rules
+-- that raise an alert and the Telegram chats that receive it. A null
+-- threshold turns its rule off.
+create table if not exists public.watchlist_entries (
+  id bigint generated by default as identity primary key,
+  label text,
+  isin text,
+  exchange text check (exchange in ('NSE', 'BSE')),
+  security_code text,
+  -- Alert when the price moves more than this many percent from the
+  -- bond's previous trade
+  price_change_pct numeric,
+  -- Alert when a day's turnover exceeds this many lakhs
+  turnover_above_lacs numeric,
+  -- Alert on the first trade after at least this many days without one
+  inactive_days integer,
+  -- Alert when the credit rating differs from the previous trade's
+  rating_change boolean not null default false,
+  recipients text[] not null default '{}',
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (isin is not null or security_code is not null)
+);
+
+-- One row per alert delivered, so reruns of a day do not resend it
+create table if not exists public.watchlist_alerts_sent (
+  entry_id bigint not null references public.watchlist_entries (id) on delete cascade,
+  trade_date date not null,
+  exchange text not null,
+  rule text not null,
+  recipient text not null,
+  sent_at timestamptz not null default now(),
+  primary key (entry_id, trade_date, exchange, rule, recipient)
+);
@@ -0,0 +1,32 @@
+-- One row per run of script.mjs (kind 'daily') or migrate-bse.mjs
+-- (kind 'backfill'). Inserted as 'running' at start and completed at the
+-- end; a row left 'running' is a run that crashed or was killed.
+create table if not exists public.scrape_runs (
+  id bigint generated by default as identity primary key,
+  kind text not null check (kind in ('daily', 'backfill')),
+  status text not null
+    check (status in ('running', 'success', 'degraded', 'failed')),
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  duration_ms integer,
+  -- The trade date a daily run loaded, or a backfill's date range
+  target_date date,
+  range_from date,
+  range_to date,
+  -- Per exchange: status, count, rejected, error, duration_ms and HTTP
+  -- attempts/retries/failures
+  exchanges jsonb not null default '{}',
+  row_count integer,
+  consolidation jsonb,
+  gaps jsonb,
+  cleanup jsonb,
+  -- Health check findings that made the run 'degraded'
+  anomalies jsonb not null default '[]',
+  -- { scope, message, stack } for every error the run caught
+  errors jsonb not null default '[]',
+  -- Anything else a kind of run records, such as a backfill's outcomes
+  details jsonb
+);
+
+create index if not exists scrape_runs_kind_started_at_idx
+  on public.scrape_runs (kind, started_at desc);
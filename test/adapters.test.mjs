@@ -0,0 +1,163 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { nseAdapter } from "../lib/adapters/nse.mjs";
+import { bseAdapter } from "../lib/adapters/bse.mjs";
+import { normalizeRecords } from "../lib/adapters/index.mjs";
+import { httpStub } from "./helpers/stub-servers.mjs";
+import {
+  exchangeRoutes,
+  fixture,
+  useStubExchanges,
+} from "./helpers/fixtures.mjs";
+
+const DATE = new Date(Date.UTC(2026, 9, 16));
+
+let stub;
+let routes;
+before(async () => {
+  routes = exchangeRoutes({
+    bhavcopies: { 14102026: fixture("nse-bhavcopy.csv") },
+  });
+  stub = await httpStub({ routes });
+  useStubExchanges(stub);
+});
+after(() => stub.close());
+
+test("NSE live file with a BOM and quoted headers maps without drift", () => {
+  const records = nseAdapter.parse({
+    source: "nse-live",
+    body: fixture("nse-live.csv"),
+  });
+  const { spec, drift, rows } = normalizeRecords(
+    nseAdapter,
+    records,
+    "2026-10-16",
+  );
+
+  assert.equal(spec.name, "nse-live");
+  assert.deepEqual(drift, {
+    missingRequired: [],
+    missingOptional: [],
+    unexpected: [],
+  });
+  assert.equal(rows.length, 4);
+  assert.deepEqual(
+    {
+      security_code: rows[0].security_code,
+      isin: rows[0].isin,
+      ltp: rows[0].ltp,
+      traded_volume: rows[0].traded_volume,
+      face_value: rows[0].face_value,
+      maturity_date: rows[0].maturity_date,
+    },
+    {
+      security_code: "HDFC29",
+      isin: "INE001A07QZ9",
+      ltp: 1010,
+      traded_volume: 500,
+      face_value: 1000,
+      maturity_date: "2029-03-15",
+    },
+  );
+  // Crores converted to lakhs
+  assert.ok(Math.abs(rows[0].turnover_rs_lacs - 5.05) < 1e-9);
+  assert.equal(rows[3].credit_rating, null);
+});
+
+test("NSE bhavcopy keeps only bond series", () => {
+  const records = nseAdapter.parse({
+    source: "nse-bhavcopy",
+    body: fixture("nse-bhavcopy.csv"),
+  });
+  const { spec, drift, rows } = normalizeRecords(
+    nseAdapter,
+    records,
+    "2026-10-14",
+  );
+
+  assert.equal(spec.name, "nse-bhavcopy");
+  assert.deepEqual(drift.unexpected, []);
+  assert.deepEqual(
+    rows.map((r) => [r.security_code, r.ltp, r.no_of_trades]),
+    [
+      ["HDFC29", 1003, 6],
+      ["REC30", 996, 4],
+    ],
+  );
+});
+
+test("BSE tab-delimited and BOM-prefixed CSV downloads parse alike", () => {
+  const tsv = bseAdapter.parse({
+    source: "bse-download",
+    body: fixture("bse-download.tsv"),
+  });
+  const csv = bseAdapter.parse({
+    source: "bse-download",
+    body: fixture("bse-download-bom.csv"),
+  });
+
+  assert.equal(tsv.length, 3);
+  assert.equal(csv.length, 2);
+  assert.deepEqual(Object.keys(csv[0]), Object.keys(tsv[0]));
+  assert.equal(csv[1]["Issuer Name"], "REC Ltd, Series II");
+
+  const { drift, rows } = normalizeRecords(bseAdapter, tsv, "2026-10-16");
+  assert.deepEqual(drift.unexpected, []);
+  assert.deepEqual(drift.missingOptional, []);
+  assert.deepEqual(
+    rows.map((r) => [r.security_code, r.isin, r.maturity_date]),
+    [
+      ["974123", "INE001A07QZ9", "2029-03-15"],
+      ["975500", "INE020B08DM0", "2030-06-10"],
+      ["976001", "INE999Z01019", "2027-01-31"],
+    ],
+  );
+});
+
+test("NSE fetch warms up the session and sends its cookies", async () => {
+  const { payload, records } = await nseAdapter.fetch(DATE);
+
+  assert.equal(payload.source, "nse-live");
+  assert.equal(records.length, 4);
+
+  const api = stub.requests.find(
+    (r) => r.path === "/api/liveBonds-traded-on-cm",
+  );
+  assert.equal(api.headers.cookie, "nsit=stub");
+  assert.ok(stub.requests.some((r) => r.path === "/"));
+});
+
+test("NSE historic fetch reads the bhavcopy, or null without one", async () => {
+  const fetched = await nseAdapter.fetchHistoric(
+    new Date(Date.UTC(2026, 9, 14)),
+  );
+  assert.equal(fetched.payload.source, "nse-bhavcopy");
+  assert.equal(fetched.records.length, 2);
+
+  assert.equal(
+    await nseAdapter.fetchHistoric(new Date(Date.UTC(2026, 9, 13))),
+    null,
+  );
+});
+
+test("BSE fetch rejects an HTML error page", async () => {
+  const download = "/BseIndiaAPI/api/rbcorpbonds1_download/w";
+  const { body } = routes[download];
+  try {
+    const { records } = await bseAdapter.fetch(DATE);
+    assert.equal(records.length, 3);
+    assert.ok(
+      stub.requests.some((r) =>
+        r.url.endsWith("?frmDate=20261016&toDate=20261016&flag=1"),
+      ),
+    );
+
+    routes[download].body = fixture("bse-error.html");
+    await assert.rejects(bseAdapter.fetch(DATE), {
+      message: "BSE download API returned HTML instead of tabular data",
+    });
+    assert.equal(await bseAdapter.fetchHistoric(DATE), null);
+  } finally {
+    routes[download].body = body;
+  }
+});
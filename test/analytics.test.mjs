@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bondAnalytics,
+  conventionFor,
+  couponSchedule,
+  tradeAnalytics,
+} from "../lib/analytics.mjs";
+
+const close = (actual, expected, tolerance, label) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: ${actual} is not within ${tolerance} of ${expected}`,
+  );
+
+test("a bond priced at par on a coupon date yields its coupon", () => {
+  const result = bondAnalytics({
+    cleanPrice: 100,
+    couponRate: 8,
+    maturity: "2031-06-30",
+    settlement: "2026-06-30",
+  });
+  close(result.ytm, 8, 1e-8, "ytm");
+  assert.equal(result.currentYield, 8);
+  assert.equal(result.accruedInterest, 0);
+  assert.equal(result.dirtyPrice, 100);
+  // Annuity-immediate at 8%: sum(t * 8 / 1.08^t) + 5 * 100 / 1.08^5
+  close(result.macaulayDuration, 4.312127, 1e-6, "macaulay");
+  close(result.modifiedDuration, 4.312127 / 1.08, 1e-6, "modified");
+});
+
+// Excel's DURATION and MDURATION examples: 8% semi-annual, 1 Jan 2008 to
+// 1 Jan 2016, 9% yield: 5.993775 and 5.73567 years
+test("a semi-annual 30/360 bond matches published duration", () => {
+  const flows = Array.from({ length: 16 }, (_, i) => (i === 15 ? 104 : 4));
+  const price = flows.reduce((pv, cf, i) => pv + cf / 1.045 ** (i + 1), 0);
+
+  const result = bondAnalytics({
+    cleanPrice: price,
+    couponRate: 8,
+    maturity: "2016-01-01",
+    settlement: "2008-01-01",
+    frequency: 2,
+    dayCount: "30/360",
+  });
+  close(result.ytm, 9, 1e-8, "ytm");
+  close(result.macaulayDuration, 5.993775, 1e-6, "macaulay");
+  close(result.modifiedDuration, 5.73567, 1e-5, "modified");
+
+  // Convexity is the second derivative of price in the annual yield, over
+  // price: check it against a central difference of the same cash flows
+  const priceAt = (y) =>
+    flows.reduce((pv, cf, i) => pv + cf / (1 + y / 2) ** (i + 1), 0);
+  const h = 1e-4;
+  const numeric =
+    (priceAt(0.09 + h) + priceAt(0.09 - h) - 2 * price) / (price * h * h);
+  close(result.convexity, numeric, 1e-3, "convexity");
+});
+
+// Excel's YIELD example: 5.75% semi-annual 30/360, settling 15 Feb 2008,
+// maturing 15 Nov 2016, at 95.04287 clean yields 6.5%
+test("a settlement between coupon dates accrues interest", () => {
+  const result = bondAnalytics({
+    cleanPrice: 95.04287,
+    couponRate: 5.75,
+    maturity: "2016-11-15",
+    settlement: "2008-02-15",
+    frequency: 2,
+    dayCount: "30/360",
+  });
+  // Half of the 15 Nov - 15 May period has elapsed
+  close(result.accruedInterest, 1.4375, 1e-12, "accrued");
+  close(result.dirtyPrice, 96.48037, 1e-9, "dirty");
+  close(result.ytm, 6.5, 1e-4, "ytm");
+
+  const { previous, upcoming } = couponSchedule(
+    new Date(Date.UTC(2008, 1, 15)),
+    new Date(Date.UTC(2016, 10, 15)),
+    2,
+  );
+  assert.equal(previous.toISOString().slice(0, 10), "2007-11-15");
+  assert.equal(upcoming[0].toISOString().slice(0, 10), "2008-05-15");
+  assert.equal(upcoming.length, 18);
+});
+
+test("bondAnalytics has no answer for a matured bond or a bad price", () => {
+  const bond = { couponRate: 8, maturity: "2026-06-30" };
+  assert.equal(
+    bondAnalytics({ ...bond, cleanPrice: 100, settlement: "2026-06-30" }),
+    null,
+  );
+  assert.equal(
+    bondAnalytics({ ...bond, cleanPrice: 0, settlement: "2026-01-02" }),
+    null,
+  );
+  assert.throws(
+    () =>
+      bondAnalytics({
+        ...bond,
+        cleanPrice: 100,
+        settlement: "2026-01-02",
+        dayCount: "ACT/360",
+      }),
+    /Unknown day count convention: ACT\/360/,
+  );
+});
+
+test("conventionFor treats government securities as semi-annual 30/360", () => {
+  assert.deepEqual(conventionFor({ series: "GS" }), {
+    frequency: 2,
+    dayCount: "30/360",
+  });
+  assert.deepEqual(conventionFor({ series: "N1", bond_type: "SDL" }), {
+    frequency: 2,
+    dayCount: "30/360",
+  });
+  assert.deepEqual(conventionFor({ series: "N1" }), {
+    frequency: 1,
+    dayCount: "ACT/ACT",
+  });
+});
+
+const EMPTY = {
+  ytm: null,
+  current_yield: null,
+  macaulay_duration: null,
+  modified_duration: null,
+  convexity: null,
+};
+
+test("tradeAnalytics scales the traded price to 100 of face", () => {
+  const row = {
+    trade_date: "2026-06-30",
+    series: "N1",
+    coupon_rate: 8,
+    maturity_date: "2031-06-30",
+    face_value: 1000000,
+    ltp: 1000000,
+  };
+  const result = tradeAnalytics(row);
+  assert.equal(result.ytm, 8);
+  assert.equal(result.current_yield, 8);
+  assert.equal(result.macaulay_duration, 4.3121);
+
+  // Inputs missing from the row come from the securities master
+  assert.deepEqual(
+    tradeAnalytics(
+      { trade_date: "2026-06-30", ltp: 1000 },
+      { coupon_rate: 8, maturity_date: "2031-06-30", face_value: 1000 },
+    ),
+    result,
+  );
+});
+
+test("tradeAnalytics is all nulls when it cannot work out a yield", () => {
+  const row = {
+    trade_date: "2026-06-30",
+    coupon_rate: 8,
+    maturity_date: "2031-06-30",
+    face_value: 1000,
+    ltp: 1000,
+  };
+  assert.deepEqual(tradeAnalytics({ ...row, coupon_rate: null }), EMPTY);
+  assert.deepEqual(tradeAnalytics({ ...row, maturity_date: null }), EMPTY);
+  assert.deepEqual(tradeAnalytics({ ...row, face_value: null }), EMPTY);
+  assert.deepEqual(tradeAnalytics({ ...row, ltp: 0 }), EMPTY);
+  assert.deepEqual(tradeAnalytics({ ...row, ltp: null }), EMPTY);
+  // A price quoted against the wrong face value is not a percentage
+  assert.deepEqual(tradeAnalytics({ ...row, face_value: 100000 }), EMPTY);
+  assert.deepEqual(tradeAnalytics({ ...row, face_value: 100 }), EMPTY);
+  // Matured by the trade date
+  assert.deepEqual(tradeAnalytics({ ...row, trade_date: "2031-07-01" }), EMPTY);
+});
@@ -0,0 +1,356 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parse } from "csv-parse/sync";
+import { createApiHandler, parseApiKeys, TRADE_FIELDS } from "../lib/api.mjs";
+import { STORE_BACKENDS } from "./helpers/stores.mjs";
+
+const KEY = "test-key-1";
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), "api-test-"));
+  mock.method(console, "error", () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const trade = (trade_date, exchange, security_code, isin, turnover) => ({
+  trade_date,
+  exchange,
+  security_code,
+  isin,
+  issuer_name: `${security_code} Ltd`,
+  coupon_rate: 7.5,
+  maturity_date: "2029-03-31",
+  ltp: 1000,
+  turnover_rs_lacs: turnover,
+  no_of_trades: 2,
+  traded_volume: 500,
+  raw_data: { symbol: security_code },
+});
+
+// HDFC29 on NSE and 974123 on BSE are the same bond
+const SEED = [
+  [
+    "NSE",
+    "2026-10-15",
+    [
+      trade("2026-10-15", "NSE", "HDFC29", "INE001A07QZ9", 10.5),
+      trade("2026-10-15", "NSE", "TATA31", "INE155A08415", 2.25),
+      trade("2026-10-15", "NSE", "REC30", "INE020B08DX1", 4),
+    ],
+  ],
+  [
+    "BSE",
+    "2026-10-15",
+    [
+      trade("2026-10-15", "BSE", "974123", "INE001A07QZ9", 1.5),
+      trade("2026-10-15", "BSE", "975500", "INE752E07OF4", 3),
+    ],
+  ],
+  [
+    "NSE",
+    "2026-10-16",
+    [
+      trade("2026-10-16", "NSE", "HDFC29", "INE001A07QZ9", 7),
+      trade("2026-10-16", "NSE", "REC30", "INE020B08DX1", 1),
+    ],
+  ],
+];
+
+// The API over a seeded store, listening on a free port
+async function serve(backend) {
+  const { store } = await STORE_BACKENDS[backend](dir);
+  for (const [exchange, date, rows] of SEED) {
+    await store.replaceDay(exchange, date, rows);
+  }
+
+  const server = http.createServer(
+    createApiHandler({ store, apiKeys: parseApiKeys(`other-key, ${KEY}`) }),
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: base,
+    get: (path, headers = {}, method = "GET") =>
+      fetch(`${base}${path}`, {
+        method,
+        headers: { authorization: `Bearer ${KEY}`, ...headers },
+      }),
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await store.close();
+    },
+  };
+}
+
+for (const backend of Object.keys(STORE_BACKENDS)) {
+  test(`${backend}: requests need a valid API key`, async () => {
+    const api = await serve(backend);
+    try {
+      const missing = await fetch(`${api.url}/trades`);
+      assert.equal(missing.status, 401);
+      assert.match(missing.headers.get("www-authenticate"), /^Bearer/);
+      assert.deepEqual(await missing.json(), {
+        error: "A valid API key is required",
+      });
+
+      const wrong = await api.get("/trades", { authorization: "Bearer nope" });
+      assert.equal(wrong.status, 401);
+
+      const header = await api.get("/trades", {
+        authorization: "",
+        "x-api-key": KEY,
+      });
+      assert.equal(header.status, 200);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test(`${backend}: /trades filters and pages`, async () => {
+    const api = await serve(backend);
+    try {
+      const res = await api.get("/trades?date=2026-10-15&exchange=nse&limit=2");
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^application\/json/);
+      assert.equal(res.headers.get("x-total-count"), "3");
+      assert.equal(
+        res.headers.get("link"),
+        '</trades?date=2026-10-15&exchange=nse&limit=2&offset=2>; rel="next"',
+      );
+
+      const body = await res.json();
+      assert.deepEqual(body.pagination, { limit: 2, offset: 0, total: 3 });
+      assert.deepEqual(
+        body.data.map((r) => r.security_code),
+        ["HDFC29", "REC30"],
+      );
+      assert.deepEqual(Object.keys(body.data[0]), TRADE_FIELDS);
+      assert.equal(body.data[0].trade_date, "2026-10-15");
+      assert.equal(body.data[0].turnover_rs_lacs, 10.5);
+
+      const next = await api.get(
+        "/trades?date=2026-10-15&exchange=nse&limit=2&offset=2",
+      );
+      assert.equal(
+        next.headers.get("link"),
+        '</trades?date=2026-10-15&exchange=nse&limit=2&offset=0>; rel="prev"',
+      );
+      assert.deepEqual(
+        (await next.json()).data.map((r) => r.security_code),
+        ["TATA31"],
+      );
+
+      const isin = await api.get("/trades?security=ine001a07qz9");
+      assert.deepEqual(
+        (await isin.json()).data.map((r) => `${r.trade_date} ${r.exchange}`),
+        ["2026-10-15 BSE", "2026-10-15 NSE", "2026-10-16 NSE"],
+      );
+
+      const code = await api.get("/trades?security=974123");
+      assert.equal(code.headers.get("x-total-count"), "1");
+    } finally {
+      await api.close();
+    }
+  });
+
+  test(`${backend}: CSV or JSON by Accept header or format`, async () => {
+    const api = await serve(backend);
+    try {
+      const csv = await api.get("/trades?date=2026-10-16", {
+        accept: "text/csv",
+      });
+      assert.match(csv.headers.get("content-type"), /^text\/csv/);
+      assert.equal(csv.headers.get("vary"), "Accept");
+      assert.equal(csv.headers.get("x-total-count"), "2");
+      const text = await csv.text();
+      assert.equal(text.split("\n")[0], TRADE_FIELDS.join(","));
+      assert.deepEqual(
+        parse(text, { columns: true }).map((r) => [
+          r.security_code,
+          r.turnover_rs_lacs,
+        ]),
+        [
+          ["HDFC29", "7"],
+          ["REC30", "1"],
+        ],
+      );
+
+      const format = await api.get("/trades?date=2026-10-16&format=CSV", {
+        accept: "application/json",
+      });
+      assert.match(format.headers.get("content-type"), /^text\/csv/);
+
+      const ranked = await api.get("/trades", {
+        accept: "text/csv;q=0.5, application/json",
+      });
+      assert.match(ranked.headers.get("content-type"), /^application\/json/);
+
+      const any = await api.get("/trades", { accept: "text/html, */*;q=0.1" });
+      assert.match(any.headers.get("content-type"), /^application\/json/);
+
+      const unacceptable = await api.get("/trades", { accept: "text/html" });
+      assert.equal(unacceptable.status, 406);
+
+      const unknown = await api.get("/trades?format=xml");
+      assert.equal(unknown.status, 400);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test(`${backend}: /securities/:id/history lists a bond by date`, async () => {
+    const api = await serve(backend);
+    try {
+      const res = await api.get("/securities/hdfc29/history");
+      assert.equal(res.status, 200);
+      const body = await res.json();
+      assert.equal(body.security, "HDFC29");
+      assert.deepEqual(
+        body.data.map((r) => [r.trade_date, r.turnover_rs_lacs]),
+        [
+          ["2026-10-15", 10.5],
+          ["2026-10-16", 7],
+        ],
+      );
+
+      const since = await api.get(
+        "/securities/INE001A07QZ9/history?from=2026-10-16",
+      );
+      assert.deepEqual(
+        (await since.json()).data.map((r) => `${r.exchange} ${r.trade_date}`),
+        ["NSE 2026-10-16"],
+      );
+
+      const paged = await api.get("/securities/INE001A07QZ9/history?limit=1");
+      assert.equal(paged.headers.get("x-total-count"), "3");
+      assert.match(paged.headers.get("link"), /offset=1>; rel="next"/);
+
+      const missing = await api.get("/securities/NOPE99/history");
+      assert.equal(missing.status, 404);
+      assert.deepEqual(await missing.json(), {
+        error: "No trades stored for NOPE99",
+      });
+    } finally {
+      await api.close();
+    }
+  });
+
+  test(`${backend}: /summary/:date totals each exchange`, async () => {
+    const api = await serve(backend);
+    try {
+      const res = await api.get("/summary/2026-10-15");
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("x-total-count"), null);
+      assert.deepEqual(await res.json(), {
+        date: "2026-10-15",
+        data: [
+          {
+            exchange: "NSE",
+            records: 3,
+            securities: 3,
+            no_of_trades: 6,
+            traded_volume: 1500,
+            turnover_rs_lacs: 16.75,
+          },
+          {
+            exchange: "BSE",
+            records: 2,
+            securities: 2,
+            no_of_trades: 4,
+            traded_volume: 1000,
+            turnover_rs_lacs: 4.5,
+          },
+          {
+            exchange: "ALL",
+            records: 5,
+            securities: 4,
+            no_of_trades: 10,
+            traded_volume: 2500,
+            turnover_rs_lacs: 21.25,
+          },
+        ],
+      });
+
+      const csv = await api.get("/summary/2026-10-16", { accept: "text/csv" });
+      assert.equal(
+        await csv.text(),
+        "exchange,records,securities,no_of_trades,traded_volume,turnover_rs_lacs\n" +
+          "NSE,2,2,4,1000,8\n" +
+          "ALL,2,2,4,1000,8\n",
+      );
+
+      assert.equal((await api.get("/summary/2026-10-17")).status, 404);
+      const invalid = await api.get("/summary/2026-02-30");
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(await invalid.json(), {
+        error: 'date must be a date as YYYY-MM-DD, got "2026-02-30"',
+      });
+    } finally {
+      await api.close();
+    }
+  });
+
+  test(`${backend}: bad requests get an error in JSON`, async () => {
+    const api = await serve(backend);
+    try {
+      const post = await api.get("/trades", {}, "POST");
+      assert.equal(post.status, 405);
+      assert.equal(post.headers.get("allow"), "GET");
+
+      const cases = [
+        ["/bonds", 404, "No route for /bonds"],
+        ["/trades?limit=0", 400, "limit must be between 1 and 1000"],
+        ["/trades?offset=-1", 400, 'offset must be a whole number, got "-1"'],
+        [
+          "/trades?exchange=MCX",
+          400,
+          'exchange must be one of NSE, BSE, got "MCX"',
+        ],
+        ["/trades?date=16-10-2026", 400, /^date must be a date/],
+        ["/securities/%E0%A4%A/history", 400, /^Malformed path segment/],
+      ];
+      for (const [path, status, message] of cases) {
+        const res = await api.get(path);
+        assert.equal(res.status, status, path);
+        const { error } = await res.json();
+        if (message instanceof RegExp) assert.match(error, message, path);
+        else assert.equal(error, message, path);
+      }
+    } finally {
+      await api.close();
+    }
+  });
+}
+
+test("a store failure is a 500 without the details", async () => {
+  const store = {
+    findTrades: async () => {
+      throw new Error("connection refused to db.internal:5432");
+    },
+  };
+  const server = http.createServer(createApiHandler({ store, apiKeys: [KEY] }));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const res = await fetch(
+      `http://127.0.0.1:${server.address().port}/trades`,
+      {
+        headers: { "x-api-key": KEY },
+      },
+    );
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { error: "Internal error" });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,236 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { registerCommands, parseAdminIds } from "../lib/bot.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+import { fakeTelegram } from "./helpers/fake-telegram.mjs";
+
+const ISIN = "INE001A07QZ9";
+
+function trade(tradeDate, exchange, ltp, extra = {}) {
+  return {
+    trade_date: tradeDate,
+    exchange,
+    security_code: exchange === "NSE" ? "HDFC29" : "974123",
+    isin: ISIN,
+    issuer_name: "HDFC Ltd",
+    ltp,
+    turnover_rs_lacs: 250,
+    no_of_trades: 4,
+    ytm: 7.5,
+    ...extra,
+  };
+}
+
+function setup({ tables = {}, adminIds = "42", runRerun } = {}) {
+  const supabase = fakeSupabase(tables);
+  const telegram = fakeTelegram();
+  const reruns = [];
+  registerCommands(telegram, {
+    supabase,
+    adminIds: parseAdminIds(adminIds),
+    runRerun:
+      runRerun ||
+      (async (date) => {
+        reruns.push(date);
+        return { ok: true, output: `done ${date}` };
+      }),
+  });
+  return { supabase, telegram, reruns };
+}
+
+test("/bond by ISIN shows the latest trades and history", async () => {
+  const { telegram } = setup({
+    tables: {
+      bond_trades: [
+        trade("2026-10-15", "NSE", 101.1),
+        trade("2026-10-16", "NSE", 101.25),
+        trade("2026-10-16", "BSE", 101.3),
+      ],
+    },
+  });
+
+  const text = await telegram.receive(`/bond ${ISIN.toLowerCase()}`);
+  assert.match(text, /<b>HDFC Ltd<\/b> \(INE001A07QZ9\)/);
+  assert.match(text, /Latest \(2026-10-16\)/);
+  assert.match(text, /NSE HDFC29: ₹101\.25/);
+  assert.match(text, /BSE 974123: ₹101\.30/);
+  assert.match(text, /History:<\/b>\n2026-10-15 NSE: ₹101\.10/);
+  assert.equal(telegram.sent[0].options.parse_mode, "HTML");
+});
+
+test("/bond by symbol and for an unknown bond", async () => {
+  const { telegram } = setup({
+    tables: { bond_trades: [trade("2026-10-16", "NSE", 99)] },
+  });
+
+  assert.match(await telegram.receive("/bond hdfc29"), /NSE HDFC29: ₹99\.00/);
+  assert.match(
+    await telegram.receive("/bond <NOPE>"),
+    /No trades found for <b>&lt;NOPE&gt;<\/b>/,
+  );
+  assert.match(await telegram.receive("/bond"), /Usage: \/bond/);
+});
+
+test("/top turnover ranks the latest day by turnover", async () => {
+  const { telegram } = setup({
+    tables: {
+      bond_daily: [
+        {
+          trade_date: "2026-10-15",
+          bond_key: "OLD",
+          total_turnover_rs_lacs: 9999,
+          last_price: 1,
+        },
+        {
+          trade_date: "2026-10-16",
+          bond_key: "A",
+          issuer_name: "Small Co",
+          total_turnover_rs_lacs: 10,
+          last_price: 100,
+        },
+        {
+          trade_date: "2026-10-16",
+          bond_key: "B",
+          issuer_name: "Big Co",
+          total_turnover_rs_lacs: 500,
+          last_price: 102,
+        },
+        {
+          trade_date: "2026-10-16",
+          bond_key: "C",
+          total_turnover_rs_lacs: null,
+          last_price: 98,
+        },
+      ],
+    },
+  });
+
+  const text = await telegram.receive("/top turnover");
+  assert.match(text, /Top 3 bonds by turnover, 2026-10-16/);
+  assert.match(text, /1\. Big Co: ₹500\.00 L @ ₹102\.00\n2\. Small Co/);
+  assert.match(text, /3\. C: ₹– L/);
+  assert.doesNotMatch(text, /OLD/);
+
+  assert.equal(await telegram.receive("/top@BondBot"), text);
+  assert.match(await telegram.receive("/top price"), /Unknown ranking/);
+});
+
+test("/status reports the last run", async () => {
+  const { supabase, telegram } = setup();
+  assert.match(await telegram.receive("/status"), /No run has been recorded/);
+
+  supabase.tables.scrape_runs = [
+    {
+      id: 1,
+      kind: "daily",
+      status: "success",
+      target_date: "2026-10-15",
+      started_at: "2026-10-15T12:30:00.000Z",
+      finished_at: "2026-10-15T12:40:00.000Z",
+    },
+    {
+      id: 2,
+      kind: "daily",
+      status: "degraded",
+      target_date: "2026-10-16",
+      started_at: "2026-10-16T12:30:00.000Z",
+      finished_at: "2026-10-16T12:45:00.000Z",
+      exchanges: {
+        NSE: { status: "success", count: 812, rejected: 3 },
+        BSE: {
+          status: "failed",
+          closed: null,
+          error: "BSE API returned status code: 503",
+        },
+      },
+      anomalies: [{ message: "BSE stored no rows for 2026-10-16" }],
+      consolidation: { bonds: 900 },
+      gaps: { filled: [{ exchange: "NSE" }], unrecovered: [] },
+      errors: [
+        { scope: "BSE", message: "BSE API returned status code: 503" },
+        { scope: "cleanup", message: "Storage unavailable" },
+      ],
+    },
+    {
+      id: 3,
+      kind: "backfill",
+      status: "success",
+      started_at: "2026-10-17T09:00:00.000Z",
+    },
+  ];
+
+  const text = await telegram.receive("/status");
+  assert.match(text, /Last run for 2026-10-16/);
+  assert.match(text, /⚠️ Degraded, finished/);
+  assert.match(text, /✅ NSE: 812 records, 3 rejected/);
+  assert.match(text, /❌ BSE: BSE API returned status code: 503/);
+  assert.match(text, /900 bonds consolidated/);
+  assert.match(text, /1 gaps filled/);
+  assert.match(text, /🩺 BSE stored no rows/);
+  assert.match(text, /⚠️ cleanup: Storage unavailable/);
+  assert.equal(text.match(/503/g).length, 1);
+
+  supabase.tables.scrape_runs.push({
+    id: 4,
+    kind: "daily",
+    status: "running",
+    target_date: "2026-10-19",
+    started_at: "2026-10-19T12:30:00.000Z",
+  });
+  assert.match(await telegram.receive("/status"), /has not finished/);
+});
+
+test("/rerun is limited to admins and validates the date", async () => {
+  const { telegram, reruns } = setup({ adminIds: "42, 7" });
+
+  assert.match(
+    await telegram.receive("/rerun 2026-10-15", { userId: 99 }),
+    /Only admins/,
+  );
+  assert.match(
+    await telegram.receive("/rerun yesterday", { userId: 7 }),
+    /Usage: \/rerun/,
+  );
+  assert.match(
+    await telegram.receive("/rerun 2026-02-31", { userId: 7 }),
+    /Usage: \/rerun/,
+  );
+  assert.deepEqual(reruns, []);
+
+  const text = await telegram.receive("/rerun 2026-10-15", { userId: 42 });
+  assert.deepEqual(reruns, ["2026-10-15"]);
+  assert.match(telegram.sent.at(-2).text, /Rerunning 2026-10-15/);
+  assert.match(
+    text,
+    /✅ Rerun for 2026-10-15 finished\n\n<pre>done 2026-10-15<\/pre>/,
+  );
+});
+
+test("/rerun refuses to start a second run while one is going", async () => {
+  let finish;
+  const { telegram } = setup({
+    runRerun: () =>
+      new Promise((resolve) => {
+        finish = () => resolve({ ok: false, output: "" });
+      }),
+  });
+
+  const first = telegram.receive("/rerun 2026-10-15", { userId: 42 });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.match(
+    await telegram.receive("/rerun 2026-10-14", { userId: 42 }),
+    /rerun for 2026-10-15 is already running/,
+  );
+
+  finish();
+  assert.match(await first, /❌ Rerun for 2026-10-15 failed$/);
+});
+
+test("command errors are reported to the chat", async () => {
+  const { supabase, telegram } = setup();
+  supabase.from = () => {
+    throw new Error("database is down");
+  };
+
+  assert.match(await telegram.receive("/top"), /⚠️ database is down/);
+});
@@ -0,0 +1,112 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  closedReason,
+  getCalendar,
+  holidayName,
+  isTradingDay,
+  lastTradingDay,
+  setCalendar,
+} from "../lib/calendar.mjs";
+import { getSessionDate, getTargetDate } from "../lib/pipeline.mjs";
+import { formatDateDB } from "../lib/dates.mjs";
+
+const shipped = getCalendar();
+
+afterEach(() => {
+  setCalendar(shipped);
+  mock.restoreAll();
+});
+
+// The date a run at an instant loads
+const target = (iso) =>
+  formatDateDB(getTargetDate(getSessionDate(new Date(iso))));
+
+test("closedReason reads weekends and holidays.json", () => {
+  assert.equal(closedReason("NSE", "2026-10-02"), "Mahatma Gandhi Jayanti");
+  assert.equal(closedReason("BSE", "2026-12-25"), "Christmas");
+  assert.equal(closedReason("NSE", "2026-10-03"), "weekend");
+  assert.equal(closedReason("NSE", "2026-10-04"), "weekend");
+  assert.equal(closedReason("NSE", "2026-10-05"), null);
+  assert.equal(
+    closedReason("NSE", new Date(Date.UTC(2026, 9, 20))),
+    "Dussehra",
+  );
+  assert.equal(isTradingDay("BSE", "2026-10-19"), true);
+  assert.equal(isTradingDay("BSE", "2026-10-20"), false);
+});
+
+test("getTargetDate steps back over weekends and holidays", () => {
+  // Friday 2 October is a holiday, so the weekend goes back to Thursday
+  assert.equal(
+    formatDateDB(getTargetDate(new Date("2026-10-02"))),
+    "2026-10-01",
+  );
+  assert.equal(
+    formatDateDB(getTargetDate(new Date("2026-10-04"))),
+    "2026-10-01",
+  );
+  // Good Friday, then the weekend
+  assert.equal(
+    formatDateDB(getTargetDate(new Date("2026-04-05"))),
+    "2026-04-02",
+  );
+  // A trading day is its own target
+  assert.equal(
+    formatDateDB(getTargetDate(new Date("2026-10-16"))),
+    "2026-10-16",
+  );
+});
+
+test("a run before the 3 PM IST close loads the previous trading day", () => {
+  // Tuesday after the close
+  assert.equal(target("2026-10-13T10:00:00Z"), "2026-10-13");
+  // Tuesday 2:59 PM IST: Monday's session
+  assert.equal(target("2026-10-13T09:29:00Z"), "2026-10-12");
+  // Monday morning rolls back into the weekend and on to Friday
+  assert.equal(target("2026-10-12T03:30:00Z"), "2026-10-09");
+  // Monday morning after a Friday holiday lands on Thursday
+  assert.equal(target("2026-10-05T03:30:00Z"), "2026-10-01");
+  // Wednesday morning after Tuesday's Dussehra lands on Monday
+  assert.equal(target("2026-10-21T03:30:00Z"), "2026-10-19");
+  // 1:30 AM IST Saturday is still Friday's session, by IST not UTC
+  assert.equal(target("2026-10-16T20:00:00Z"), "2026-10-16");
+});
+
+test("a day either exchange trades is a target date", () => {
+  setCalendar({
+    NSE: { years: [2026], holidays: { "2026-10-16": "NSE only" } },
+    BSE: { years: [2026], holidays: {} },
+  });
+  assert.equal(holidayName("NSE", "2026-10-16"), "NSE only");
+  assert.equal(holidayName("BSE", "2026-10-16"), null);
+  assert.equal(
+    formatDateDB(getTargetDate(new Date("2026-10-16"))),
+    "2026-10-16",
+  );
+  assert.equal(
+    formatDateDB(lastTradingDay("2026-10-16", ["NSE"])),
+    "2026-10-15",
+  );
+});
+
+test("a year without a holiday list counts weekends only, warning once", () => {
+  const warn = mock.method(console, "warn", () => {});
+  assert.equal(closedReason("NSE", "2030-01-01"), null);
+  assert.equal(closedReason("NSE", "2030-01-05"), "weekend");
+  assert.equal(closedReason("NSE", "2030-01-02"), null);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /No NSE holiday list for 2030/);
+});
+
+test("lastTradingDay gives up after 30 closed days", () => {
+  const holidays = {};
+  for (let day = 1; day <= 31; day++) {
+    holidays[`2026-08-${String(day).padStart(2, "0")}`] = "Closed";
+  }
+  setCalendar({ NSE: { years: [2026], holidays } });
+  assert.throws(
+    () => lastTradingDay("2026-08-31"),
+    /No trading day in the 30 days up to 2026-08-31/,
+  );
+});
@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDailyRows, consolidateDay } from "../lib/consolidate.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+const trade = (exchange, security_code, isin, fields) => ({
+  trade_date: "2026-10-16",
+  exchange,
+  security_code,
+  isin,
+  issuer_name: "HDFC Bank Ltd",
+  ...fields,
+});
+
+function seededTables() {
+  return {
+    bond_trades: [
+      // The same bond on both exchanges, more business on NSE
+      trade("NSE", "HDFC29", "INE001A07QZ9", {
+        ltp: 1010,
+        turnover_rs_lacs: 10.1,
+        no_of_trades: 3,
+        traded_volume: 1000,
+      }),
+      trade("BSE", "974123", "INE001A07QZ9", {
+        ltp: 1000,
+        turnover_rs_lacs: 5,
+        no_of_trades: 2,
+        traded_volume: 500,
+      }),
+      // Not linked to an ISIN, so it stays under its own exchange code
+      trade("BSE", "975500", null, {
+        ltp: 99,
+        turnover_rs_lacs: 1,
+        no_of_trades: 1,
+        traded_volume: 1000,
+      }),
+    ],
+    bond_daily: [
+      { trade_date: "2026-10-16", bond_key: "INE001A07QZ9", exchanges: 1 },
+      { trade_date: "2026-10-16", bond_key: "NSE:GONE30", exchanges: 1 },
+      { trade_date: "2026-10-15", bond_key: "NSE:GONE30", exchanges: 1 },
+    ],
+  };
+}
+
+const day = (supabase, date) =>
+  supabase.tables.bond_daily
+    .filter((r) => r.trade_date === date)
+    .sort((a, b) => a.bond_key.localeCompare(b.bond_key));
+
+test("consolidateDay combines NSE and BSE trades of one ISIN", async () => {
+  const supabase = fakeSupabase(seededTables());
+
+  const result = await consolidateDay(supabase, "2026-10-16", 0.5);
+  assert.deepEqual(result, {
+    bonds: 2,
+    crossListed: 1,
+    mismatches: 1,
+    thresholdPct: 0.5,
+  });
+
+  const [single, both] = day(supabase, "2026-10-16");
+  assert.equal(both.bond_key, "INE001A07QZ9");
+  assert.equal(both.isin, "INE001A07QZ9");
+  assert.equal(both.exchanges, 2);
+  assert.ok(Math.abs(both.total_turnover_rs_lacs - 15.1) < 1e-9);
+  assert.equal(both.total_trades, 5);
+  assert.equal(both.total_volume, 1500);
+  assert.ok(Math.abs(both.vwap - (15.1 * 100000) / 1500) < 1e-9);
+  assert.equal(both.last_price, 1010);
+  assert.equal(both.nse_ltp, 1010);
+  assert.equal(both.bse_ltp, 1000);
+  assert.equal(both.bse_trades, 2);
+  assert.ok(Math.abs(both.price_divergence_pct - 1) < 1e-9);
+  assert.equal(both.price_mismatch, true);
+
+  assert.equal(single.bond_key, "BSE:975500");
+  assert.equal(single.exchanges, 1);
+  assert.equal(single.nse_ltp, null);
+  assert.equal(single.price_divergence_pct, null);
+  assert.equal(single.price_mismatch, false);
+
+  // The bond no longer traded that day is gone; other days are untouched
+  assert.deepEqual(
+    day(supabase, "2026-10-15").map((r) => r.bond_key),
+    ["NSE:GONE30"],
+  );
+});
+
+test("consolidateDay keeps the day's rows when the write fails", async () => {
+  const supabase = fakeSupabase(seededTables());
+  const from = supabase.from;
+  supabase.from = (table) => {
+    const query = from(table);
+    if (table === "bond_daily") {
+      query.upsert = () =>
+        Promise.resolve({
+          data: null,
+          error: { message: "payload too large" },
+        });
+    }
+    return query;
+  };
+
+  await assert.rejects(
+    consolidateDay(supabase, "2026-10-16"),
+    /bond_daily upsert failed: payload too large/,
+  );
+  assert.deepEqual(
+    day(supabase, "2026-10-16").map((r) => r.bond_key),
+    ["INE001A07QZ9", "NSE:GONE30"],
+  );
+});
+
+test("a leg without a volume is left out of the VWAP", () => {
+  const [row] = buildDailyRows(
+    [
+      trade("NSE", "HDFC29", "INE001A07QZ9", {
+        ltp: 1000,
+        turnover_rs_lacs: 10,
+        traded_volume: 1000,
+      }),
+      trade("BSE", "974123", "INE001A07QZ9", {
+        ltp: 1002,
+        turnover_rs_lacs: 10,
+        traded_volume: null,
+      }),
+    ],
+    "2026-10-16",
+    0.5,
+  );
+  assert.equal(row.total_turnover_rs_lacs, 20);
+  assert.equal(row.total_volume, 1000);
+  assert.equal(row.vwap, 1000);
+
+  const [unpriced] = buildDailyRows(
+    [trade("BSE", "974123", "INE001A07QZ9", { turnover_rs_lacs: 10 })],
+    "2026-10-16",
+    0.5,
+  );
+  assert.equal(unpriced.vwap, null);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatDateBSE,
+  formatDateDB,
+  listWeekdays,
+  parseDateDB,
+} from "../lib/dates.mjs";
+
+test("parseDateDB reads YYYY-MM-DD as UTC midnight", () => {
+  assert.equal(
+    parseDateDB("2026-10-16").toISOString(),
+    "2026-10-16T00:00:00.000Z",
+  );
+  assert.equal(formatDateDB(parseDateDB("2028-02-29")), "2028-02-29");
+  assert.equal(formatDateBSE(parseDateDB("2026-01-05")), "05/01/2026");
+});
+
+test("parseDateDB rejects malformed and impossible dates", () => {
+  for (const value of [
+    "",
+    null,
+    undefined,
+    "16-10-2026",
+    "2026-1-5",
+    "2026-10-16T00:00",
+    "2026-02-31",
+    "2026-02-29",
+    "2026-13-01",
+    "2026-04-31",
+    "2026-10-00",
+  ]) {
+    assert.equal(parseDateDB(value), null, String(value));
+  }
+});
+
+test("listWeekdays skips weekends", () => {
+  assert.deepEqual(
+    listWeekdays(parseDateDB("2026-10-16"), parseDateDB("2026-10-20")).map(
+      formatDateDB,
+    ),
+    ["2026-10-16", "2026-10-19", "2026-10-20"],
+  );
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildDigest,
+  digestBlocks,
+  digestCsv,
+  ratingBucket,
+} from "../lib/digest.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+let id = 0;
+function trade(tradeDate, exchange, code, ltp, turnover, rating = null) {
+  return {
+    id: ++id,
+    trade_date: tradeDate,
+    exchange,
+    security_code: code,
+    series: exchange === "NSE" ? "N1" : null,
+    issuer_name: `${code} Ltd`,
+    ltp,
+    turnover_rs_lacs: turnover,
+    credit_rating: rating,
+  };
+}
+
+function turnoverDays(exchange, values) {
+  return values.map(([tradeDate, turnover]) => ({
+    trade_date: tradeDate,
+    exchange,
+    turnover_rs_lacs: turnover,
+  }));
+}
+
+test("ratingBucket reads agency rating strings", () => {
+  assert.equal(ratingBucket("CRISIL AAA/Stable"), "AAA");
+  assert.equal(ratingBucket("[ICRA]AA+ (Stable)"), "AA");
+  assert.equal(ratingBucket("IND AA-"), "AA");
+  assert.equal(ratingBucket("CARE A"), "A");
+  assert.equal(ratingBucket("BWR BBB-"), "BBB");
+  assert.equal(ratingBucket("CRISIL BB+"), "Below BBB");
+  assert.equal(ratingBucket("CRISIL D"), "Below BBB");
+  assert.equal(ratingBucket("CARE A1+"), "Unrated/other");
+  assert.equal(ratingBucket(null), "Unrated/other");
+});
+
+test("buildDigest compares prices, turnover and ratings", async () => {
+  const supabase = fakeSupabase({
+    bond_daily: [
+      {
+        trade_date: "2026-10-16",
+        bond_key: "X",
+        issuer_name: "X Ltd",
+        total_turnover_rs_lacs: 50,
+        last_price: 101,
+      },
+      {
+        trade_date: "2026-10-16",
+        bond_key: "Y",
+        issuer_name: "Y Ltd",
+        total_turnover_rs_lacs: 900,
+        last_price: 95,
+      },
+    ],
+    bond_trades: [
+      // X last traded a week earlier, Y the day before
+      trade("2026-10-09", "NSE", "X", 100, 10),
+      trade("2026-10-15", "BSE", "Y", 100, 20),
+      trade("2026-10-16", "NSE", "X", 101, 50, "CRISIL AAA"),
+      trade("2026-10-16", "BSE", "Y", 95, 900, "ICRA AA+"),
+      trade("2026-10-16", "BSE", "Z", 99, 5),
+    ],
+    bond_trade_days: [
+      ...turnoverDays("NSE", [
+        ["2026-10-14", 100],
+        ["2026-10-15", 300],
+        ["2026-10-16", 50],
+      ]),
+      ...turnoverDays("BSE", [["2026-10-16", 905]]),
+    ],
+  });
+
+  const digest = await buildDigest(supabase, "2026-10-16");
+
+  assert.deepEqual(
+    digest.top.map((r) => r.bond_key),
+    ["Y", "X"],
+  );
+  assert.deepEqual(
+    digest.moves.map((m) => [m.security_code, m.previous_date, m.change_pct]),
+    [
+      ["Y", "2026-10-15", -5],
+      ["X", "2026-10-09", 1],
+    ],
+  );
+
+  const [nse, bse] = digest.turnover;
+  assert.equal(nse.turnover, 50);
+  assert.equal(nse.average, 200);
+  assert.equal(nse.change_pct, -75);
+  assert.equal(bse.average, null);
+
+  assert.deepEqual(digest.ratings, [
+    { rating: "AAA", bonds: 1, turnover: 50 },
+    { rating: "AA", bonds: 1, turnover: 900 },
+    { rating: "Unrated/other", bonds: 1, turnover: 5 },
+  ]);
+
+  const [top, moves, turnover] = digestBlocks(digest);
+  assert.equal(top.lines[0], "1. Y Ltd: ₹900 L @ 95");
+  assert.equal(
+    moves.lines[0],
+    "• BSE Y Ltd: 100 → 95 (-5.00% since 2026-10-15)",
+  );
+  assert.deepEqual(turnover.lines, [
+    "• NSE: ₹50 L (-75.00% vs ₹200 L over 2 days)",
+    "• BSE: ₹905 L",
+  ]);
+
+  const csv = digestCsv(digest).toString("utf8").split("\n");
+  assert.match(csv[0], /^trade_date,exchange,security_code,/);
+  assert.match(csv[1], /^2026-10-16,BSE,Y,/);
+  assert.equal(csv.filter(Boolean).length, 4);
+});
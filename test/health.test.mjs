@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkHealth } from "../lib/health.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+// Row counts for an exchange on consecutive October trading days
+function days(exchange, counts) {
+  const dates = ["05", "06", "07", "08", "09", "12", "13", "14", "15"];
+  return counts.map((rowCount, i) => ({
+    trade_date: `2026-10-${dates[i]}`,
+    exchange,
+    row_count: rowCount,
+  }));
+}
+
+test("checkHealth flags a row count far below the trailing average", async () => {
+  const supabase = fakeSupabase({
+    bond_trade_days: [
+      ...days("NSE", [800, 820, 790, 810, 780, 800, 805, 795, 800]),
+      ...days("BSE", [400, 410, 390]),
+    ],
+  });
+
+  assert.deepEqual(
+    await checkHealth(supabase, "2026-10-16", { NSE: 760, BSE: 10 }),
+    [],
+    "BSE has too little history to judge",
+  );
+
+  const [anomaly] = await checkHealth(supabase, "2026-10-16", { NSE: 120 });
+  assert.equal(anomaly.check, "low_row_count");
+  assert.equal(
+    anomaly.message,
+    "NSE stored 120 rows for 2026-10-16, 15% of its 9-day average of 800",
+  );
+
+  assert.deepEqual(
+    await checkHealth(supabase, "2026-10-16", { NSE: 120 }, 0),
+    [],
+    "a ratio of 0 turns the comparison off",
+  );
+});
+
+test("checkHealth flags no rows on a trading day only", async () => {
+  const supabase = fakeSupabase({ bond_trade_days: [] });
+
+  const [anomaly] = await checkHealth(supabase, "2026-10-16", { NSE: 0 });
+  assert.equal(anomaly.check, "no_rows");
+  assert.equal(anomaly.exchange, "NSE");
+
+  // A Saturday, and Gandhi Jayanti
+  assert.deepEqual(await checkHealth(supabase, "2026-10-17", { NSE: 0 }), []);
+  assert.deepEqual(await checkHealth(supabase, "2026-10-02", { NSE: 0 }), []);
+});
@@ -0,0 +1,252 @@
+// In-memory stand-in for the parts of the Supabase client the scraper
+// uses: table queries with filters, ordering and paging, and storage.
+// Inserted rows without an id get the next one, like an identity column.
+// Views and database functions the scraper relies on are emulated over the
+// tables unless a test seeds the view itself.
+const isNull = (v) => v === null || v === undefined;
+
+// Postgres ordering: nulls last ascending, first descending, by default
+function compare(a, b, ascending, nullsFirst = !ascending) {
+  if (isNull(a) || isNull(b)) {
+    if (isNull(a) && isNull(b)) return 0;
+    return isNull(a) === nullsFirst ? -1 : 1;
+  }
+  if (a === b) return 0;
+  return (a < b ? -1 : 1) * (ascending ? 1 : -1);
+}
+
+function pick(row, columns) {
+  if (!columns || columns.trim() === "*") return { ...row };
+  return Object.fromEntries(
+    columns.split(",").map((c) => [c.trim(), row[c.trim()] ?? null]),
+  );
+}
+
+const nextId = (rows) => Math.max(0, ...rows.map((r) => Number(r.id) || 0)) + 1;
+
+const VIEWS = {
+  bond_trade_days(tables) {
+    const days = new Map();
+    for (const row of tables.bond_trades || []) {
+      const key = `${row.trade_date} ${row.exchange}`;
+      const day = days.get(key) || {
+        trade_date: row.trade_date,
+        exchange: row.exchange,
+        row_count: 0,
+        turnover_rs_lacs: 0,
+      };
+      day.row_count++;
+      day.turnover_rs_lacs += Number(row.turnover_rs_lacs || 0);
+      days.set(key, day);
+    }
+    return [...days.values()];
+  },
+};
+
+const FUNCTIONS = {
+  // supabase/migrations/20261019000600_swap_bond_trades.sql, which
+  // test/supabase-sql.test.mjs runs for real given TEST_DATABASE_URL
+  swap_bond_trades(
+    tables,
+    { p_load_id, p_trade_date, p_exchange, p_expected },
+  ) {
+    const staging = tables.bond_trades_staging || [];
+    const staged = staging.filter((r) => r.load_id === p_load_id);
+    if (staged.length !== p_expected) {
+      return {
+        data: null,
+        error: {
+          message: `load ${p_load_id} has ${staged.length} staged rows, expected ${p_expected}`,
+        },
+      };
+    }
+
+    const trades = (tables.bond_trades || []).filter(
+      (r) => !(r.trade_date === p_trade_date && r.exchange === p_exchange),
+    );
+    let id = nextId(tables.bond_trades || []);
+    for (const { payload } of staged) {
+      const { id: _, created_at, ...row } = payload;
+      trades.push({ id: id++, ...row });
+    }
+    tables.bond_trades = trades;
+    tables.bond_trades_staging = staging.filter((r) => !staged.includes(r));
+    return { data: staged.length, error: null };
+  },
+};
+
+export function fakeSupabase(tables = {}) {
+  const files = new Map();
+  const seeded = new Set(Object.keys(tables));
+
+  function from(table) {
+    const isView = table in VIEWS && !seeded.has(table);
+    if (!isView) tables[table] ||= [];
+    const filters = [];
+    const orders = [];
+    let op = "select";
+    let columns = "*";
+    let payload = null;
+    let conflict = null;
+    let limit = null;
+    let range = null;
+    let returning = false;
+    let single = false;
+    let counted = false;
+
+    const query = {
+      select(cols = "*", { count } = {}) {
+        columns = cols;
+        counted = Boolean(count);
+        returning = op !== "select";
+        return query;
+      },
+      insert(rows) {
+        op = "insert";
+        payload = [].concat(rows);
+        return query;
+      },
+      upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+        op = "upsert";
+        payload = [].concat(rows);
+        conflict = { columns: onConflict.split(","), ignoreDuplicates };
+        return query;
+      },
+      update(values) {
+        op = "update";
+        payload = values;
+        return query;
+      },
+      delete() {
+        op = "delete";
+        return query;
+      },
+      eq(c, v) {
+        filters.push((r) => r[c] === v);
+        return query;
+      },
+      in(c, vs) {
+        filters.push((r) => vs.includes(r[c]));
+        return query;
+      },
+      gte(c, v) {
+        filters.push((r) => r[c] >= v);
+        return query;
+      },
+      lte(c, v) {
+        filters.push((r) => r[c] <= v);
+        return query;
+      },
+      lt(c, v) {
+        filters.push((r) => r[c] < v);
+        return query;
+      },
+      order(c, { ascending = true, nullsFirst } = {}) {
+        orders.push([c, ascending, nullsFirst]);
+        return query;
+      },
+      limit(n) {
+        limit = n;
+        return query;
+      },
+      range(a, b) {
+        range = [a, b];
+        return query;
+      },
+      single() {
+        single = true;
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve(run()).then(resolve, reject);
+      },
+    };
+
+    function result(data) {
+      if (!single) return { data, error: null };
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { message: `${data.length} rows returned` } };
+    }
+
+    // The row an upsert replaces, matched on the conflict columns
+    function existing(rows, row) {
+      const keys = conflict.columns.map((c) => c.trim());
+      if (keys.some((c) => isNull(row[c]))) return null;
+      return rows.find((r) => keys.every((c) => r[c] === row[c])) || null;
+    }
+
+    function run() {
+      const rows = isView ? VIEWS[table](tables) : tables[table];
+      if (op === "insert" || op === "upsert") {
+        let id = nextId(rows);
+        const added = [];
+        for (const r of payload) {
+          const match = op === "upsert" && existing(rows, r);
+          if (match) {
+            if (!conflict.ignoreDuplicates) Object.assign(match, r);
+            continue;
+          }
+          added.push({ ...(r.id === undefined ? { id: id++ } : {}), ...r });
+        }
+        rows.push(...added);
+        return returning
+          ? result(added.map((r) => pick(r, columns)))
+          : { data: null, error: null };
+      }
+
+      const matched = rows.filter((r) => filters.every((f) => f(r)));
+      if (op === "update") {
+        for (const row of matched) Object.assign(row, payload);
+        return returning
+          ? result(matched.map((r) => pick(r, columns)))
+          : { data: null, error: null };
+      }
+      if (op === "delete") {
+        tables[table] = rows.filter((r) => !matched.includes(r));
+        return { data: null, count: matched.length, error: null };
+      }
+
+      matched.sort((a, b) => {
+        for (const [c, ascending, nullsFirst] of orders) {
+          const diff = compare(a[c], b[c], ascending, nullsFirst);
+          if (diff) return diff;
+        }
+        return 0;
+      });
+      let data = matched;
+      if (range) data = data.slice(range[0], range[1] + 1);
+      if (limit !== null) data = data.slice(0, limit);
+      const response = result(data.map((r) => pick(r, columns)));
+      return counted ? { ...response, count: matched.length } : response;
+    }
+
+    return query;
+  }
+
+  async function rpc(name, args) {
+    return FUNCTIONS[name](tables, args);
+  }
+
+  const storage = {
+    from(bucket) {
+      return {
+        async upload(path, body) {
+          files.set(`${bucket}/${path}`, Buffer.from(body));
+          return { data: { path }, error: null };
+        },
+        async download(path) {
+          const body = files.get(`${bucket}/${path}`);
+          return body
+            ? { data: new Blob([body]), error: null }
+            : {
+                data: null,
+                error: { statusCode: "404", message: "Object not found" },
+              };
+        },
+      };
+    },
+  };
+
+  return { from, rpc, storage, tables, files };
+}
@@ -0,0 +1,35 @@
+// Mocked Telegram API: records onText handlers, sent messages and
+// documents, and delivers a text message from a user the way polling
+// would.
+export function fakeTelegram() {
+  const handlers = [];
+  const sent = [];
+  const documents = [];
+
+  return {
+    sent,
+    documents,
+    onText(pattern, handler) {
+      handlers.push({ pattern, handler });
+    },
+    async sendMessage(chatId, text, options) {
+      sent.push({ chatId, text, options });
+      return { message_id: sent.length };
+    },
+    async sendDocument(chatId, content, options, fileOptions) {
+      documents.push({ chatId, content, options, fileOptions });
+      return { message_id: sent.length + documents.length };
+    },
+    // Resolves once every matching handler has finished
+    async receive(text, { userId = 1, chatId = 100 } = {}) {
+      const msg = { text, chat: { id: chatId }, from: { id: userId } };
+      await Promise.all(
+        handlers
+          .map(({ pattern, handler }) => [handler, pattern.exec(text)])
+          .filter(([, match]) => match)
+          .map(([handler, match]) => handler(msg, match)),
+      );
+      return sent.slice(-1)[0]?.text;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// Recorded exchange files in test/fixtures, and httpStub routes that serve
+// them from the paths the adapters request.
+import { readFileSync } from "fs";
+
+export function fixture(name) {
+  return readFileSync(new URL(`../fixtures/${name}`, import.meta.url), "utf8");
+}
+
+// NSE website pages the session warms up on, setting a cookie like the
+// real site does
+const page = {
+  headers: { "Set-Cookie": "nsit=stub; Path=/; Max-Age=300" },
+  body: "<html></html>",
+};
+
+// Routes for one trade date: the NSE live file, the BSE download and, for
+// backfill dates, NSE bhavcopies keyed by DDMMYYYY. Pass a route as null
+// to drop it, or replace it, with overrides.
+export function exchangeRoutes({ bhavcopies = {}, ...overrides } = {}) {
+  const routes = {
+    "/": page,
+    "/market-data/bonds-traded-in-capital-market": page,
+    "/all-reports": page,
+    "/api/liveBonds-traded-on-cm": { body: fixture("nse-live.csv") },
+    "/BseIndiaAPI/api/rbcorpbonds1_download/w": {
+      body: fixture("bse-download.tsv"),
+    },
+  };
+  for (const [date, body] of Object.entries(bhavcopies)) {
+    routes[`/products/content/sec_bhavdata_full_${date}.csv`] = { body };
+  }
+  return { ...routes, ...overrides };
+}
+
+// Point the adapters at a stub instead of the exchanges
+export function useStubExchanges(stub) {
+  process.env.NSE_URL = stub.url("");
+  process.env.NSE_ARCHIVES_URL = stub.url("");
+  process.env.BSE_API_URL = stub.url("");
+}
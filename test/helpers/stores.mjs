@@ -0,0 +1,85 @@
+import { join } from "path";
+import Database from "better-sqlite3";
+import { newDb } from "pg-mem";
+import { createSupabaseStore } from "../../lib/storage/index.mjs";
+import { createSqliteStore } from "../../lib/storage/sqlite.mjs";
+import { createPostgresStore } from "../../lib/storage/postgres.mjs";
+import { fakeSupabase } from "./fake-supabase.mjs";
+
+// pg-mem inlines parameters into the SQL as text, which mangles binary
+// bytea values. Carry Buffers through it as base64 so files arrive intact,
+// as they do with pg and a real server.
+function binarySafe(client) {
+  // pg-mem's pool hands itself out as the connection
+  if (client.binarySafe) return client;
+  client.binarySafe = true;
+  const query = client.query.bind(client);
+  client.query = async (sql, params) => {
+    const result = await query(
+      sql,
+      params?.map((value) =>
+        Buffer.isBuffer(value) ? Buffer.from(value.toString("base64")) : value,
+      ),
+    );
+    for (const row of result.rows || []) {
+      for (const [column, value] of Object.entries(row)) {
+        if (Buffer.isBuffer(value)) {
+          row[column] = Buffer.from(value.toString(), "base64");
+        }
+      }
+    }
+    return result;
+  };
+  return client;
+}
+
+// Every storage backend as a fresh, migrated store, plus a way to read
+// bond_trades_rejected, which a store only writes. SQLite files go in dir.
+export const STORE_BACKENDS = {
+  async supabase() {
+    const supabase = fakeSupabase();
+    return {
+      store: createSupabaseStore(supabase),
+      rejected: async () => supabase.tables.bond_trades_rejected || [],
+    };
+  },
+
+  async sqlite(dir) {
+    const path = join(dir, `${Math.random().toString(36).slice(2)}.sqlite`);
+    const store = createSqliteStore(path);
+    await store.migrate();
+    return {
+      store,
+      async rejected() {
+        const db = new Database(path, { readonly: true });
+        try {
+          return db
+            .prepare("select * from bond_trades_rejected order by id")
+            .all()
+            .map((row) => ({
+              ...row,
+              reasons: JSON.parse(row.reasons),
+              mapped_row: JSON.parse(row.mapped_row),
+            }));
+        } finally {
+          db.close();
+        }
+      },
+    };
+  },
+
+  async postgres() {
+    const db = newDb();
+    const { Pool } = db.adapters.createPg();
+    const pool = binarySafe(new Pool());
+    const connect = pool.connect.bind(pool);
+    pool.connect = async () => binarySafe(await connect());
+    const store = createPostgresStore({ pool });
+    await store.migrate();
+    return {
+      store,
+      rejected: async () =>
+        db.public.many("select * from bond_trades_rejected order by id"),
+    };
+  },
+};
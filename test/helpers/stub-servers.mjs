@@ -0,0 +1,104 @@
+// Local stand-ins for the servers the scraper talks to: an HTTP server
+// for exchange downloads and webhooks, and an SMTP server that accepts
+// any mail and keeps its raw DATA. Both listen on a random port; call
+// close() when done.
+import http from "http";
+import net from "net";
+
+// Every request is recorded, with a JSON body parsed. routes maps a path
+// (without its query string) to { statusCode, headers, body }, or to a
+// function of the request returning one; a stub with no routes answers
+// every request with statusCode, and one with routes 404s the rest.
+export async function httpStub({ statusCode = 200, routes = null } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const json = /json/.test(req.headers["content-type"] || "");
+      const request = {
+        method: req.method,
+        url: req.url,
+        path: req.url.split("?")[0],
+        headers: req.headers,
+        body: json ? JSON.parse(body || "null") : body || null,
+      };
+      requests.push(request);
+
+      let route = routes ? routes[request.path] : null;
+      if (typeof route === "function") route = route(request);
+      if (!routes) {
+        route = { statusCode, body: statusCode < 300 ? "ok" : "rejected" };
+      }
+      const response = route || { statusCode: 404, body: "not found" };
+      res.writeHead(response.statusCode ?? 200, {
+        "Content-Type": "text/plain",
+        ...response.headers,
+      });
+      res.end(response.body ?? "");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    requests,
+    url: (path = "/") => `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export async function smtpStub() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let message = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 stub ESMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (message?.reading) {
+          if (line === ".") {
+            message.reading = false;
+            messages.push({ ...message, data: message.data.join("\n") });
+            reply("250 queued");
+          } else {
+            message.data.push(line.replace(/^\.\./, "."));
+          }
+          continue;
+        }
+
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "EHLO" || verb === "HELO") {
+          reply("250 stub");
+        } else if (verb === "MAIL") {
+          message = { from: line.slice(10), to: [], data: [] };
+          reply("250 ok");
+        } else if (verb === "RCPT") {
+          message.to.push(line.slice(8));
+          reply("250 ok");
+        } else if (verb === "DATA") {
+          message.reading = true;
+          reply("354 go ahead");
+        } else if (verb === "QUIT") {
+          reply("221 bye");
+          socket.end();
+        } else {
+          reply("250 ok");
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    messages,
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,193 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import zlib from "zlib";
+import { hostOptions, makeRequest, takeRequestLog } from "../lib/http.mjs";
+import { httpStub } from "./helpers/stub-servers.mjs";
+
+beforeEach(() => {
+  // No backoff between attempts, and no retry warnings in the output
+  mock.method(Math, "random", () => 0);
+  mock.method(console, "warn", () => {});
+  takeRequestLog();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const get = (url, path, options) =>
+  makeRequest({ ...hostOptions(url), path, method: "GET" }, null, options);
+
+// A server whose handler is left to write the response itself
+async function rawServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+test("a 5xx is retried and every attempt is logged", async () => {
+  let calls = 0;
+  const stub = await httpStub({
+    routes: {
+      "/data": () =>
+        ++calls < 3
+          ? { statusCode: 503, body: "busy" }
+          : { statusCode: 200, body: "done" },
+    },
+  });
+  try {
+    const res = await get(stub.url(), "/data?day=16");
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body, "done");
+    assert.equal(stub.requests.length, 3);
+
+    const log = takeRequestLog();
+    assert.deepEqual(
+      log.map(({ method, url, attempt, statusCode, error }) => ({
+        method,
+        url,
+        attempt,
+        statusCode,
+        error,
+      })),
+      [1, 2, 3].map((attempt) => ({
+        method: "GET",
+        url: stub.url("/data?day=16"),
+        attempt,
+        statusCode: attempt < 3 ? 503 : 200,
+        error: null,
+      })),
+    );
+    assert.ok(log.every((entry) => entry.ms >= 0));
+    assert.deepEqual(takeRequestLog(), []);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("the last 5xx is returned once retries run out", async () => {
+  const stub = await httpStub({ statusCode: 502 });
+  try {
+    const res = await get(stub.url(), "/", { retries: 2 });
+    assert.equal(res.statusCode, 502);
+    assert.equal(stub.requests.length, 3);
+
+    const stopped = await get(stub.url(), "/", { retries: 0 });
+    assert.equal(stopped.statusCode, 502);
+    assert.equal(stub.requests.length, 4);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("a 4xx other than 429 is not retried", async () => {
+  const stub = await httpStub({ statusCode: 403 });
+  try {
+    const res = await get(stub.url(), "/");
+    assert.equal(res.statusCode, 403);
+    assert.equal(stub.requests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("a request that times out is retried, then given up", async () => {
+  let calls = 0;
+  // Never answers
+  const server = await rawServer(() => calls++);
+  try {
+    await assert.rejects(
+      get(server.url, "/slow", { timeoutMs: 50, retries: 2 }),
+      /Request timed out after 50ms/,
+    );
+    assert.equal(calls, 3);
+    assert.deepEqual(
+      takeRequestLog().map((entry) => [entry.attempt, entry.error]),
+      [1, 2, 3].map((attempt) => [attempt, "Request timed out after 50ms"]),
+    );
+  } finally {
+    await server.close();
+  }
+});
+
+test("a relative Location is resolved against the current URL", async () => {
+  const stub = await httpStub({
+    routes: {
+      "/files/latest": {
+        statusCode: 302,
+        headers: { Location: "2026/report.csv?v=2" },
+      },
+      "/files/2026/report.csv": { body: "isin,ltp" },
+    },
+  });
+  try {
+    const res = await get(stub.url(), "/files/latest");
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body, "isin,ltp");
+    assert.deepEqual(
+      stub.requests.map((r) => r.url),
+      ["/files/latest", "/files/2026/report.csv?v=2"],
+    );
+    // A redirect is not a retry
+    assert.deepEqual(
+      takeRequestLog().map((entry) => entry.attempt),
+      [1, 1],
+    );
+  } finally {
+    await stub.close();
+  }
+});
+
+test("gzip and brotli bodies are decompressed", async () => {
+  const text = JSON.stringify({ data: [{ isin: "INE001A07QZ9" }] });
+  const stub = await httpStub({
+    routes: {
+      "/gzip": {
+        headers: { "Content-Encoding": "gzip" },
+        body: zlib.gzipSync(text),
+      },
+      "/br": {
+        headers: { "Content-Encoding": "br" },
+        body: zlib.brotliCompressSync(text),
+      },
+    },
+  });
+  try {
+    for (const path of ["/gzip", "/br"]) {
+      const res = await get(stub.url(), path);
+      assert.equal(res.body, text, path);
+      assert.equal(res.buffer.toString("utf8"), text, path);
+    }
+    assert.match(
+      stub.requests[0].headers["accept-encoding"],
+      /gzip.*deflate.*br/,
+    );
+  } finally {
+    await stub.close();
+  }
+});
+
+test("a multi-byte character split across chunks survives", async () => {
+  const text = "Issuer: ₹ Bharat Ltd – 7.5%";
+  const bytes = Buffer.from(text, "utf8");
+  // Part way into the three bytes of ₹
+  const split = bytes.indexOf(Buffer.from("₹")) + 1;
+  const server = await rawServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+    res.write(bytes.subarray(0, split));
+    setTimeout(() => res.end(bytes.subarray(split)), 20);
+  });
+  try {
+    const res = await get(server.url, "/");
+    assert.equal(res.body, text);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CONVERSIONS,
+  checkTurnoverUnits,
+  parseExchangeDate,
+} from "../lib/normalize.mjs";
+
+test("parseExchangeDate reads NSE dates", () => {
+  // Live market data and the bhavcopy
+  assert.equal(parseExchangeDate("15-Mar-2029"), "2029-03-15");
+  assert.equal(parseExchangeDate(" 14-Oct-2026 "), "2026-10-14");
+  assert.equal(parseExchangeDate("15-MAR-29"), "2029-03-15");
+  assert.equal(parseExchangeDate("5 Mar 2029"), "2029-03-05");
+  assert.equal(parseExchangeDate("15 March, 2029"), "2029-03-15");
+});
+
+test("parseExchangeDate reads BSE dates", () => {
+  // The download and the JSON API
+  assert.equal(parseExchangeDate("15/03/2029"), "2029-03-15");
+  assert.equal(parseExchangeDate("5/3/2029"), "2029-03-05");
+  assert.equal(parseExchangeDate("15-03-2029"), "2029-03-15");
+  assert.equal(parseExchangeDate("15.03.2029"), "2029-03-15");
+  assert.equal(parseExchangeDate("Mar 15, 2029"), "2029-03-15");
+});
+
+test("parseExchangeDate reads ISO and compact dates", () => {
+  assert.equal(parseExchangeDate("2029-03-15"), "2029-03-15");
+  assert.equal(parseExchangeDate("2029/03/15"), "2029-03-15");
+  assert.equal(parseExchangeDate("20290315"), "2029-03-15");
+});
+
+test("parseExchangeDate rejects impossible and unknown dates", () => {
+  for (const value of [
+    "31/02/2030",
+    "29-Feb-2027",
+    "2029-13-01",
+    "20290231",
+    "00/03/2029",
+    "15-Foo-2029",
+    "03/15/2029",
+    "15 Mar",
+    "2029",
+    "",
+    null,
+    undefined,
+  ]) {
+    assert.equal(parseExchangeDate(value), null, String(value));
+  }
+  // A leap day only in a leap year
+  assert.equal(parseExchangeDate("29-Feb-2028"), "2028-02-29");
+});
+
+// Rows where turnover is exactly price × volume in lakhs
+const inLakhs = [
+  { ltp: 1000, traded_volume: 500, turnover_rs_lacs: 5 },
+  { ltp: 101.5, traded_volume: 2000, turnover_rs_lacs: 2.03 },
+  { ltp: 99.8, traded_volume: 10000, turnover_rs_lacs: 9.98 },
+];
+
+test("checkTurnoverUnits accepts turnover in lakhs", () => {
+  const result = checkTurnoverUnits(inLakhs);
+  assert.equal(result.sampled, 3);
+  assert.ok(Math.abs(result.medianRatio - 1) < 1e-9);
+  assert.equal(result.ok, true);
+});
+
+test("checkTurnoverUnits flags turnover left in rupees or crores", () => {
+  const rupees = checkTurnoverUnits(
+    inLakhs.map((r) => ({ ...r, turnover_rs_lacs: r.turnover_rs_lacs * 1e5 })),
+  );
+  assert.ok(Math.abs(rupees.medianRatio - 1e5) < 1e-3);
+  assert.equal(rupees.ok, false);
+
+  const crores = checkTurnoverUnits(
+    inLakhs.map((r) => ({ ...r, turnover_rs_lacs: r.turnover_rs_lacs / 100 })),
+  );
+  assert.ok(Math.abs(crores.medianRatio - 0.01) < 1e-9);
+  assert.equal(crores.ok, false);
+
+  // Converting the rupee figures brings them back in line
+  const converted = checkTurnoverUnits(
+    inLakhs.map((r) => ({
+      ...r,
+      turnover_rs_lacs: CONVERSIONS.rupeesToLakhs(r.turnover_rs_lacs * 1e5),
+    })),
+  );
+  assert.equal(converted.ok, true);
+});
+
+test("checkTurnoverUnits samples only rows with all three values", () => {
+  assert.deepEqual(checkTurnoverUnits([]), {
+    sampled: 0,
+    medianRatio: null,
+    ok: true,
+  });
+  const result = checkTurnoverUnits([
+    ...inLakhs,
+    { ltp: null, traded_volume: 500, turnover_rs_lacs: 5e5 },
+    { ltp: 1000, traded_volume: 0, turnover_rs_lacs: 5e5 },
+  ]);
+  assert.equal(result.sampled, 3);
+  assert.equal(result.ok, true);
+  // One outlier does not move the median
+  assert.equal(
+    checkTurnoverUnits([
+      ...inLakhs,
+      { ltp: 1000, traded_volume: 500, turnover_rs_lacs: 5e5 },
+    ]).ok,
+    true,
+  );
+});
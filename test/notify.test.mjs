@@ -0,0 +1,203 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildReport,
+  notifierFromEnv,
+  renderHtml,
+  renderMarkdown,
+  renderSlack,
+  renderText,
+} from "../lib/notify/index.mjs";
+import { fakeTelegram } from "./helpers/fake-telegram.mjs";
+import { httpStub, smtpStub } from "./helpers/stub-servers.mjs";
+
+const run = {
+  tradeDate: "2026-10-16",
+  sessionDate: "2026-10-16",
+  sessionClosed: null,
+  completedAt: "2026-10-16T12:30:00.000Z",
+  exchanges: {
+    NSE: {
+      success: true,
+      count: 812,
+      quality: { accepted: 812, rejected: 0, byRule: {} },
+      requests: [{ attempt: 1 }, { attempt: 2 }],
+    },
+    BSE: {
+      success: false,
+      error: "BSE API returned <html> & status code: 503",
+      requests: [],
+    },
+  },
+  consolidation: { bonds: 700, crossListed: 40, mismatches: 0 },
+  gaps: null,
+  cleanup: { count: 0, details: null, errors: {} },
+  errorsSaved: true,
+};
+
+const csv = {
+  filename: "bond-trades-2026-10-16.csv",
+  content: Buffer.from("trade_date,exchange\n2026-10-16,NSE\n"),
+  contentType: "text/csv",
+  caption: "All 1 trades for 16/10/2026",
+};
+
+test("buildReport describes each exchange and the errors", () => {
+  const report = buildReport(run);
+
+  assert.equal(report.title, "📊 Bond Data Scraper - 16/10/2026");
+  assert.deepEqual(report.blocks[0].lines, [
+    "✅ NSE: Stored 812 records",
+    "   ↻ 1 HTTP retries",
+    "❌ BSE: Failed",
+  ]);
+  assert.equal(
+    report.blocks[1].heading,
+    "🔀 Consolidated: 700 bonds, 40 on both exchanges",
+  );
+  assert.deepEqual(report.blocks.find((b) => b.heading === "Errors:").lines, [
+    "• BSE: BSE API returned <html> & status code: 503",
+  ]);
+});
+
+test("renderers escape report text for their format", () => {
+  const report = buildReport(run);
+
+  assert.match(
+    renderHtml(report),
+    /^<b>📊 Bond Data Scraper - 16\/10\/2026<\/b>\n\n✅ NSE/,
+  );
+  assert.match(renderHtml(report), /returned &lt;html&gt; &amp; status/);
+  assert.match(renderSlack(report), /^\*📊 Bond Data Scraper/);
+  assert.match(renderSlack(report), /returned &lt;html&gt; &amp; status/);
+  assert.match(renderMarkdown(report), /^\*\*📊 Bond Data Scraper/);
+  assert.match(renderMarkdown(report), /returned \\<html\\> & status/);
+  assert.match(renderMarkdown(report), /812 records {2}\n/);
+  assert.match(renderText(report), /^📊 Bond Data Scraper - 16\/10\/2026\n\n/);
+  assert.match(renderText(report), /returned <html> & status/);
+});
+
+test("notifierFromEnv skips unknown and unconfigured channels", () => {
+  const notifier = notifierFromEnv({
+    NOTIFY_CHANNELS: "telegram, pager, slack, email",
+    TELEGRAM_CHANNEL: "-100",
+    SMTP_URL: "smtp://localhost:25",
+  });
+  assert.deepEqual(
+    notifier.channels.map((c) => c.name),
+    ["telegram"],
+  );
+  assert.deepEqual(
+    notifierFromEnv({ TELEGRAM_CHANNEL: "-100" }).channels.map((c) => c.name),
+    ["telegram"],
+  );
+});
+
+test("notify fans out to Telegram, webhooks and email", async () => {
+  const bot = fakeTelegram();
+  const web = await httpStub();
+  const smtp = await smtpStub();
+
+  try {
+    const notifier = notifierFromEnv(
+      {
+        NOTIFY_CHANNELS: "telegram,slack,teams,webhook,email",
+        TELEGRAM_CHANNEL: "-100",
+        SLACK_WEBHOOK_URL: web.url("/slack"),
+        TEAMS_WEBHOOK_URL: web.url("/teams"),
+        NOTIFY_WEBHOOK_URL: web.url("/hook?source=bonds"),
+        NOTIFY_WEBHOOK_TOKEN: "secret",
+        SMTP_URL: smtp.url,
+        NOTIFY_EMAIL_FROM: "scraper@example.com",
+        NOTIFY_EMAIL_TO: "desk@example.com, risk@example.com",
+      },
+      { bot },
+    );
+
+    const report = buildReport(run);
+    const outcomes = await notifier.notify({
+      report,
+      run,
+      attachments: [csv],
+    });
+    assert.deepEqual(
+      outcomes.map((o) => [o.channel, o.ok]),
+      [
+        ["telegram", true],
+        ["slack", true],
+        ["teams", true],
+        ["webhook", true],
+        ["email", true],
+      ],
+    );
+
+    assert.equal(bot.sent[0].chatId, "-100");
+    assert.equal(bot.sent[0].options.parse_mode, "HTML");
+    assert.equal(bot.sent[0].text, renderHtml(report));
+    assert.equal(bot.documents[0].fileOptions.filename, csv.filename);
+
+    const [slack, teams, hook] = web.requests;
+    assert.equal(slack.url, "/slack");
+    assert.equal(slack.body.text, renderSlack(report));
+    assert.equal(teams.url, "/teams");
+    assert.equal(
+      teams.body.attachments[0].content.body[0].text,
+      renderMarkdown(report),
+    );
+    assert.equal(hook.url, "/hook?source=bonds");
+    assert.equal(hook.headers.authorization, "Bearer secret");
+    assert.equal(hook.body.run.exchanges.NSE.count, 812);
+    assert.equal(hook.body.text, renderText(report));
+
+    const [mail] = smtp.messages;
+    assert.match(mail.from, /scraper@example\.com/);
+    assert.equal(mail.to.length, 2);
+    assert.match(mail.data, /^Subject: Bond Data Scraper - 16\/10\/2026$/m);
+    assert.match(mail.data, /filename=bond-trades-2026-10-16\.csv/);
+  } finally {
+    await web.close();
+    await smtp.close();
+  }
+});
+
+test("a failing channel does not stop the others", async () => {
+  const bot = fakeTelegram();
+  const web = await httpStub({ statusCode: 400 });
+
+  try {
+    const notifier = notifierFromEnv(
+      {
+        NOTIFY_CHANNELS: "slack,telegram",
+        SLACK_WEBHOOK_URL: web.url("/slack"),
+        TELEGRAM_CHANNEL: "-100",
+      },
+      { bot },
+    );
+    const outcomes = await notifier.notify({ report: buildReport(run), run });
+
+    assert.equal(outcomes[0].ok, false);
+    assert.match(outcomes[0].error, /status code: 400/);
+    assert.equal(outcomes[1].ok, true);
+    assert.equal(bot.sent.length, 1);
+  } finally {
+    await web.close();
+  }
+});
+
+test("a webhook that fails is not posted again", async () => {
+  const web = await httpStub({ statusCode: 503 });
+
+  try {
+    const notifier = notifierFromEnv({
+      NOTIFY_CHANNELS: "slack",
+      SLACK_WEBHOOK_URL: web.url("/slack"),
+    });
+    const [outcome] = await notifier.notify({ report: buildReport(run), run });
+
+    assert.equal(outcome.ok, false);
+    assert.match(outcome.error, /status code: 503/);
+    assert.equal(web.requests.length, 1);
+  } finally {
+    await web.close();
+  }
+});
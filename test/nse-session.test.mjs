@@ -0,0 +1,109 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { hostOptions } from "../lib/http.mjs";
+import { createNseSession } from "../lib/nse-session.mjs";
+import { httpStub } from "./helpers/stub-servers.mjs";
+
+beforeEach(() => {
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.NSE_URL;
+});
+
+// An NSE website whose homepage hands out a new cookie on every visit
+async function nseStub(api) {
+  let visits = 0;
+  const stub = await httpStub({
+    routes: {
+      "/": () => ({
+        headers: { "Set-Cookie": `nsit=visit${++visits}; Path=/; HttpOnly` },
+        body: "<html></html>",
+      }),
+      "/api/data": api,
+    },
+  });
+  process.env.NSE_URL = stub.url("");
+  return stub;
+}
+
+const cookies = (stub, path) =>
+  stub.requests.filter((r) => r.path === path).map((r) => r.headers.cookie);
+
+test("a 403 re-warms the session and retries with the new cookie", async () => {
+  let calls = 0;
+  const stub = await nseStub(() =>
+    ++calls === 1 ? { statusCode: 403, body: "denied" } : { body: "[]" },
+  );
+  try {
+    const session = createNseSession();
+    const response = await session.request({
+      ...hostOptions(stub.url("")),
+      path: "/api/data",
+    });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(
+      stub.requests.map((r) => r.path),
+      ["/", "/api/data", "/", "/api/data"],
+    );
+    assert.deepEqual(cookies(stub, "/api/data"), [
+      "nsit=visit1",
+      "nsit=visit2",
+    ]);
+    // The second homepage visit starts from an empty jar
+    assert.equal(stub.requests[2].headers.cookie, undefined);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("a session that keeps being rejected gives up with the last response", async () => {
+  const stub = await nseStub({ statusCode: 401, body: "denied" });
+  try {
+    const session = createNseSession();
+    const response = await session.request({
+      ...hostOptions(stub.url("")),
+      path: "/api/data",
+    });
+    assert.equal(response.statusCode, 401);
+    assert.equal(cookies(stub, "/api/data").length, 3);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("the session warms up again once its TTL has passed", async () => {
+  let now = Date.parse("2026-10-16T10:00:00Z");
+  mock.method(Date, "now", () => now);
+
+  const stub = await nseStub({ body: "[]" });
+  try {
+    const session = createNseSession({ ttlMs: 60000 });
+    const target = { ...hostOptions(stub.url("")), path: "/api/data" };
+
+    await session.request(target);
+    now += 30000;
+    await session.request(target);
+    // Still fresh: one homepage visit for both calls
+    assert.deepEqual(
+      stub.requests.map((r) => r.path),
+      ["/", "/api/data", "/api/data"],
+    );
+
+    now += 31000;
+    await session.request(target);
+    assert.deepEqual(stub.requests.map((r) => r.path).slice(3), [
+      "/",
+      "/api/data",
+    ]);
+    assert.deepEqual(cookies(stub, "/api/data"), [
+      "nsit=visit1",
+      "nsit=visit1",
+      "nsit=visit2",
+    ]);
+  } finally {
+    await stub.close();
+  }
+});
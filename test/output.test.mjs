@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parse } from "csv-parse/sync";
+import { writeDay, writeRows } from "../lib/output.mjs";
+
+const rows = [
+  {
+    trade_date: "2026-10-16",
+    security_code: "HDFC29",
+    ltp: 1010,
+    isin: null,
+    raw_data: { SYMBOL: "HDFC29", LTP: "1,010.00" },
+  },
+];
+
+async function withDir(fn) {
+  const dir = await fs.mkdtemp(join(tmpdir(), "bond-output-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("writeRows writes CSV, JSON and NDJSON", () =>
+  withDir(async (dir) => {
+    const read = async (format) =>
+      fs.readFile(await writeRows(dir, format, "rows", rows), "utf8");
+
+    const [csv] = parse(await read("csv"), { columns: true });
+    assert.equal(csv.ltp, "1010");
+    assert.equal(csv.isin, "");
+    assert.deepEqual(JSON.parse(csv.raw_data), rows[0].raw_data);
+
+    assert.deepEqual(JSON.parse(await read("json")), rows);
+    assert.deepEqual(JSON.parse((await read("ndjson")).trim()), rows[0]);
+
+    await assert.rejects(writeRows(dir, "xml", "rows", rows), {
+      message:
+        'Unknown output format "xml", expected one of: csv, json, ndjson',
+    });
+  }));
+
+test("writeDay adds a rejected file only when rows were rejected", () =>
+  withDir(async (dir) => {
+    const output = { dir: join(dir, "out"), format: "json" };
+
+    assert.deepEqual(
+      await writeDay(output, "NSE", "2026-10-16", { rows, rejected: [] }),
+      [join(output.dir, "bond_trades-NSE-2026-10-16.json")],
+    );
+
+    const files = await writeDay(output, "NSE", "2026-10-16", {
+      rows,
+      rejected: [
+        { row: { security_code: "X" }, reasons: ["ltp_not_positive"] },
+      ],
+    });
+    assert.equal(files.length, 2);
+    assert.deepEqual(JSON.parse(await fs.readFile(files[1], "utf8")), [
+      { security_code: "X", reasons: ["ltp_not_positive"] },
+    ]);
+  }));
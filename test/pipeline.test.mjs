@@ -0,0 +1,339 @@
+import { test, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { runDaily, getSessionDate } from "../lib/pipeline.mjs";
+import { createSqliteStore } from "../lib/storage/sqlite.mjs";
+import { createNotifier } from "../lib/notify/index.mjs";
+import {
+  consoleChannel,
+  telegramChannel,
+  webhookChannel,
+} from "../lib/notify/channels.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+import { fakeTelegram } from "./helpers/fake-telegram.mjs";
+import { httpStub } from "./helpers/stub-servers.mjs";
+import {
+  exchangeRoutes,
+  fixture,
+  useStubExchanges,
+} from "./helpers/fixtures.mjs";
+
+// Friday 16 October 2026, 17:30 IST: after the close, so the run loads
+// that day
+const NOW = new Date("2026-10-16T12:00:00Z");
+
+const trade = (trade_date, exchange, security_code) => ({
+  trade_date,
+  exchange,
+  security_code,
+  ltp: 1000,
+  turnover_rs_lacs: 5,
+  traded_volume: 500,
+});
+
+// The three days before the run, with NSE missing on the 14th, and a
+// month past retention
+function seededTables() {
+  return {
+    bond_trades: [
+      trade("2026-05-04", "NSE", "OLD26"),
+      trade("2026-05-04", "BSE", "970001"),
+      trade("2026-10-13", "NSE", "HDFC29"),
+      trade("2026-10-13", "BSE", "974123"),
+      trade("2026-10-14", "BSE", "974123"),
+      trade("2026-10-15", "NSE", "HDFC29"),
+      trade("2026-10-15", "BSE", "974123"),
+    ],
+    watchlist_entries: [
+      {
+        id: 1,
+        name: "HDFC 8.5% 2029",
+        security_code: "HDFC29",
+        exchange: "NSE",
+        active: true,
+        turnover_above_lacs: 1,
+        recipients: ["555"],
+      },
+    ],
+  };
+}
+
+let stub;
+let routes;
+before(async () => {
+  // A run logs every step; keep the test output to the results
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  process.env.CATCHUP_DAYS = "3";
+  process.env.RETENTION_DAYS = "90";
+  process.env.HEALTH_MIN_ROW_RATIO = "0.5";
+  routes = exchangeRoutes({
+    bhavcopies: { 14102026: fixture("nse-bhavcopy.csv") },
+    "/hook": { body: "ok" },
+  });
+  stub = await httpStub({ routes });
+  useStubExchanges(stub);
+});
+after(() => {
+  mock.restoreAll();
+  return stub.close();
+});
+beforeEach(() => stub.requests.splice(0));
+
+function setup() {
+  const supabase = fakeSupabase(seededTables());
+  const bot = fakeTelegram();
+  const notifier = createNotifier([
+    telegramChannel({ bot, chatId: "42" }),
+    webhookChannel({ url: stub.url("/hook") }),
+  ]);
+  const alerts = [];
+  const sendAlert = async (chatId, text) => alerts.push({ chatId, text });
+  return { supabase, bot, notifier, alerts, sendAlert };
+}
+
+test("getSessionDate rolls back before the 3 PM IST close", () => {
+  assert.equal(getSessionDate(NOW).toISOString(), "2026-10-16T00:00:00.000Z");
+  assert.equal(
+    getSessionDate(new Date("2026-10-16T09:00:00Z")).toISOString(),
+    "2026-10-15T00:00:00.000Z",
+  );
+});
+
+test("a daily run fetches, stores, fills gaps, cleans up and notifies", async () => {
+  const { supabase, bot, notifier, alerts, sendAlert } = setup();
+
+  const { results, record } = await runDaily({
+    supabase,
+    notifier,
+    sendAlert,
+    now: NOW,
+  });
+
+  // Stored: three of the four NSE rows, the fourth quarantined
+  const day = (date, exchange) =>
+    supabase.tables.bond_trades.filter(
+      (r) => r.trade_date === date && r.exchange === exchange,
+    );
+  assert.equal(results.nse.count, 3);
+  assert.equal(results.bse.count, 3);
+  assert.equal(day("2026-10-16", "NSE").length, 3);
+  assert.equal(day("2026-10-16", "BSE").length, 3);
+  assert.deepEqual(
+    supabase.tables.bond_trades_rejected.map((r) => r.security_code),
+    ["SUSP27"],
+  );
+  assert.ok(
+    supabase.tables.bond_daily.some(
+      (r) => r.trade_date === "2026-10-16" && r.isin === "INE001A07QZ9",
+    ),
+  );
+  assert.ok(
+    supabase.files.has(
+      "data-dump/bond-scraper-raw/NSE/2026/2026-10-16/latest.json",
+    ),
+  );
+
+  // The missing NSE day came from the bhavcopy
+  assert.deepEqual(
+    results.gaps.filled.map((f) => [f.exchange, f.date, f.count]),
+    [["NSE", "2026-10-14", 2]],
+  );
+  assert.equal(day("2026-10-14", "NSE").length, 2);
+
+  // May is past 90 days: archived, then deleted
+  assert.equal(results.cleanup.count, 2);
+  assert.equal(day("2026-05-04", "NSE").length, 0);
+  assert.ok(
+    [...supabase.files.keys()].some((k) => k.includes("2026-05")),
+    "retention archive written",
+  );
+
+  // The watchlist entry's turnover rule fired
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].chatId, "555");
+
+  // The run is recorded...
+  const [run] = supabase.tables.scrape_runs;
+  assert.equal(record.status, "success");
+  assert.equal(run.status, "success");
+  assert.equal(run.target_date, "2026-10-16");
+  assert.equal(run.row_count, 6);
+  assert.equal(run.exchanges.NSE.rejected, 1);
+
+  // ...and announced, with the day's CSV, on both channels
+  assert.match(bot.sent[0].text, /✅ NSE: Stored 3 records/);
+  assert.equal(
+    bot.documents[0].fileOptions.filename,
+    "bond-trades-2026-10-16.csv",
+  );
+  const hook = stub.requests.find((r) => r.path === "/hook");
+  assert.equal(hook.body.run.status, "success");
+  assert.equal(hook.body.run.tradeDate, "2026-10-16");
+});
+
+test("a BSE error page degrades the run without stopping NSE", async () => {
+  const download = "/BseIndiaAPI/api/rbcorpbonds1_download/w";
+  const { body } = routes[download];
+  routes[download].body = fixture("bse-error.html");
+  try {
+    const { supabase, bot, notifier, sendAlert } = setup();
+    const { results, record } = await runDaily({
+      supabase,
+      notifier,
+      sendAlert,
+      now: NOW,
+    });
+
+    assert.equal(results.nse.count, 3);
+    assert.equal(
+      results.bse.error,
+      "BSE download API returned HTML instead of tabular data",
+    );
+    assert.equal(record.status, "degraded");
+    assert.equal(record.exchanges.BSE.status, "failed");
+    assert.deepEqual(
+      record.errors.map((e) => e.scope),
+      ["BSE"],
+    );
+    assert.ok(
+      [...supabase.files.keys()].some((k) =>
+        k.startsWith("data-dump/bond-scraper-errors/"),
+      ),
+    );
+    assert.match(bot.sent[0].text, /❌ BSE: Failed/);
+  } finally {
+    routes[download].body = body;
+  }
+});
+
+test("a daily run can keep everything in SQLite instead", async () => {
+  const { bot, notifier } = setup();
+  const dir = await fs.mkdtemp(join(tmpdir(), "bond-scraper-"));
+  const store = createSqliteStore(join(dir, "bonds.sqlite"));
+  try {
+    await store.migrate();
+    // The same days as the Supabase run, NSE missing on the 14th
+    for (const row of seededTables().bond_trades) {
+      await store.replaceDay(row.exchange, row.trade_date, [row]);
+    }
+
+    const { results, record } = await runDaily({
+      supabase: null,
+      store,
+      notifier,
+      sendAlert: async () => {},
+      now: NOW,
+    });
+
+    assert.equal(results.errors.length, 0);
+    assert.equal(results.nse.count, 3);
+    assert.equal(results.bse.count, 3);
+    assert.equal(results.cleanup.count, 2);
+    assert.equal(record.status, "success");
+    assert.deepEqual(
+      results.gaps.filled.map((f) => [f.exchange, f.date, f.count]),
+      [["NSE", "2026-10-14", 2]],
+    );
+
+    const rows = await store.loadExpiring("NSE", "2026-12-31");
+    assert.deepEqual(
+      rows.map((r) => `${r.trade_date} ${r.security_code}`),
+      [
+        "2026-10-13 HDFC29",
+        "2026-10-14 HDFC29",
+        "2026-10-14 REC30",
+        "2026-10-15 HDFC29",
+        "2026-10-16 HDFC29",
+        "2026-10-16 REC30",
+        "2026-10-16 TATA31",
+      ],
+    );
+    assert.ok(
+      await store.readFile("bond-scraper-raw/NSE/2026/2026-10-16/latest.json"),
+    );
+    assert.ok(await store.readFile("bond-trades-archive/NSE/2026-05.csv.gz"));
+    assert.match(bot.sent[0].text, /✅ NSE: Stored 3 records/);
+  } finally {
+    await store.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a dry run writes files and prints the message, leaving Supabase alone", async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), "bond-scraper-"));
+  try {
+    const supabase = fakeSupabase(seededTables());
+    const before = structuredClone(supabase.tables);
+    const printed = [];
+    const notifier = createNotifier([
+      consoleChannel({ log: (line) => printed.push(line) }),
+    ]);
+
+    const { results, run } = await runDaily({
+      supabase,
+      notifier,
+      sendAlert: () => assert.fail("no watchlist alerts on a dry run"),
+      now: NOW,
+      output: { dir, format: "ndjson" },
+    });
+
+    assert.deepEqual(supabase.tables, before);
+    assert.equal(supabase.files.size, 0);
+
+    assert.deepEqual((await fs.readdir(dir)).sort(), [
+      "bond_trades-BSE-2026-10-16.ndjson",
+      "bond_trades-NSE-2026-10-16.ndjson",
+      "bond_trades_rejected-NSE-2026-10-16.ndjson",
+    ]);
+    const nse = (
+      await fs.readFile(join(dir, "bond_trades-NSE-2026-10-16.ndjson"), "utf8")
+    )
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      nse.map((r) => r.security_code),
+      ["HDFC29", "REC30", "TATA31"],
+    );
+    assert.equal(results.nse.count, 3);
+    assert.equal(results.gaps, null);
+
+    // Cleanup is counted, not carried out
+    assert.equal(run.cleanup.count, 2);
+    const message = printed.join("\n");
+    assert.match(message, /\[dry run\]<\/b>/);
+    assert.match(
+      message,
+      /✅ NSE: Wrote 3 records to bond_trades-NSE-2026-10-16\.ndjson/,
+    );
+    assert.match(message, /Cleanup would archive and delete 2 old records/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("a dry run needs no database at all", async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), "bond-scraper-"));
+  try {
+    const printed = [];
+    const { results, run } = await runDaily({
+      supabase: null,
+      notifier: createNotifier([
+        consoleChannel({ log: (line) => printed.push(line) }),
+      ]),
+      sendAlert: async () => {},
+      now: NOW,
+      output: { dir, format: "csv" },
+    });
+
+    assert.equal(results.errors.length, 0);
+    assert.equal(results.bse.count, 3);
+    assert.equal(run.cleanup.count, null);
+    assert.match(printed.join("\n"), /• NSE: records before 2026-07-18/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startRun,
+  finishRun,
+  loadLatestRun,
+  dailyRunRecord,
+  httpStats,
+  errorEntry,
+} from "../lib/runs.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+function exchangeResult(overrides = {}) {
+  return {
+    success: true,
+    count: 800,
+    error: null,
+    quality: { rejected: 2 },
+    requests: [
+      { attempt: 1, statusCode: 503, error: null, ms: 40 },
+      { attempt: 2, statusCode: 200, error: null, ms: 60 },
+    ],
+    closed: null,
+    durationMs: 1500,
+    ...overrides,
+  };
+}
+
+function results(overrides = {}) {
+  return {
+    nse: exchangeResult(),
+    bse: exchangeResult({ count: 300 }),
+    consolidation: { bonds: 900 },
+    gaps: null,
+    cleanup: { count: 0, details: null, errors: {} },
+    errors: [],
+    ...overrides,
+  };
+}
+
+test("httpStats totals a request log", () => {
+  assert.deepEqual(httpStats(exchangeResult().requests), {
+    attempts: 2,
+    retries: 1,
+    failures: 1,
+    ms: 100,
+  });
+});
+
+test("dailyRunRecord derives the run status", () => {
+  const clean = dailyRunRecord(results(), []);
+  assert.equal(clean.status, "success");
+  assert.equal(clean.row_count, 1100);
+  assert.deepEqual(clean.exchanges.NSE, {
+    status: "success",
+    count: 800,
+    rejected: 2,
+    closed: null,
+    error: null,
+    duration_ms: 1500,
+    http: { attempts: 2, retries: 1, failures: 1, ms: 100 },
+  });
+
+  const anomaly = { exchange: "NSE", check: "low_row_count", message: "low" };
+  assert.equal(dailyRunRecord(results(), [anomaly]).status, "degraded");
+
+  const bseDown = results({
+    bse: exchangeResult({ success: false, count: 0, error: "503" }),
+    errors: [errorEntry("BSE", new Error("503"))],
+  });
+  assert.equal(dailyRunRecord(bseDown, []).status, "degraded");
+  assert.match(bseDown.errors[0].stack, /^Error: 503\n/);
+
+  const allDown = results({
+    nse: exchangeResult({ success: false, count: 0, error: "timeout" }),
+    bse: exchangeResult({ success: false, count: 0, closed: "Dussehra" }),
+  });
+  assert.equal(dailyRunRecord(allDown, []).exchanges.BSE.status, "closed");
+  assert.equal(dailyRunRecord(allDown, []).status, "failed");
+});
+
+test("a run is recorded as running, then completed", async () => {
+  const supabase = fakeSupabase();
+  assert.equal(await loadLatestRun(supabase), null);
+
+  const run = await startRun(supabase, {
+    kind: "daily",
+    target_date: "2026-10-16",
+  });
+  let latest = await loadLatestRun(supabase);
+  assert.equal(latest.id, run.id);
+  assert.equal(latest.status, "running");
+
+  await finishRun(supabase, run, dailyRunRecord(results(), []));
+  latest = await loadLatestRun(supabase);
+  assert.equal(latest.status, "success");
+  assert.equal(latest.target_date, "2026-10-16");
+  assert.ok(latest.duration_ms >= 0);
+  assert.equal(supabase.tables.scrape_runs.length, 1);
+  assert.equal(await loadLatestRun(supabase, "backfill"), null);
+});
+
+test("finishRun inserts a run whose start was not recorded", async () => {
+  const supabase = fakeSupabase();
+  await finishRun(
+    supabase,
+    {
+      id: null,
+      startedAt: "2026-10-16T12:30:00.000Z",
+      fields: { kind: "backfill", range_from: "2026-10-01" },
+    },
+    { status: "failed", errors: [errorEntry("fatal", new Error("boom"))] },
+  );
+
+  const [row] = supabase.tables.scrape_runs;
+  assert.equal(row.kind, "backfill");
+  assert.equal(row.started_at, "2026-10-16T12:30:00.000Z");
+  assert.equal(row.status, "failed");
+  assert.equal(row.errors[0].message, "boom");
+});
@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { linkSecurities, loadSecurities } from "../lib/securities.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+const nse = (security_code, series, fields = {}) => ({
+  exchange: "NSE",
+  security_code,
+  series,
+  isin: null,
+  ...fields,
+});
+
+const bse = (security_code, fields = {}) => ({
+  exchange: "BSE",
+  security_code,
+  isin: null,
+  ...fields,
+});
+
+const master = (supabase) =>
+  new Map((supabase.tables.securities || []).map((s) => [s.isin, s]));
+
+test("rows with an ISIN refresh the master with their identifiers", async () => {
+  const supabase = fakeSupabase();
+  const rows = [
+    nse("HDFC29", "N1", {
+      isin: "INE001A07QZ9",
+      issuer_name: "HDFC Bank Ltd",
+      coupon_rate: 8.5,
+      maturity_date: "2029-03-15",
+      credit_rating: "CRISIL AAA",
+    }),
+    nse("HDFC29", "N2", { isin: "INE001A07RA0", coupon_rate: 7.9 }),
+  ];
+
+  const result = await linkSecurities(supabase, "NSE", rows, "2026-10-16");
+  assert.deepEqual(result, { refreshed: 2, linked: 2, unlinked: 0 });
+
+  const hdfc = master(supabase).get("INE001A07QZ9");
+  assert.equal(hdfc.nse_symbol, "HDFC29");
+  assert.equal(hdfc.nse_series, "N1");
+  assert.equal(hdfc.bse_security_code, undefined);
+  assert.equal(hdfc.issuer_name, "HDFC Bank Ltd");
+  assert.equal(hdfc.coupon_rate, 8.5);
+  assert.equal(hdfc.first_seen, "2026-10-16");
+  assert.equal(hdfc.last_seen, "2026-10-16");
+  assert.equal(master(supabase).get("INE001A07RA0").nse_series, "N2");
+
+  // The same bond on BSE adds its code to the same master row
+  await linkSecurities(
+    supabase,
+    "BSE",
+    [bse("974123", { isin: "INE001A07QZ9" })],
+    "2026-10-16",
+  );
+  assert.equal(master(supabase).size, 2);
+  assert.equal(
+    master(supabase).get("INE001A07QZ9").bse_security_code,
+    "974123",
+  );
+  assert.equal(master(supabase).get("INE001A07QZ9").nse_symbol, "HDFC29");
+});
+
+test("nulls never overwrite what the master already knows", async () => {
+  const supabase = fakeSupabase();
+  await linkSecurities(
+    supabase,
+    "NSE",
+    [
+      nse("HDFC29", "N1", {
+        isin: "INE001A07QZ9",
+        coupon_rate: 8.5,
+        credit_rating: "CRISIL AAA",
+      }),
+    ],
+    "2026-10-15",
+  );
+  await linkSecurities(
+    supabase,
+    "NSE",
+    [
+      nse("HDFC29", "N1", {
+        isin: "INE001A07QZ9",
+        coupon_rate: null,
+        credit_rating: "CRISIL AA+",
+        face_value: 100000,
+      }),
+    ],
+    "2026-10-16",
+  );
+
+  const hdfc = master(supabase).get("INE001A07QZ9");
+  assert.equal(hdfc.coupon_rate, 8.5);
+  assert.equal(hdfc.credit_rating, "CRISIL AA+");
+  assert.equal(hdfc.face_value, 100000);
+  assert.equal(hdfc.first_seen, "2026-10-15");
+  assert.equal(hdfc.last_seen, "2026-10-16");
+});
+
+test("a backfill of an older date does not roll the master back", async () => {
+  const supabase = fakeSupabase();
+  await linkSecurities(
+    supabase,
+    "NSE",
+    [
+      nse("HDFC29", "N1", {
+        isin: "INE001A07QZ9",
+        coupon_rate: 8.5,
+        credit_rating: "CRISIL AA+",
+      }),
+    ],
+    "2026-10-16",
+  );
+  await linkSecurities(
+    supabase,
+    "BSE",
+    [
+      bse("974123", {
+        isin: "INE001A07QZ9",
+        coupon_rate: 8.25,
+        credit_rating: "CRISIL AAA",
+        maturity_date: "2029-03-15",
+      }),
+    ],
+    "2025-01-10",
+  );
+
+  const hdfc = master(supabase).get("INE001A07QZ9");
+  assert.equal(hdfc.coupon_rate, 8.5);
+  assert.equal(hdfc.credit_rating, "CRISIL AA+");
+  // What the master did not know is filled in
+  assert.equal(hdfc.maturity_date, "2029-03-15");
+  assert.equal(hdfc.bse_security_code, "974123");
+  assert.equal(hdfc.first_seen, "2025-01-10");
+  assert.equal(hdfc.last_seen, "2026-10-16");
+});
+
+test("rows without an ISIN are linked through their exchange identifier", async () => {
+  const supabase = fakeSupabase({
+    securities: [
+      {
+        isin: "INE001A07QZ9",
+        nse_symbol: "HDFC29",
+        nse_series: "N1",
+        bse_security_code: "974123",
+      },
+      { isin: "INE001A07RA0", nse_symbol: "HDFC29", nse_series: "N2" },
+      // Two ISINs claim REC30 N1, so neither is trusted
+      { isin: "INE020B08DX1", nse_symbol: "REC30", nse_series: "N1" },
+      { isin: "INE020B08DY9", nse_symbol: "REC30", nse_series: "N1" },
+    ],
+  });
+  const rows = [
+    nse("HDFC29", "N1"),
+    nse("HDFC29", "N2"),
+    nse("HDFC29", "N3"),
+    nse("REC30", "N1"),
+    nse(null, "N1"),
+  ];
+
+  const result = await linkSecurities(supabase, "NSE", rows, "2026-10-16");
+  assert.deepEqual(
+    rows.map((r) => r.isin),
+    ["INE001A07QZ9", "INE001A07RA0", null, null, null],
+  );
+  assert.deepEqual(result, { refreshed: 0, linked: 2, unlinked: 3 });
+
+  // BSE matches on the security code alone
+  const bseRows = [bse("974123"), bse("999999")];
+  await linkSecurities(supabase, "BSE", bseRows, "2026-10-16");
+  assert.deepEqual(
+    bseRows.map((r) => r.isin),
+    ["INE001A07QZ9", null],
+  );
+});
+
+test("an ISIN on the row wins over the identifier lookup", async () => {
+  const supabase = fakeSupabase({
+    securities: [{ isin: "INE001A07QZ9", bse_security_code: "974123" }],
+  });
+  const rows = [bse("974123", { isin: "INE001A07RA0" })];
+  await linkSecurities(supabase, "BSE", rows, "2026-10-16");
+  assert.equal(rows[0].isin, "INE001A07RA0");
+});
+
+test("loadSecurities keys master rows by ISIN", async () => {
+  const supabase = fakeSupabase({
+    securities: [
+      { isin: "INE001A07QZ9", coupon_rate: 8.5 },
+      { isin: "INE020B08DX1", coupon_rate: 7.1 },
+    ],
+  });
+  const found = await loadSecurities(supabase, [
+    "INE001A07QZ9",
+    null,
+    "INE999Z99ZZ9",
+  ]);
+  assert.deepEqual([...found.keys()], ["INE001A07QZ9"]);
+  assert.equal(found.get("INE001A07QZ9").coupon_rate, 8.5);
+});
@@ -0,0 +1,372 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { storageBackend, storeFromEnv } from "../lib/storage/index.mjs";
+import { archivePayload, loadArchivedPayload } from "../lib/archive.mjs";
+import {
+  applyRetention,
+  restoreMonth,
+  monthArchivePath,
+} from "../lib/retention.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+import { STORE_BACKENDS } from "./helpers/stores.mjs";
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), "storage-test-"));
+  process.env.RETENTION_DAYS = "90";
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+after(async () => {
+  delete process.env.RETENTION_DAYS;
+  mock.restoreAll();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function trade(exchange, tradeDate, securityCode, ltp = 100) {
+  return {
+    trade_date: tradeDate,
+    exchange,
+    security_code: securityCode,
+    series: "N1",
+    isin: `INE${securityCode}`,
+    issuer_name: `${securityCode} Ltd`,
+    coupon_rate: 7.5,
+    maturity_date: "2029-03-31",
+    ltp,
+    turnover_rs_lacs: 12.5,
+    no_of_trades: 3,
+    traded_volume: 1000,
+    raw_data: { symbol: securityCode, ltp: String(ltp) },
+  };
+}
+
+// The columns a test cares about, in a stable order
+const summary = (rows) =>
+  rows
+    .map((r) => `${r.trade_date} ${r.exchange} ${r.security_code} ${r.ltp}`)
+    .sort();
+
+for (const [name, openStore] of Object.entries(STORE_BACKENDS)) {
+  const open = () => openStore(dir);
+
+  test(`${name}: replaceDay replaces one exchange's day only`, async () => {
+    const { store } = await open();
+    try {
+      assert.equal(store.name, name);
+      await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A"),
+        trade("NSE", "2026-01-05", "B"),
+      ]);
+      await store.replaceDay("BSE", "2026-01-05", [
+        trade("BSE", "2026-01-05", "C"),
+      ]);
+      await store.replaceDay("NSE", "2026-01-06", [
+        trade("NSE", "2026-01-06", "A"),
+      ]);
+
+      const count = await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A", 101),
+      ]);
+      assert.equal(count, 1);
+
+      const rows = await store.loadExpiring("NSE", "2026-02-01");
+      assert.deepEqual(summary(rows), [
+        "2026-01-05 NSE A 101",
+        "2026-01-06 NSE A 100",
+      ]);
+      assert.deepEqual(summary(await store.loadExpiring("BSE", "2026-02-01")), [
+        "2026-01-05 BSE C 100",
+      ]);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: rows read back the way Supabase returns them`, async () => {
+    const { store } = await open();
+    try {
+      await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A"),
+      ]);
+      const [row] = await store.loadExpiring("NSE", "2026-02-01");
+      assert.equal(typeof row.id, "number");
+      assert.equal(row.trade_date, "2026-01-05");
+      assert.equal(row.maturity_date, "2029-03-31");
+      assert.equal(row.coupon_rate, 7.5);
+      assert.equal(row.turnover_rs_lacs, 12.5);
+      assert.equal(row.no_of_trades, 3);
+      assert.deepEqual(row.raw_data, { symbol: "A", ltp: "100" });
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: replaceRejected replaces a day's quarantine`, async () => {
+    const { store, rejected } = await open();
+    try {
+      const bad = { ...trade("NSE", "2026-01-05", "X"), ltp: Number.NaN };
+      await store.replaceRejected("NSE", "2026-01-05", [
+        { row: bad, reasons: ["ltp is not a number"] },
+        { row: trade("NSE", "2026-01-05", "Y"), reasons: ["duplicate"] },
+      ]);
+      await store.replaceRejected("NSE", "2026-01-05", [
+        { row: bad, reasons: ["ltp is not a number"] },
+      ]);
+
+      const rows = await rejected();
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].security_code, "X");
+      assert.deepEqual(rows[0].reasons, ["ltp is not a number"]);
+      assert.equal(rows[0].mapped_row.ltp, "NaN");
+      assert.equal(rows[0].mapped_row.raw_data, undefined);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: loadExpiring and deleteDates respect the cutoff`, async () => {
+    const { store } = await open();
+    try {
+      for (const date of ["2026-01-07", "2026-01-05", "2026-01-06"]) {
+        await store.replaceDay("NSE", date, [
+          trade("NSE", date, "B"),
+          trade("NSE", date, "A"),
+        ]);
+      }
+
+      const expiring = await store.loadExpiring("NSE", "2026-01-07");
+      assert.deepEqual(
+        expiring.map((r) => r.trade_date),
+        ["2026-01-05", "2026-01-05", "2026-01-06", "2026-01-06"],
+      );
+      assert.ok(expiring[0].id < expiring[1].id);
+
+      // A date at the cutoff is never deleted, even when listed
+      const deleted = await store.deleteDates(
+        "NSE",
+        ["2026-01-05", "2026-01-07"],
+        "2026-01-07",
+      );
+      assert.equal(deleted, 2);
+      assert.deepEqual(
+        (await store.loadExpiring("NSE", "2026-02-01")).map(
+          (r) => r.trade_date,
+        ),
+        ["2026-01-06", "2026-01-06", "2026-01-07", "2026-01-07"],
+      );
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: findTrades filters and pages by date`, async () => {
+    const { store } = await open();
+    try {
+      await store.replaceDay("NSE", "2026-01-06", [
+        trade("NSE", "2026-01-06", "B"),
+        trade("NSE", "2026-01-06", "A"),
+      ]);
+      await store.replaceDay("BSE", "2026-01-05", [
+        trade("BSE", "2026-01-05", "A"),
+      ]);
+      await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A"),
+      ]);
+
+      const all = await store.findTrades({}, { limit: 10, offset: 0 });
+      assert.equal(all.total, 4);
+      assert.deepEqual(
+        all.rows.map((r) => `${r.trade_date} ${r.exchange} ${r.security_code}`),
+        [
+          "2026-01-05 BSE A",
+          "2026-01-05 NSE A",
+          "2026-01-06 NSE A",
+          "2026-01-06 NSE B",
+        ],
+      );
+      assert.deepEqual(all.rows[0].raw_data, { symbol: "A", ltp: "100" });
+
+      const page = await store.findTrades({}, { limit: 2, offset: 2 });
+      assert.equal(page.total, 4);
+      assert.deepEqual(summary(page.rows), summary(all.rows.slice(2)));
+
+      const nse = await store.findTrades(
+        { date: "2026-01-06", exchange: "NSE", securityCode: "B" },
+        { limit: 10, offset: 0 },
+      );
+      assert.deepEqual(summary(nse.rows), ["2026-01-06 NSE B 100"]);
+      assert.equal(nse.total, 1);
+
+      const history = await store.findTrades(
+        { isin: "INEA", from: "2026-01-05", to: "2026-01-05" },
+        { limit: 10, offset: 0 },
+      );
+      assert.deepEqual(summary(history.rows), [
+        "2026-01-05 BSE A 100",
+        "2026-01-05 NSE A 100",
+      ]);
+
+      const none = await store.findTrades(
+        { date: "2026-01-07" },
+        { limit: 10, offset: 0 },
+      );
+      assert.deepEqual(none, { rows: [], total: 0 });
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: loadTradeDays lists the exchange days with rows`, async () => {
+    const { store } = await open();
+    try {
+      await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A"),
+        trade("NSE", "2026-01-05", "B"),
+      ]);
+      await store.replaceDay("BSE", "2026-01-06", [
+        trade("BSE", "2026-01-06", "A"),
+      ]);
+      await store.replaceDay("NSE", "2026-01-07", [
+        trade("NSE", "2026-01-07", "A"),
+      ]);
+
+      const days = await store.loadTradeDays("2026-01-05", "2026-01-07");
+      assert.deepEqual(
+        days.map((d) => `${d.trade_date} ${d.exchange}`).sort(),
+        ["2026-01-05 NSE", "2026-01-06 BSE"],
+      );
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: files round-trip and overwrite`, async () => {
+    const { store } = await open();
+    try {
+      assert.equal(await store.readFile("missing/file.json"), null);
+
+      const gzip = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xff]);
+      await store.writeFile("a/b.gz", gzip, "application/gzip");
+      assert.deepEqual(await store.readFile("a/b.gz"), gzip);
+
+      await store.writeFile("a/b.gz", "replaced", "text/plain");
+      assert.equal((await store.readFile("a/b.gz")).toString(), "replaced");
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: raw payloads archive and load back`, async () => {
+    const { store } = await open();
+    try {
+      const payload = { source: "api", body: "Symbol,LTP\nA,100\n" };
+      const manifest = await archivePayload(
+        store,
+        "NSE",
+        "2026-01-05",
+        payload,
+      );
+      assert.match(manifest.path, /^bond-scraper-raw\/NSE\/.*\.csv$/);
+
+      const loaded = await loadArchivedPayload(store, "NSE", "2026-01-05");
+      assert.deepEqual(loaded.payload, payload);
+      assert.equal(await loadArchivedPayload(store, "NSE", "2026-01-06"), null);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test(`${name}: cleanup archives old rows and restores them`, async () => {
+    const { store } = await open();
+    try {
+      await store.replaceDay("NSE", "2026-01-05", [
+        trade("NSE", "2026-01-05", "A"),
+        trade("NSE", "2026-01-05", "B"),
+      ]);
+      await store.replaceDay("NSE", "2026-02-02", [
+        trade("NSE", "2026-02-02", "A"),
+      ]);
+      await store.replaceDay("NSE", "2026-05-04", [
+        trade("NSE", "2026-05-04", "A"),
+      ]);
+      await store.replaceDay("BSE", "2026-01-05", [
+        trade("BSE", "2026-01-05", "C"),
+      ]);
+      const before = summary(await store.loadExpiring("NSE", "2026-12-31"));
+
+      const now = new Date("2026-05-05T12:00:00Z");
+      const preview = await applyRetention(store, now, { dryRun: true });
+      assert.equal(preview.count, 4);
+      assert.equal(
+        (await store.loadExpiring("NSE", "2026-12-31")).length,
+        before.length,
+      );
+
+      const result = await applyRetention(store, now);
+      assert.deepEqual(result.errors, {});
+      assert.equal(result.count, 4);
+      assert.deepEqual(result.details.byExchange, { NSE: 3, BSE: 1 });
+      assert.deepEqual(
+        result.details.files.map((f) => [f.path, f.rows]),
+        [
+          [monthArchivePath("NSE", "2026-01"), 2],
+          [monthArchivePath("NSE", "2026-02"), 1],
+          [monthArchivePath("BSE", "2026-01"), 1],
+        ],
+      );
+      assert.deepEqual(summary(await store.loadExpiring("NSE", "2026-12-31")), [
+        "2026-05-04 NSE A 100",
+      ]);
+
+      const restored = await restoreMonth(store, "NSE", "2026-01");
+      assert.equal(restored.count, 2);
+      await restoreMonth(store, "NSE", "2026-02");
+      const rows = await store.loadExpiring("NSE", "2026-12-31");
+      assert.deepEqual(summary(rows), before);
+      assert.deepEqual(rows[0].raw_data, {
+        symbol: rows[0].security_code,
+        ltp: "100",
+      });
+    } finally {
+      await store.close();
+    }
+  });
+}
+
+test("STORAGE_BACKEND picks the store and its settings", async () => {
+  assert.equal(storageBackend({}), "supabase");
+  assert.equal(storageBackend({ STORAGE_BACKEND: " SQLite " }), "sqlite");
+  assert.throws(
+    () => storageBackend({ STORAGE_BACKEND: "mysql" }),
+    /Unknown STORAGE_BACKEND "mysql", expected one of: supabase, sqlite, postgres/,
+  );
+
+  assert.equal(await storeFromEnv({ STORAGE_BACKEND: "sqlite" }), null);
+  assert.equal(await storeFromEnv({ STORAGE_BACKEND: "postgres" }), null);
+  assert.equal(await storeFromEnv({}), null);
+
+  const supabase = fakeSupabase();
+  const reused = await storeFromEnv(
+    { SUPABASE_URL: "http://db", SUPABASE_SERVICE_ROLE_KEY: "key" },
+    { supabase },
+  );
+  assert.equal(reused.name, "supabase");
+
+  const store = await storeFromEnv({
+    STORAGE_BACKEND: "sqlite",
+    SQLITE_PATH: join(dir, "env.sqlite"),
+  });
+  try {
+    assert.equal(store.name, "sqlite");
+    assert.deepEqual(await store.migrate(), ["0001_bond_trades.sql"]);
+    assert.deepEqual(await store.migrate(), []);
+  } finally {
+    await store.close();
+  }
+});
@@ -0,0 +1,180 @@
+// The Supabase migrations and functions against a real Postgres server.
+// The other tests use fakeSupabase, which re-implements the SQL in JS, so
+// this is the only check of the SQL itself. Set TEST_DATABASE_URL to a
+// server where the tests may create and drop a database; without it these
+// tests are skipped.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "fs";
+import { randomUUID } from "crypto";
+import pg from "pg";
+
+const SERVER = process.env.TEST_DATABASE_URL;
+const MIGRATIONS = new URL("../supabase/migrations/", import.meta.url);
+const skip = SERVER ? false : "TEST_DATABASE_URL is not set";
+
+const database = `bond_test_${Date.now()}`;
+let client;
+
+const migrate = (file) =>
+  client.query(readFileSync(new URL(file, MIGRATIONS), "utf8"));
+
+// Rows as the scraper stored them before traded_volume existed, with the
+// volume in no_of_trades, and the trade count each should end up with
+const LEGACY = [
+  ["NSE", 500, { "VOLUME (Shares)": "500" }, null],
+  ["NSE", 800, { NO_OF_TRADES: "1,203", TTL_TRD_QNTY: "800" }, 1203],
+  ["BSE", 1000, { "Total Trade Volume": "1000", "No.Of Trades": "3" }, 3],
+  ["BSE", 1000, { "Total Trade Volume": "1000" }, null],
+  ["BSE", 700, { tradeVolume: 700, noOfTrades: 4 }, 4],
+  ["BSE", 900, { totalTradeVolume: "900" }, null],
+];
+// Rows whose no_of_trades already was the trade count
+const LEGACY_COUNTS = [
+  ["BSE", 5, { "No Of Trades": "5", tradeVolume: "600" }],
+  ["BSE", 6, { "Total Trades": "6" }],
+];
+
+async function seedLegacyTrades() {
+  for (const [exchange, stored, raw_data] of [...LEGACY, ...LEGACY_COUNTS]) {
+    await client.query(
+      `insert into bond_trades
+         (trade_date, exchange, security_code, no_of_trades, raw_data, maturity_date)
+       values ('2026-10-01', $1, 'LEGACY', $2, $3, '15/03/2029')`,
+      [exchange, stored, raw_data],
+    );
+  }
+}
+
+async function onServer(sql) {
+  const admin = new pg.Client({ connectionString: SERVER });
+  await admin.connect();
+  try {
+    await admin.query(sql);
+  } finally {
+    await admin.end();
+  }
+}
+
+before(async () => {
+  if (skip) return;
+  await onServer(`create database ${database}`);
+  const url = new URL(SERVER);
+  url.pathname = `/${database}`;
+  client = new pg.Client({ connectionString: url.href });
+  await client.connect();
+  const [first, ...rest] = readdirSync(MIGRATIONS).sort();
+  await migrate(first);
+  await seedLegacyTrades();
+  for (const file of rest) await migrate(file);
+});
+
+after(async () => {
+  if (skip) return;
+  await client.end();
+  await onServer(`drop database ${database}`);
+});
+
+const trade = (exchange, security_code, fields = {}) => ({
+  trade_date: "2026-10-16",
+  exchange,
+  security_code,
+  ltp: 1000,
+  ...fields,
+});
+
+async function stage(loadId, rows) {
+  for (const row of rows) {
+    await client.query(
+      `insert into bond_trades_staging (load_id, trade_date, exchange, payload)
+       values ($1, $2, $3, $4)`,
+      [loadId, row.trade_date, row.exchange, row],
+    );
+  }
+}
+
+const swap = (loadId, exchange, expected) =>
+  client.query("select swap_bond_trades($1, $2, $3, $4) as inserted", [
+    loadId,
+    "2026-10-16",
+    exchange,
+    expected,
+  ]);
+
+const codes = async (exchange) =>
+  (
+    await client.query(
+      `select security_code from bond_trades
+       where trade_date = '2026-10-16' and exchange = $1
+       order by security_code`,
+      [exchange],
+    )
+  ).rows.map((r) => r.security_code);
+
+test("swap_bond_trades replaces one exchange's day", { skip }, async () => {
+  // bond_trades.isin references the security master
+  await client.query("insert into securities (isin) values ('INE001A07QZ9')");
+  await client.query(
+    `insert into bond_trades (trade_date, exchange, security_code)
+     values ('2026-10-16', 'NSE', 'OLD'), ('2026-10-16', 'BSE', '974123')`,
+  );
+
+  const loadId = randomUUID();
+  await stage(loadId, [
+    trade("NSE", "HDFC29", { isin: "INE001A07QZ9", traded_volume: 500 }),
+    trade("NSE", "REC30", { raw_data: { SYMBOL: "REC30" } }),
+  ]);
+  const { rows } = await swap(loadId, "NSE", 2);
+  assert.equal(rows[0].inserted, 2);
+
+  assert.deepEqual(await codes("NSE"), ["HDFC29", "REC30"]);
+  assert.deepEqual(await codes("BSE"), ["974123"]);
+  const {
+    rows: [hdfc],
+  } = await client.query(
+    "select * from bond_trades where security_code = 'HDFC29'",
+  );
+  assert.equal(hdfc.isin, "INE001A07QZ9");
+  assert.equal(Number(hdfc.traded_volume), 500);
+  assert.ok(hdfc.id);
+
+  const staged = await client.query("select count(*) from bond_trades_staging");
+  assert.equal(Number(staged.rows[0].count), 0);
+});
+
+test(
+  "swap_bond_trades keeps the old rows when the load is short",
+  { skip },
+  async () => {
+    const loadId = randomUUID();
+    await stage(loadId, [trade("BSE", "975500")]);
+
+    await assert.rejects(
+      swap(loadId, "BSE", 2),
+      /has 1 staged rows, expected 2/,
+    );
+    assert.deepEqual(await codes("BSE"), ["974123"]);
+  },
+);
+
+test(
+  "the volume migration splits volume from trade count",
+  { skip },
+  async () => {
+    const { rows } = await client.query(
+      `select no_of_trades, traded_volume, maturity_date::text as maturity
+     from bond_trades where trade_date = '2026-10-01' order by id`,
+    );
+    assert.deepEqual(
+      rows.map((r) => [
+        r.no_of_trades === null ? null : Number(r.no_of_trades),
+        r.traded_volume === null ? null : Number(r.traded_volume),
+      ]),
+      [
+        ...LEGACY.map(([, stored, , trades]) => [trades, stored]),
+        ...LEGACY_COUNTS.map(([, stored]) => [stored, null]),
+      ],
+    );
+    assert.ok(rows.every((r) => r.maturity === "2029-03-15"));
+  },
+);
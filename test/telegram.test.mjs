@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, splitMessage } from "../lib/telegram.mjs";
+
+test("escapeHtml escapes Telegram's reserved characters", () => {
+  assert.equal(escapeHtml("A&B <b>"), "A&amp;B &lt;b&gt;");
+  assert.equal(escapeHtml(null), "");
+});
+
+test("splitMessage breaks between lines and keeps short text whole", () => {
+  assert.deepEqual(splitMessage("one\ntwo", 100), ["one\ntwo"]);
+
+  const lines = Array.from({ length: 10 }, (_, i) => `<b>line ${i}</b>`);
+  const parts = splitMessage(lines.join("\n"), 40);
+  assert.ok(parts.every((p) => p.length <= 40));
+  assert.equal(parts.join("\n"), lines.join("\n"));
+  assert.ok(parts.every((p) => p.startsWith("<b>") && p.endsWith("</b>")));
+});
+
+test("splitMessage cuts a single over-long line", () => {
+  assert.deepEqual(splitMessage("x".repeat(25), 10), [
+    "x".repeat(10),
+    "x".repeat(10),
+    "x".repeat(5),
+  ]);
+});
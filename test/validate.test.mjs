@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RULES,
+  formatQuality,
+  hasQualityIssues,
+  validateRows,
+} from "../lib/validate.mjs";
+
+// A mapped row every rule accepts
+const good = {
+  trade_date: "2026-10-16",
+  exchange: "NSE",
+  security_code: "HDFC29",
+  isin: "INE001A07QZ9",
+  coupon_rate: 7.5,
+  maturity_date: "2029-03-31",
+  ltp: 1000,
+  turnover_rs_lacs: 10,
+  no_of_trades: 2,
+  traded_volume: 1000,
+  face_value: 1000,
+};
+
+const reasons = (changes) =>
+  RULES.filter((rule) => !rule.test({ ...good, ...changes })).map(
+    (rule) => rule.name,
+  );
+
+test("a complete row passes every rule", () => {
+  assert.deepEqual(reasons({}), []);
+  // Optional fields may be missing
+  assert.deepEqual(
+    reasons({
+      isin: null,
+      coupon_rate: null,
+      maturity_date: null,
+      turnover_rs_lacs: null,
+      no_of_trades: null,
+      traded_volume: undefined,
+      face_value: null,
+    }),
+    [],
+  );
+});
+
+test("security_code_missing", () => {
+  assert.deepEqual(reasons({ security_code: null }), ["security_code_missing"]);
+  assert.deepEqual(reasons({ security_code: "" }), ["security_code_missing"]);
+});
+
+test("isin_invalid", () => {
+  assert.deepEqual(reasons({ isin: "INE001A07QZ" }), ["isin_invalid"]);
+  assert.deepEqual(reasons({ isin: "ine001a07qz9" }), ["isin_invalid"]);
+  assert.deepEqual(reasons({ isin: "INE001A07QZX" }), ["isin_invalid"]);
+});
+
+test("number_unparseable", () => {
+  for (const field of ["coupon_rate", "turnover_rs_lacs", "face_value"]) {
+    assert.deepEqual(reasons({ [field]: NaN }), ["number_unparseable"], field);
+  }
+  // Reported once, not again by the range rules
+  assert.deepEqual(reasons({ ltp: NaN }), ["number_unparseable"]);
+});
+
+test("a missing ltp is rejected, not stored as null", () => {
+  assert.deepEqual(reasons({ ltp: null }), ["ltp_missing"]);
+  assert.deepEqual(reasons({ ltp: undefined }), ["ltp_missing"]);
+});
+
+test("ltp_not_positive", () => {
+  assert.deepEqual(reasons({ ltp: 0 }), ["ltp_not_positive"]);
+  assert.deepEqual(reasons({ ltp: -5 }), ["ltp_not_positive"]);
+});
+
+test("coupon_out_of_range", () => {
+  assert.deepEqual(reasons({ coupon_rate: -0.5 }), ["coupon_out_of_range"]);
+  assert.deepEqual(reasons({ coupon_rate: 100.5 }), ["coupon_out_of_range"]);
+  assert.deepEqual(reasons({ coupon_rate: 0 }), []);
+  assert.deepEqual(reasons({ coupon_rate: 100 }), []);
+});
+
+test("turnover, trades and volume may not be negative", () => {
+  assert.deepEqual(reasons({ turnover_rs_lacs: -1 }), ["turnover_negative"]);
+  assert.deepEqual(reasons({ no_of_trades: -1 }), ["trades_negative"]);
+  assert.deepEqual(reasons({ traded_volume: -1 }), ["volume_negative"]);
+  assert.deepEqual(
+    reasons({ turnover_rs_lacs: 0, no_of_trades: 0, traded_volume: 0 }),
+    [],
+  );
+});
+
+test("maturity_date_unparseable", () => {
+  assert.deepEqual(reasons({ maturity_date: NaN }), [
+    "maturity_date_unparseable",
+  ]);
+});
+
+test("validateRows splits rows and counts each rule", () => {
+  const rows = [
+    good,
+    { ...good, security_code: "TATA31", ltp: null },
+    { ...good, security_code: null, coupon_rate: 250 },
+    { ...good, security_code: "REC30", coupon_rate: 250 },
+  ];
+  const { accepted, rejected, quality } = validateRows(rows);
+
+  assert.deepEqual(accepted, [good]);
+  assert.deepEqual(
+    rejected.map((r) => [r.row.security_code, r.reasons]),
+    [
+      ["TATA31", ["ltp_missing"]],
+      [null, ["security_code_missing", "coupon_out_of_range"]],
+      ["REC30", ["coupon_out_of_range"]],
+    ],
+  );
+  assert.equal(quality.accepted, 1);
+  assert.equal(quality.rejected, 3);
+  assert.deepEqual(quality.byRule, {
+    ltp_missing: 1,
+    security_code_missing: 1,
+    coupon_out_of_range: 2,
+  });
+  assert.equal(hasQualityIssues(quality), true);
+  assert.equal(
+    formatQuality(quality),
+    "3 rejected (coupon_out_of_range: 2, ltp_missing: 1, security_code_missing: 1)",
+  );
+});
+
+test("a clean batch has no quality issues", () => {
+  const { quality } = validateRows([good]);
+  assert.equal(hasQualityIssues(quality), false);
+  assert.equal(formatQuality(quality), "0 rejected");
+});
@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkRules,
+  evaluateWatchlist,
+  sendWatchlistAlerts,
+} from "../lib/watchlist.mjs";
+import { fakeSupabase } from "./helpers/fake-supabase.mjs";
+
+const ENTRY = {
+  price_change_pct: null,
+  turnover_above_lacs: null,
+  inactive_days: null,
+  rating_change: false,
+};
+
+const row = {
+  trade_date: "2026-10-16",
+  exchange: "NSE",
+  security_code: "HDFC29",
+  ltp: 103,
+  turnover_rs_lacs: 600,
+  credit_rating: "CRISIL AA+",
+};
+
+const previous = {
+  trade_date: "2026-10-01",
+  ltp: 100,
+  credit_rating: "CRISIL AAA",
+};
+
+test("checkRules applies each configured rule", () => {
+  assert.deepEqual(checkRules(ENTRY, row, previous, "2026-10-16"), []);
+
+  const rules = (entry, prev = previous) =>
+    checkRules({ ...ENTRY, ...entry }, row, prev, "2026-10-16").map(
+      (h) => h.rule,
+    );
+
+  assert.deepEqual(rules({ price_change_pct: 2.5 }), ["price_change"]);
+  assert.deepEqual(rules({ price_change_pct: 3 }), []);
+  assert.deepEqual(rules({ turnover_above_lacs: 500 }), ["turnover"]);
+  assert.deepEqual(rules({ turnover_above_lacs: 600 }), []);
+  assert.deepEqual(rules({ inactive_days: 15 }), ["first_trade"]);
+  assert.deepEqual(rules({ inactive_days: 16 }), []);
+  assert.deepEqual(rules({ inactive_days: 30 }, null), ["first_trade"]);
+  assert.deepEqual(rules({ rating_change: true }), ["rating_change"]);
+  assert.deepEqual(
+    rules(
+      { rating_change: true },
+      { ...previous, credit_rating: "crisil aa+" },
+    ),
+    [],
+  );
+});
+
+function setup() {
+  return fakeSupabase({
+    watchlist_entries: [
+      {
+        id: 1,
+        label: "HDFC 2029",
+        isin: "INE001A07QZ9",
+        ...ENTRY,
+        price_change_pct: 1,
+        recipients: ["111", "222"],
+        active: true,
+      },
+      {
+        id: 2,
+        exchange: "BSE",
+        security_code: "974123",
+        ...ENTRY,
+        turnover_above_lacs: 1,
+        recipients: ["111"],
+        active: true,
+      },
+      {
+        id: 3,
+        isin: "INE001A07QZ9",
+        ...ENTRY,
+        turnover_above_lacs: 1,
+        recipients: ["333"],
+        active: false,
+      },
+    ],
+    bond_trades: [
+      {
+        id: 1,
+        trade_date: "2026-10-15",
+        exchange: "NSE",
+        security_code: "HDFC29",
+        isin: "INE001A07QZ9",
+        ltp: 100,
+      },
+      {
+        id: 2,
+        trade_date: "2026-10-16",
+        exchange: "NSE",
+        security_code: "HDFC29",
+        isin: "INE001A07QZ9",
+        ltp: 98,
+        turnover_rs_lacs: 5,
+      },
+      {
+        id: 3,
+        trade_date: "2026-10-16",
+        exchange: "NSE",
+        security_code: "OTHER",
+        ltp: 50,
+        turnover_rs_lacs: 5,
+      },
+      {
+        id: 4,
+        trade_date: "2026-10-16",
+        exchange: "BSE",
+        security_code: "974123",
+        ltp: 98,
+        turnover_rs_lacs: 5,
+      },
+    ],
+  });
+}
+
+test("evaluateWatchlist matches active entries on the exchange's rows", async () => {
+  const supabase = setup();
+
+  const nse = await evaluateWatchlist(supabase, "NSE", "2026-10-16");
+  assert.deepEqual(
+    nse.map((a) => [a.entry.id, a.rule]),
+    [[1, "price_change"]],
+  );
+  assert.match(nse[0].text, /<b>HDFC 2029<\/b> \(NSE HDFC29, 2026-10-16\)/);
+  assert.match(nse[0].text, /price 100 → 98 \(-2\.00% since 2026-10-15\)/);
+
+  const bse = await evaluateWatchlist(supabase, "BSE", "2026-10-16");
+  assert.deepEqual(
+    bse.map((a) => [a.entry.id, a.rule]),
+    [[2, "turnover"]],
+  );
+});
+
+test("sendWatchlistAlerts does not resend alerts on a rerun", async () => {
+  const supabase = setup();
+  const sent = [];
+  const send = async (chatId, text) => sent.push({ chatId, text });
+
+  const alerts = await evaluateWatchlist(supabase, "NSE", "2026-10-16");
+  assert.deepEqual(await sendWatchlistAlerts(supabase, alerts, send), {
+    sent: 2,
+    duplicates: 0,
+    failed: 0,
+  });
+  assert.deepEqual(
+    sent.map((s) => s.chatId),
+    ["111", "222"],
+  );
+
+  const rerun = await evaluateWatchlist(supabase, "NSE", "2026-10-16");
+  assert.deepEqual(await sendWatchlistAlerts(supabase, rerun, send), {
+    sent: 0,
+    duplicates: 2,
+    failed: 0,
+  });
+  assert.equal(sent.length, 2);
+});
+
+test("sendWatchlistAlerts retries recipients whose delivery failed", async () => {
+  const supabase = setup();
+  const alerts = await evaluateWatchlist(supabase, "NSE", "2026-10-16");
+
+  const flaky = async (chatId) => {
+    if (chatId === "222") throw new Error("chat not found");
+  };
+  assert.deepEqual(await sendWatchlistAlerts(supabase, alerts, flaky), {
+    sent: 1,
+    duplicates: 0,
+    failed: 1,
+  });
+
+  const delivered = [];
+  await sendWatchlistAlerts(supabase, alerts, async (chatId) =>
+    delivered.push(chatId),
+  );
+  assert.deepEqual(delivered, ["222"]);
+});